@@ -0,0 +1,163 @@
+/**
+ * Crystal Quest - Accessibility
+ * Colour palettes for colour vision deficiencies, the reduced-motion
+ * preference, screen-reader announcements and keyboard focus for the menu
+ * overlays. The game applies these from its Accessibility settings; none of
+ * them changes the simulation, so replays and scores are the same either way.
+ */
+
+import * as THREE from 'three';
+import { OBSTACLE_LOOK } from './obstacles.js';
+
+const MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+const FOCUSABLE = 'button, input, select, textarea, a[href], [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Colours by role, keyed by the colorPalette setting:
+ *   players     player 1 and 2 (online races add CONFIG.online.colors after them)
+ *   obstacle    { color, emissive, outline } for createObstacle(); outline is a line colour or null
+ *   crystal     hue and lightness ranges walked from the first crystal to the last, so
+ *               neighbours differ in brightness as well as hue
+ * The colour-blind palettes use the Okabe-Ito set and outline obstacles, so
+ * hazards also stand apart by shape.
+ */
+export const PALETTES = {
+    default: {
+        players: [0x00f5ff, 0xff8a3d],
+        obstacle: OBSTACLE_LOOK,
+        crystal: { hue: [0.5, 0.8], saturation: 1, lightness: [0.5, 0.5] }
+    },
+    // Protanopia and deuteranopia: blues and yellows against vermillion
+    'red-green': {
+        players: [0x56b4e9, 0xcc79a7],
+        obstacle: { color: 0xd55e00, emissive: 0xa04400, outline: 0xffffff },
+        crystal: { hue: [0.12, 0.17], saturation: 1, lightness: [0.45, 0.8] }
+    },
+    // Tritanopia: reds and teals, no blue against yellow
+    'blue-yellow': {
+        players: [0xffffff, 0xff9ec4],
+        obstacle: { color: 0xe0002a, emissive: 0xb00020, outline: 0xffffff },
+        crystal: { hue: [0.45, 0.52], saturation: 1, lightness: [0.4, 0.75] }
+    }
+};
+
+export function getPalette(key) {
+    return PALETTES[key] || PALETTES.default;
+}
+
+// Colour of the crystal `t` of the way (0..1) through a level's crystals
+export function getCrystalColor(palette, t, target = new THREE.Color()) {
+    const { hue, saturation, lightness } = palette.crystal;
+    return target.setHSL(
+        hue[0] + (hue[1] - hue[0]) * t,
+        saturation,
+        lightness[0] + (lightness[1] - lightness[0]) * t
+    );
+}
+
+// Whether the reducedMotion setting ('auto', 'on' or 'off') asks for less motion; 'auto' follows the system
+export function isReducedMotion(setting) {
+    if (setting === 'on') return true;
+    if (setting === 'off') return false;
+    return Boolean(window.matchMedia && window.matchMedia(MOTION_QUERY).matches);
+}
+
+// Call `listener` whenever the system reduced-motion preference changes
+export function onMotionPreferenceChange(listener) {
+    if (window.matchMedia) window.matchMedia(MOTION_QUERY).addEventListener('change', listener);
+}
+
+// ============================================
+// Screen-reader announcements
+// ============================================
+// Text for screen readers through two visually hidden live regions:
+// polite waits for the reader to finish, assertive interrupts it
+export class Announcer {
+    constructor(polite, assertive) {
+        this.regions = { polite, assertive };
+        this.timers = { polite: null, assertive: null };
+    }
+
+    say(text, urgent = false) {
+        const politeness = urgent ? 'assertive' : 'polite';
+        const region = this.regions[politeness];
+
+        // Emptied first, so the same text twice in a row is still a change to announce
+        region.textContent = '';
+        clearTimeout(this.timers[politeness]);
+        this.timers[politeness] = setTimeout(() => {
+            region.textContent = text;
+        }, 50);
+    }
+}
+
+// ============================================
+// Overlay focus
+// ============================================
+// Keyboard focus for full-screen overlays, which open and close by their `hidden`
+// class: the topmost open one takes focus when it (or a view inside it) appears,
+// Tab cycles within it, and focus returns to `fallback` once none is open.
+// Within an overlay, a shown [data-autofocus] element is focused first.
+export class OverlayFocus {
+    /**
+     * @param {HTMLElement[]} overlays Topmost first
+     * @param {HTMLElement} fallback Focusable (tabindex="-1") element for play
+     */
+    constructor(overlays, fallback) {
+        this.overlays = overlays;
+        this.fallback = fallback;
+        this.open = null;
+
+        const observer = new MutationObserver(() => this.update());
+        overlays.forEach(overlay => {
+            observer.observe(overlay, { attributes: true, attributeFilter: ['class'], subtree: true });
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab') this.cycle(e);
+        });
+        this.update();
+    }
+
+    isShown(element) {
+        return !element.closest('.hidden, [hidden]');
+    }
+
+    getFocusable(overlay) {
+        return [...overlay.querySelectorAll(FOCUSABLE)].filter(element => !element.disabled && this.isShown(element));
+    }
+
+    update() {
+        const open = this.overlays.find(overlay => this.isShown(overlay)) || null;
+        const active = document.activeElement;
+        const lost = !active || active === document.body || !this.isShown(active);
+
+        if (open && (open !== this.open || lost || !open.contains(active))) {
+            this.focusFirst(open);
+        } else if (!open && this.open && (lost || this.open.contains(active))) {
+            this.fallback.focus({ preventScroll: true });
+        }
+        this.open = open;
+    }
+
+    focusFirst(overlay) {
+        const focusable = this.getFocusable(overlay);
+        const target = focusable.find(element => element.hasAttribute('data-autofocus')) || focusable[0];
+        if (target) target.focus({ preventScroll: true });
+    }
+
+    // Tab and Shift+Tab wrap around inside the open overlay instead of reaching what's behind it
+    cycle(event) {
+        if (!this.open) return;
+
+        const focusable = this.getFocusable(this.open);
+        if (focusable.length === 0) return;
+
+        event.preventDefault();
+        const step = event.shiftKey ? -1 : 1;
+        const index = focusable.indexOf(document.activeElement);
+        const next = index === -1
+            ? (step > 0 ? 0 : focusable.length - 1)
+            : (index + step + focusable.length) % focusable.length;
+        focusable[next].focus();
+    }
+}
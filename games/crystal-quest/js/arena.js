@@ -0,0 +1,373 @@
+/**
+ * Crystal Quest - Arena
+ * The walkable world as a list of surfaces. The player stands on the highest
+ * surface under its centre; where there is none it falls. Single-platform
+ * levels are one surface, `shape: 'arena'` levels are generated from the run
+ * seed: floating islands joined into a tree by bridges (some broken, so you
+ * jump the gap) and ramps between heights, with raised ledges to jump onto.
+ *
+ * Surfaces:
+ *   { kind: 'disc',    x, z, radius, top }
+ *   { kind: 'polygon', x, z, radius, sides, top }            corners where CylinderGeometry puts them
+ *   { kind: 'box',     x, z, angle, length, width, top, topEnd, depth }
+ *       `angle` turns the length axis from +x towards +z; the top slopes from
+ *       `top` at the start of the length to `topEnd` at its end (a ramp when they differ)
+ * Every surface has a `role` ('platform', 'island', 'bridge', 'ramp', 'ledge') for its visuals.
+ * Heights over the surfaces are worked out in physics.js.
+ */
+
+import * as THREE from 'three';
+import { getHeight, getPolygonEdge } from './physics.js';
+
+export const ARENA = {
+    thickness: 1, // Depth of platforms and islands below their top
+    deckDepth: 0.4, // Bridges and ramps
+    hubRadius: [5, 6],
+    islandRadius: [3, 4.5],
+    islandStep: 1.2, // Height between neighbouring islands; ramps climb it
+    maxTop: 2.4,
+    gap: [2.5, 5], // Open air between two joined islands' rims
+    minClearance: 2, // Between rims of islands that aren't joined
+    bridgeWidth: [1.8, 2.4],
+    brokenChance: 0.35,
+    brokenGap: 1.5, // A jump, never a long one
+    ledgeChance: 0.5,
+    ledgeHeight: 1.2,
+    ledgeSize: [2, 3],
+    placeAttempts: 30,
+    cellSize: 0.5 // Reachability grid
+};
+
+function pick(rng, [min, max]) {
+    return rng.range(min, max);
+}
+
+/**
+ * Cells of the arena the player can get to from a start point, on a grid of
+ * ARENA.cellSize. Walking covers any rise up to `climb` (a jump) and any drop;
+ * from an edge the player can also leap up to `leap` across open air to ground
+ * no higher than where it took off.
+ */
+export class Reachability {
+    constructor(arena, start, { climb, leap }) {
+        const { cellSize } = ARENA;
+        const [minX, minZ, maxX, maxZ] = arena.getBounds();
+        this.cellSize = cellSize;
+        this.minX = minX;
+        this.minZ = minZ;
+        this.columns = Math.ceil((maxX - minX) / cellSize) + 1;
+        this.rows = Math.ceil((maxZ - minZ) / cellSize) + 1;
+
+        const count = this.columns * this.rows;
+        this.tops = new Float32Array(count);
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                const [x, z] = this.getCenter(row * this.columns + column);
+                this.tops[row * this.columns + column] = arena.getHeight(x, z);
+            }
+        }
+
+        this.reached = new Uint8Array(count);
+        this.cells = []; // Reached cell indices, in discovery order
+        const first = this.getIndex(start.x, start.z);
+        if (first < 0 || this.tops[first] === -Infinity) return;
+
+        const leapCells = Math.floor(leap / cellSize);
+        const queue = [first];
+        let head = 0;
+        this.reached[first] = 1;
+        const visit = (index, from) => {
+            if (this.reached[index] || this.tops[index] === -Infinity) return;
+            if (this.tops[index] - this.tops[from] > climb) return;
+            this.reached[index] = 1;
+            queue.push(index);
+        };
+
+        while (head < queue.length) {
+            const index = queue[head++];
+            this.cells.push(index);
+            const column = index % this.columns;
+            const row = (index - column) / this.columns;
+
+            let edge = false;
+            [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dc, dr]) => {
+                const c = column + dc;
+                const r = row + dr;
+                if (c < 0 || r < 0 || c >= this.columns || r >= this.rows) return;
+                const neighbour = r * this.columns + c;
+                if (this.tops[neighbour] === -Infinity) edge = true;
+                visit(neighbour, index);
+            });
+            if (!edge) continue;
+
+            // Leaps only start at an edge, and never land higher than they took off
+            for (let dr = -leapCells; dr <= leapCells; dr++) {
+                for (let dc = -leapCells; dc <= leapCells; dc++) {
+                    const c = column + dc;
+                    const r = row + dr;
+                    if (c < 0 || r < 0 || c >= this.columns || r >= this.rows || dc * dc + dr * dr > leapCells * leapCells) continue;
+                    const target = r * this.columns + c;
+                    if (this.tops[target] <= this.tops[index]) visit(target, index);
+                }
+            }
+        }
+    }
+
+    getIndex(x, z) {
+        const column = Math.round((x - this.minX) / this.cellSize);
+        const row = Math.round((z - this.minZ) / this.cellSize);
+        if (column < 0 || row < 0 || column >= this.columns || row >= this.rows) return -1;
+        return row * this.columns + column;
+    }
+
+    getCenter(index) {
+        const column = index % this.columns;
+        const row = (index - column) / this.columns;
+        return [this.minX + column * this.cellSize, this.minZ + row * this.cellSize];
+    }
+
+    // Ground height of the reached cell around (x, z), or null if the player can't get there
+    getTop(x, z) {
+        const index = this.getIndex(x, z);
+        return index >= 0 && this.reached[index] === 1 ? this.tops[index] : null;
+    }
+
+    // Random reachable spot { x, z, top }
+    pick(rng) {
+        const index = this.cells[Math.floor(rng.range(0, this.cells.length))];
+        const [x, z] = this.getCenter(index);
+        return { x, z, top: this.tops[index] };
+    }
+}
+
+export class Arena {
+    constructor(surfaces, hubRadius) {
+        this.surfaces = surfaces;
+        this.hubRadius = hubRadius; // Roaming obstacles stay within this of the centre
+        this.radius = surfaces.reduce((far, surface) => {
+            const reach = surface.kind === 'box' ? Math.hypot(surface.length, surface.width) / 2 : surface.radius;
+            return Math.max(far, Math.hypot(surface.x, surface.z) + reach);
+        }, 0);
+    }
+
+    // Highest surface top at (x, z); -Infinity over open air
+    getHeight(x, z) {
+        return getHeight(this.surfaces, x, z);
+    }
+
+    // How far obstacles may roam from the centre in the direction of `angle`
+    getEdge(angle) {
+        const [hub] = this.surfaces;
+        return hub.kind === 'polygon' ? getPolygonEdge(hub, angle) : this.hubRadius;
+    }
+
+    // [minX, minZ, maxX, maxZ] around every surface
+    getBounds() {
+        return [-this.radius, -this.radius, this.radius, this.radius];
+    }
+
+    findReachable(start, limits) {
+        return new Reachability(this, start, limits);
+    }
+
+    /**
+     * Meshes for every surface, in one group.
+     * @param {number} segments Smoothness of round surfaces
+     */
+    createObject(segments) {
+        const group = new THREE.Group();
+        const material = new THREE.MeshStandardMaterial({
+            color: 0x1a1a3a,
+            roughness: 0.7,
+            metalness: 0.3,
+            emissive: 0x0a0a2a,
+            emissiveIntensity: 0.2
+        });
+
+        // Only made if something uses them, so release() of the group frees everything
+        let deckMaterial = null;
+        let rimMaterial = null;
+        const getDeckMaterial = () => deckMaterial || (deckMaterial = new THREE.MeshStandardMaterial({
+            color: 0x24244a,
+            roughness: 0.6,
+            metalness: 0.4,
+            emissive: 0x102040,
+            emissiveIntensity: 0.3
+        }));
+        const getRimMaterial = () => rimMaterial || (rimMaterial = new THREE.MeshBasicMaterial({
+            color: 0x00f5ff,
+            transparent: true,
+            opacity: 0.5
+        }));
+
+        this.surfaces.forEach(surface => {
+            let mesh;
+            if (surface.kind === 'box') {
+                mesh = this.createBoxMesh(surface, surface.role === 'ledge' ? material : getDeckMaterial());
+            } else {
+                const round = surface.kind === 'disc';
+                const taper = surface.role === 'island' ? 0.6 : 0.9; // Islands hang like rocks
+                mesh = new THREE.Mesh(
+                    new THREE.CylinderGeometry(surface.radius, surface.radius * taper, ARENA.thickness, round ? segments : surface.sides),
+                    material
+                );
+                mesh.position.set(surface.x, surface.top - ARENA.thickness / 2, surface.z);
+                mesh.castShadow = surface.role === 'island';
+                mesh.receiveShadow = true;
+
+                // Glowing rim on floating islands; the single platform gets its own rings
+                if (surface.role === 'island') {
+                    const rim = new THREE.Mesh(new THREE.TorusGeometry(surface.radius, 0.06, 8, segments), getRimMaterial());
+                    rim.rotation.x = Math.PI / 2;
+                    rim.position.set(surface.x, surface.top, surface.z);
+                    group.add(rim);
+                }
+            }
+            group.add(mesh);
+        });
+        return group;
+    }
+
+    // A slab whose top follows the surface, tilted for ramps
+    createBoxMesh(surface, material) {
+        const rise = surface.topEnd - surface.top;
+        const pitch = Math.atan2(rise, surface.length);
+        const pivot = new THREE.Group();
+        pivot.position.set(surface.x, (surface.top + surface.topEnd) / 2, surface.z);
+        pivot.rotation.y = -surface.angle;
+
+        const mesh = new THREE.Mesh(
+            new THREE.BoxGeometry(Math.hypot(surface.length, rise), surface.depth, surface.width),
+            material
+        );
+        mesh.rotation.z = pitch;
+        mesh.position.y = -surface.depth / 2 / Math.cos(pitch);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        pivot.add(mesh);
+        return pivot;
+    }
+
+    // ============================================
+    // Construction
+    // ============================================
+
+    // The classic single flat platform of a level's `platform` rule
+    static fromPlatform({ shape, radius, sides }) {
+        const surface = shape === 'polygon'
+            ? { role: 'platform', kind: 'polygon', x: 0, z: 0, radius, sides, top: 0 }
+            : { role: 'platform', kind: 'disc', x: 0, z: 0, radius, top: 0 };
+        return new Arena([surface], radius);
+    }
+
+    /**
+     * Generate floating islands from the run's seeded RNG.
+     * @param {{ islands: number, radius: number }} rule Island count and how far island centres may be from the middle
+     * @param {import('./random.js').SeededRandom} rng
+     */
+    static generate({ islands, radius }, rng) {
+        const hub = { role: 'island', kind: 'disc', x: 0, z: 0, radius: pick(rng, ARENA.hubRadius), top: 0 };
+        const placed = [hub];
+        const connectors = [];
+        const ledges = [];
+
+        for (let i = 0; i < islands; i++) {
+            const spot = Arena.placeIsland(placed, radius, rng);
+            if (!spot) break;
+
+            const { island, parent } = spot;
+            placed.push(island);
+            connectors.push(...Arena.connect(parent, island, rng));
+
+            if (rng.next() < ARENA.ledgeChance) {
+                ledges.push(Arena.createLedge(island, rng));
+            }
+        }
+
+        return new Arena([...placed, ...connectors, ...ledges], hub.radius);
+    }
+
+    // { island, parent }: a new island beside a random existing one and clear of all the others, or null if none fits
+    static placeIsland(placed, maxRadius, rng) {
+        for (let attempt = 0; attempt < ARENA.placeAttempts; attempt++) {
+            const parent = placed[Math.floor(rng.range(0, placed.length))];
+            const size = pick(rng, ARENA.islandRadius);
+            const angle = rng.range(0, Math.PI * 2);
+            const distance = parent.radius + pick(rng, ARENA.gap) + size;
+            const x = parent.x + Math.cos(angle) * distance;
+            const z = parent.z + Math.sin(angle) * distance;
+            if (Math.hypot(x, z) > maxRadius) continue;
+
+            const clear = placed.every(other => other === parent
+                || Math.hypot(other.x - x, other.z - z) > other.radius + size + ARENA.minClearance);
+            if (!clear) continue;
+
+            const step = [-1, 0, 0, 1][Math.floor(rng.range(0, 4))] * ARENA.islandStep;
+            const top = THREE.MathUtils.clamp(parent.top + step, 0, ARENA.maxTop);
+            return { island: { role: 'island', kind: 'disc', x, z, radius: size, top }, parent };
+        }
+        return null;
+    }
+
+    // Bridge (whole or broken) or ramp from rim to rim; ends tuck a little under each island
+    static connect(from, to, rng) {
+        const angle = Math.atan2(to.z - from.z, to.x - from.x);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const start = from.radius - 0.3;
+        const end = Math.hypot(to.x - from.x, to.z - from.z) - to.radius + 0.3;
+        const width = pick(rng, ARENA.bridgeWidth);
+
+        const deck = (role, a, b, top, topEnd) => ({
+            role,
+            kind: 'box',
+            x: from.x + cos * (a + b) / 2,
+            z: from.z + sin * (a + b) / 2,
+            angle,
+            length: b - a,
+            width,
+            top,
+            topEnd,
+            depth: ARENA.deckDepth
+        });
+
+        if (from.top !== to.top) {
+            return [deck('ramp', start, end, from.top, to.top)];
+        }
+        if (end - start > ARENA.brokenGap + 3 && rng.next() < ARENA.brokenChance) {
+            const middle = (start + end) / 2;
+            return [
+                deck('bridge', start, middle - ARENA.brokenGap / 2, from.top, from.top),
+                deck('bridge', middle + ARENA.brokenGap / 2, end, from.top, from.top)
+            ];
+        }
+        return [deck('bridge', start, end, from.top, from.top)];
+    }
+
+    // Raised block standing on an island, one jump high
+    static createLedge(island, rng) {
+        const length = pick(rng, ARENA.ledgeSize);
+        const width = pick(rng, ARENA.ledgeSize);
+        const offset = rng.range(0, Math.max(0, island.radius - Math.hypot(length, width) / 2 - 0.3));
+        const direction = rng.range(0, Math.PI * 2);
+        const top = island.top + ARENA.ledgeHeight;
+
+        return {
+            role: 'ledge',
+            kind: 'box',
+            x: island.x + Math.cos(direction) * offset,
+            z: island.z + Math.sin(direction) * offset,
+            angle: rng.range(0, Math.PI),
+            length,
+            width,
+            top,
+            topEnd: top,
+            depth: ARENA.ledgeHeight
+        };
+    }
+}
+
+// Arena for a level's `platform` rule
+export function createArena(platform, rng) {
+    return platform.shape === 'arena' ? Arena.generate(platform, rng) : Arena.fromPlatform(platform);
+}
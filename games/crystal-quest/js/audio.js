@@ -0,0 +1,227 @@
+/**
+ * Crystal Quest - Audio
+ * Every sound is synthesized with Web Audio, so there is nothing to download.
+ *
+ *   master ─┬─ music   ambient pad, loops while the context runs
+ *           └─ sfx     chimes, whooshes, stingers, clicks
+ *
+ * Browsers only allow audio after a user gesture: nothing plays until
+ * unlock() is called from one. Volumes and mute come from Settings and are
+ * applied live.
+ */
+
+// Pentatonic steps (semitones) the pickup chime climbs as the combo grows
+const CHIME_STEPS = [0, 2, 4, 7, 9, 12, 14, 16, 19, 21, 24];
+const CHIME_BASE = 660; // Hz
+
+// Ambient pad chord (Hz) and its filter sweep
+const PAD_NOTES = [110, 164.81, 220, 277.18];
+const PAD_FILTER = { base: 700, depth: 400, rate: 0.05 };
+
+const RAMP = 0.05; // Seconds for volume changes, avoids clicks
+
+export class AudioManager {
+    constructor(settings) {
+        this.settings = settings;
+        this.context = null;
+        this.quiet = false; // Set while fast-forwarding a replay, so seeks don't burst into noise
+
+        settings.onChange((key) => {
+            if (['masterVolume', 'musicVolume', 'sfxVolume', 'muted'].includes(key)) this.applyVolumes();
+        });
+    }
+
+    // Create (or wake) the context; must run inside a user gesture handler
+    unlock() {
+        if (!this.context) {
+            const Context = window.AudioContext || window.webkitAudioContext;
+            if (!Context) return;
+
+            this.context = new Context();
+            this.master = this.context.createGain();
+            this.music = this.context.createGain();
+            this.sfx = this.context.createGain();
+            this.music.connect(this.master);
+            this.sfx.connect(this.master);
+            this.master.connect(this.context.destination);
+
+            this.noise = this.createNoiseBuffer();
+            this.applyVolumes();
+            this.startAmbient();
+        }
+        this.resume();
+    }
+
+    suspend() {
+        if (this.context && this.context.state === 'running') this.context.suspend();
+    }
+
+    resume() {
+        if (this.context && this.context.state === 'suspended') this.context.resume();
+    }
+
+    applyVolumes() {
+        if (!this.context) return;
+
+        const { currentTime } = this.context;
+        const master = this.settings.get('muted') ? 0 : this.settings.get('masterVolume');
+        this.master.gain.setTargetAtTime(master, currentTime, RAMP);
+        this.music.gain.setTargetAtTime(this.settings.get('musicVolume'), currentTime, RAMP);
+        this.sfx.gain.setTargetAtTime(this.settings.get('sfxVolume'), currentTime, RAMP);
+    }
+
+    // Whether a one-shot should play right now
+    canPlay() {
+        return this.context && this.context.state === 'running' && !this.quiet;
+    }
+
+    createNoiseBuffer() {
+        const { sampleRate } = this.context;
+        const buffer = this.context.createBuffer(1, sampleRate, sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        return buffer;
+    }
+
+    // Oscillator with a percussive attack/decay envelope into `destination`
+    tone({ frequency, type = 'sine', start = 0, duration = 0.3, volume = 0.3, destination = this.sfx }) {
+        const ctx = this.context;
+        const at = ctx.currentTime + start;
+        const oscillator = ctx.createOscillator();
+        const gain = ctx.createGain();
+
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(frequency, at);
+        gain.gain.setValueAtTime(0.0001, at);
+        gain.gain.exponentialRampToValueAtTime(volume, at + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, at + duration);
+
+        oscillator.connect(gain).connect(destination);
+        oscillator.start(at);
+        oscillator.stop(at + duration + 0.05);
+        return oscillator;
+    }
+
+    // ============================================
+    // Sound Effects
+    // ============================================
+
+    // Crystal pickup; each combo step raises the chime along the scale
+    pickup(combo = 1) {
+        if (!this.canPlay()) return;
+
+        const step = CHIME_STEPS[Math.min(combo - 1, CHIME_STEPS.length - 1)];
+        const frequency = CHIME_BASE * Math.pow(2, step / 12);
+        this.tone({ frequency, type: 'sine', duration: 0.5, volume: 0.25 });
+        this.tone({ frequency: frequency * 2, type: 'triangle', start: 0.05, duration: 0.35, volume: 0.1 });
+    }
+
+    /**
+     * Filtered noise sweep for an obstacle rushing past.
+     * @param {number} pan -1 (left of the camera) to 1 (right)
+     * @param {number} intensity 0..1, closer passes are louder
+     */
+    whoosh(pan, intensity = 1) {
+        if (!this.canPlay()) return;
+
+        const ctx = this.context;
+        const at = ctx.currentTime;
+        const source = ctx.createBufferSource();
+        const filter = ctx.createBiquadFilter();
+        const gain = ctx.createGain();
+        const panner = ctx.createStereoPanner();
+
+        source.buffer = this.noise;
+        filter.type = 'bandpass';
+        filter.Q.value = 1.5;
+        filter.frequency.setValueAtTime(400, at);
+        filter.frequency.exponentialRampToValueAtTime(2400, at + 0.18);
+        filter.frequency.exponentialRampToValueAtTime(600, at + 0.4);
+        gain.gain.setValueAtTime(0.0001, at);
+        gain.gain.exponentialRampToValueAtTime(0.05 + 0.25 * intensity, at + 0.12);
+        gain.gain.exponentialRampToValueAtTime(0.0001, at + 0.4);
+        panner.pan.value = Math.max(-1, Math.min(1, pan));
+
+        source.connect(filter).connect(gain).connect(panner).connect(this.sfx);
+        source.start(at, Math.random() * 0.5);
+        source.stop(at + 0.45);
+    }
+
+    // Lost a life or took a knockback
+    hit() {
+        if (!this.canPlay()) return;
+
+        const oscillator = this.tone({ frequency: 220, type: 'sawtooth', duration: 0.35, volume: 0.2 });
+        oscillator.frequency.exponentialRampToValueAtTime(70, this.context.currentTime + 0.3);
+    }
+
+    // Quick upward blip on take-off
+    jump() {
+        if (!this.canPlay()) return;
+
+        const oscillator = this.tone({ frequency: 330, type: 'triangle', duration: 0.15, volume: 0.12 });
+        oscillator.frequency.exponentialRampToValueAtTime(660, this.context.currentTime + 0.1);
+    }
+
+    powerUp() {
+        if (!this.canPlay()) return;
+
+        [523.25, 659.25, 783.99].forEach((frequency, i) => {
+            this.tone({ frequency, type: 'square', start: i * 0.06, duration: 0.2, volume: 0.08 });
+        });
+    }
+
+    // Short fanfare on the result screen
+    stinger(won) {
+        if (!this.canPlay()) return;
+
+        const notes = won
+            ? [523.25, 659.25, 783.99, 1046.5] // C major, rising
+            : [392, 311.13, 261.63, 196]; // C minor, falling
+        notes.forEach((frequency, i) => {
+            const last = i === notes.length - 1;
+            this.tone({ frequency, type: 'triangle', start: i * 0.14, duration: last ? 0.9 : 0.25, volume: 0.22 });
+        });
+    }
+
+    click() {
+        if (!this.canPlay()) return;
+        this.tone({ frequency: 1200, type: 'square', duration: 0.05, volume: 0.05 });
+    }
+
+    // ============================================
+    // Music
+    // ============================================
+
+    // Detuned pad under a slowly breathing low-pass filter; runs for the life of the context
+    startAmbient() {
+        const ctx = this.context;
+        const filter = ctx.createBiquadFilter();
+        const lfo = ctx.createOscillator();
+        const lfoDepth = ctx.createGain();
+        const pad = ctx.createGain();
+
+        filter.type = 'lowpass';
+        filter.frequency.value = PAD_FILTER.base;
+        lfo.frequency.value = PAD_FILTER.rate;
+        lfoDepth.gain.value = PAD_FILTER.depth;
+        lfo.connect(lfoDepth).connect(filter.frequency);
+        pad.gain.value = 0.06;
+
+        PAD_NOTES.forEach((frequency, i) => {
+            [-6, 6].forEach(detune => {
+                const oscillator = ctx.createOscillator();
+                oscillator.type = i === 0 ? 'sine' : 'sawtooth';
+                oscillator.frequency.value = frequency;
+                oscillator.detune.value = detune;
+                oscillator.connect(filter);
+                oscillator.start();
+            });
+        });
+
+        filter.connect(pad).connect(this.music);
+        lfo.start();
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * Crystal Quest - Control Bindings
+ * Default keyboard / gamepad mappings and display labels. Key and button
+ * labels follow what's printed on the keys and pads, so they aren't translated.
+ * Keyboard actions map to up to two KeyboardEvent.code values; gamepad
+ * actions map to one button index of the "standard" Gamepad API layout.
+ */
+
+// Actions in the order they appear on the controls screen, named by their "actions.<action>" translation
+export const ACTIONS = ['forward', 'backward', 'left', 'right', 'jump', 'dash', 'restart', 'pause'];
+
+// Held for as long as the input is down; everything else fires once per press
+export const MOVEMENT_ACTIONS = ['forward', 'backward', 'left', 'right'];
+
+export const DEFAULT_KEY_BINDINGS = {
+    forward: ['KeyW', 'ArrowUp'],
+    backward: ['KeyS', 'ArrowDown'],
+    left: ['KeyA', 'ArrowLeft'],
+    right: ['KeyD', 'ArrowRight'],
+    jump: ['Space', null],
+    dash: ['ShiftLeft', 'KeyE'],
+    restart: ['KeyR', null],
+    pause: ['Escape', 'KeyP']
+};
+
+export const DEFAULT_GAMEPAD_BINDINGS = {
+    forward: 12, // D-pad
+    backward: 13,
+    left: 14,
+    right: 15,
+    jump: 0, // A / Cross
+    dash: 2, // X / Square
+    restart: 3, // Y / Triangle
+    pause: 9 // Start / Options
+};
+
+/**
+ * Local versus: each player gets half the keyboard (and their own gamepad,
+ * with the bindings above). Fixed so both sides always know their keys;
+ * pause and restart keep the normal bindings.
+ */
+export const VERSUS_KEY_BINDINGS = [
+    {
+        forward: ['KeyW'],
+        backward: ['KeyS'],
+        left: ['KeyA'],
+        right: ['KeyD'],
+        jump: ['Space'],
+        dash: ['ShiftLeft']
+    },
+    {
+        forward: ['ArrowUp'],
+        backward: ['ArrowDown'],
+        left: ['ArrowLeft'],
+        right: ['ArrowRight'],
+        jump: ['Enter', 'Numpad0'],
+        dash: ['ShiftRight', 'NumpadDecimal']
+    }
+];
+
+const BUTTON_LABELS = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+    'L-Stick', 'R-Stick', 'D-Up', 'D-Down', 'D-Left', 'D-Right', 'Home'
+];
+
+const KEY_LABELS = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Escape: 'Esc',
+    Space: 'Space',
+    Enter: 'Enter',
+    ShiftLeft: 'L-Shift',
+    ShiftRight: 'R-Shift',
+    ControlLeft: 'L-Ctrl',
+    ControlRight: 'R-Ctrl',
+    Tab: 'Tab'
+};
+
+export function getKeyLabel(code) {
+    if (!code) return '—';
+    if (KEY_LABELS[code]) return KEY_LABELS[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+    return code;
+}
+
+export function getButtonLabel(index) {
+    if (index === null || index === undefined) return '—';
+    return BUTTON_LABELS[index] || `Button ${index}`;
+}
+
+// Saved bindings on top of the defaults, so actions added later still get a mapping
+export function resolveBindings(defaults, saved) {
+    return { ...defaults, ...(saved || {}) };
+}
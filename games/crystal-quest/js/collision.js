@@ -0,0 +1,183 @@
+/**
+ * Crystal Quest - Collision
+ * Narrow-phase tests of the player's sphere against collider shapes, and a
+ * uniform grid broad phase so only nearby entities get tested.
+ *
+ * Collider shapes are plain objects; center/quaternion may be live references
+ * to a mesh's own position/quaternion so they never need syncing:
+ *   { kind: 'sphere',   center, radius }
+ *   { kind: 'box',      center, quaternion, halfExtents }   oriented box (OBB)
+ *   { kind: 'cylinder', center, radius, halfHeight }        upright cylinder, e.g. floor zones
+ */
+
+import * as THREE from 'three';
+
+// Result of a narrow-phase test
+export class Contact {
+    constructor() {
+        this.distance = Infinity; // Gap between the surfaces; negative = overlapping by that much
+        this.normal = new THREE.Vector3(); // Unit vector from the shape towards the sphere
+    }
+}
+
+const local = new THREE.Vector3();
+const inverse = new THREE.Quaternion();
+
+export function sphereVsSphere(center, radius, sphere, out) {
+    out.normal.subVectors(center, sphere.center);
+    const length = out.normal.length();
+    out.distance = length - radius - sphere.radius;
+    if (length > 0) {
+        out.normal.divideScalar(length);
+    } else {
+        out.normal.set(0, 1, 0);
+    }
+    return out;
+}
+
+export function sphereVsBox(center, radius, box, out) {
+    const { halfExtents } = box;
+
+    // Work in the box's frame, where it is axis-aligned at the origin
+    inverse.copy(box.quaternion).invert();
+    local.subVectors(center, box.center).applyQuaternion(inverse);
+
+    const outX = Math.abs(local.x) - halfExtents.x;
+    const outY = Math.abs(local.y) - halfExtents.y;
+    const outZ = Math.abs(local.z) - halfExtents.z;
+
+    if (outX > 0 || outY > 0 || outZ > 0) {
+        // Outside: push towards the closest point on the surface
+        out.normal.set(
+            outX > 0 ? Math.sign(local.x) * outX : 0,
+            outY > 0 ? Math.sign(local.y) * outY : 0,
+            outZ > 0 ? Math.sign(local.z) * outZ : 0
+        );
+        const length = out.normal.length();
+        out.normal.divideScalar(length);
+        out.distance = length - radius;
+    } else {
+        // Center inside: leave through the nearest face
+        const deepest = Math.max(outX, outY, outZ);
+        if (deepest === outX) {
+            out.normal.set(Math.sign(local.x) || 1, 0, 0);
+        } else if (deepest === outY) {
+            out.normal.set(0, Math.sign(local.y) || 1, 0);
+        } else {
+            out.normal.set(0, 0, Math.sign(local.z) || 1);
+        }
+        out.distance = deepest - radius;
+    }
+
+    out.normal.applyQuaternion(box.quaternion);
+    return out;
+}
+
+export function sphereVsCylinder(center, radius, cylinder, out) {
+    const dx = center.x - cylinder.center.x;
+    const dz = center.z - cylinder.center.z;
+    const dy = center.y - cylinder.center.y;
+    const horizontal = Math.hypot(dx, dz);
+    const outSide = horizontal - cylinder.radius;
+    const outCap = Math.abs(dy) - cylinder.halfHeight;
+
+    if (outSide > 0 && outCap > 0) {
+        // Nearest to the rim
+        out.normal.set((dx / horizontal) * outSide, Math.sign(dy) * outCap, (dz / horizontal) * outSide);
+        const length = out.normal.length();
+        out.normal.divideScalar(length);
+        out.distance = length - radius;
+    } else if (outSide > outCap) {
+        out.normal.set(horizontal > 0 ? dx / horizontal : 1, 0, horizontal > 0 ? dz / horizontal : 0);
+        out.distance = outSide - radius;
+    } else {
+        out.normal.set(0, Math.sign(dy) || 1, 0);
+        out.distance = outCap - radius;
+    }
+    return out;
+}
+
+const TESTS = {
+    sphere: sphereVsSphere,
+    box: sphereVsBox,
+    cylinder: sphereVsCylinder
+};
+
+// Test a sphere against any collider shape
+export function testSphere(center, radius, shape, out) {
+    return TESTS[shape.kind](center, radius, shape, out);
+}
+
+// Conservative XZ bounds [minX, minZ, maxX, maxZ] for the broad phase
+export function getShapeBounds(shape, out) {
+    let reach;
+    if (shape.kind === 'box') {
+        reach = shape.halfExtents.length();
+    } else {
+        reach = shape.radius;
+    }
+    out[0] = shape.center.x - reach;
+    out[1] = shape.center.z - reach;
+    out[2] = shape.center.x + reach;
+    out[3] = shape.center.z + reach;
+    return out;
+}
+
+/**
+ * Broad phase over the XZ plane. Items are inserted with their bounds and
+ * queried by area; results keep insertion order, so the simulation stays
+ * deterministic.
+ */
+export class UniformGrid {
+    constructor(cellSize = 4) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.seen = new Set();
+    }
+
+    // Empty every cell but keep the arrays for reuse
+    clear() {
+        this.cells.forEach(cell => {
+            cell.length = 0;
+        });
+    }
+
+    key(ix, iz) {
+        return (ix + 0x8000) * 0x10000 + (iz + 0x8000);
+    }
+
+    insert(item, bounds) {
+        const size = this.cellSize;
+        for (let ix = Math.floor(bounds[0] / size); ix <= Math.floor(bounds[2] / size); ix++) {
+            for (let iz = Math.floor(bounds[1] / size); iz <= Math.floor(bounds[3] / size); iz++) {
+                const key = this.key(ix, iz);
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                cell.push(item);
+            }
+        }
+    }
+
+    // Items whose cells overlap `bounds`, each once; fills and returns `out`
+    query(bounds, out = []) {
+        const size = this.cellSize;
+        out.length = 0;
+        this.seen.clear();
+
+        for (let ix = Math.floor(bounds[0] / size); ix <= Math.floor(bounds[2] / size); ix++) {
+            for (let iz = Math.floor(bounds[1] / size); iz <= Math.floor(bounds[3] / size); iz++) {
+                const cell = this.cells.get(this.key(ix, iz));
+                if (!cell) continue;
+                for (const item of cell) {
+                    if (this.seen.has(item)) continue;
+                    this.seen.add(item);
+                    out.push(item);
+                }
+            }
+        }
+        return out;
+    }
+}
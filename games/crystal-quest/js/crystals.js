@@ -0,0 +1,92 @@
+/**
+ * Crystal Quest - Crystal Field
+ * Draws every crystal in a level with two InstancedMeshes, the solid body
+ * and its glow shell, so a level costs two draw calls however many crystals
+ * it has. Gameplay still sees one plain Object3D per crystal (position,
+ * rotation, collider, optional point light); sync() copies their transforms
+ * into the instance buffers just before each render.
+ */
+
+import * as THREE from 'three';
+
+const hiddenMatrix = new THREE.Matrix4().makeScale(0, 0, 0);
+
+// Phong tints diffuse by the instance colour but not emissive; do both so crystals glow in their own colour
+function tintEmissive(shader) {
+    shader.fragmentShader = shader.fragmentShader.replace(
+        '#include <emissivemap_fragment>',
+        '#include <emissivemap_fragment>\n\ttotalEmissiveRadiance *= vColor;'
+    );
+}
+
+export class CrystalField {
+    /**
+     * @param {THREE.Object3D[]} crystals Each with userData.color (THREE.Color)
+     * @param {import('./resources.js').ResourceManager} resources
+     * @param {number} size Crystal radius
+     */
+    constructor(crystals, resources, size) {
+        this.crystals = crystals;
+
+        const bodyGeometry = resources.getGeometry('crystal', () => new THREE.OctahedronGeometry(size, 0));
+        const glowGeometry = resources.getGeometry('crystal-glow', () => new THREE.OctahedronGeometry(size * 1.5, 0));
+        const bodyMaterial = resources.getMaterial('crystal', () => {
+            const material = new THREE.MeshPhongMaterial({
+                color: 0xffffff,
+                emissive: 0xffffff,
+                emissiveIntensity: 0.5,
+                shininess: 100,
+                transparent: true,
+                opacity: 0.9
+            });
+            material.onBeforeCompile = tintEmissive;
+            return material;
+        });
+        const glowMaterial = resources.getMaterial('crystal-glow', () => new THREE.MeshBasicMaterial({
+            color: 0xffffff,
+            transparent: true,
+            opacity: 0.3,
+            side: THREE.BackSide
+        }));
+
+        this.object = new THREE.Group();
+        this.body = this.createMesh(bodyGeometry, bodyMaterial);
+        this.body.castShadow = true;
+        this.glow = this.createMesh(glowGeometry, glowMaterial);
+        this.sync();
+    }
+
+    createMesh(geometry, material) {
+        const mesh = new THREE.InstancedMesh(geometry, material, Math.max(1, this.crystals.length));
+        mesh.count = this.crystals.length;
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.frustumCulled = false; // Crystals drift (magnet), so a cached bounding sphere would go stale
+        this.crystals.forEach((crystal, i) => mesh.setColorAt(i, crystal.userData.color));
+        this.object.add(mesh);
+        return mesh;
+    }
+
+    // Pick up new userData.color values, e.g. after the colour palette changes
+    updateColors() {
+        [this.body, this.glow].forEach(mesh => {
+            this.crystals.forEach((crystal, i) => mesh.setColorAt(i, crystal.userData.color));
+            if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+        });
+    }
+
+    // Copy every crystal's current transform into both meshes; collected ones shrink to nothing
+    sync() {
+        this.crystals.forEach((crystal, i) => {
+            if (crystal.userData.collected) {
+                this.body.setMatrixAt(i, hiddenMatrix);
+                this.glow.setMatrixAt(i, hiddenMatrix);
+                return;
+            }
+            crystal.updateMatrix();
+            this.body.setMatrixAt(i, crystal.matrix);
+            this.glow.setMatrixAt(i, crystal.matrix);
+        });
+        this.body.instanceMatrix.needsUpdate = true;
+        this.glow.instanceMatrix.needsUpdate = true;
+    }
+}
@@ -0,0 +1,272 @@
+/**
+ * Crystal Quest - Debug Overlay
+ * Live FPS, frame-time graph, renderer.info counters and entity counts,
+ * plus frame-time traces that download as JSON for comparing devices.
+ * Toggle with the ` key, or open with ?debug=1.
+ *
+ * "Leak check" rebuilds the current level repeatedly and compares
+ * renderer.info.memory and the shader program count before and after;
+ * anything that grows means a teardown path forgot to release something.
+ * test/leak-check.mjs runs the same rebuilds for every level in Node and fails
+ * on growth, so a leak shows up without opening the overlay.
+ *
+ * Trace format (JSON):
+ *   {
+ *     "format": "crystal-quest-trace",
+ *     "version": 1,
+ *     "date": "2026-01-01T12:00:00.000Z",
+ *     "device": { "userAgent", "devicePixelRatio", "screen": [w, h], "hardwareConcurrency" },
+ *     "graphics": { "setting", "pixelRatio", "bloom", "shadows" },
+ *     "level": "first-light",
+ *     "duration": 10,                  seconds requested
+ *     "summary": { "frames", "avgFps", "p50", "p95", "p99", "max", "longFrames" },   ms; long = over 33.3 ms
+ *     "frames": [[t, frameMs, renderMs, drawCalls, triangles], ...]                    t = ms at the frame's end
+ *   }
+ */
+
+export const TRACE_FORMAT = 'crystal-quest-trace';
+export const TRACE_VERSION = 1;
+
+const TOGGLE_KEY = 'Backquote';
+const GRAPH_FRAMES = 120;
+const GRAPH_MAX_MS = 50; // Top of the graph
+const FPS_WINDOW = 0.5; // Seconds averaged for the FPS readout
+const LONG_FRAME_MS = 1000 / 30;
+const LEAK_CHECK_RUNS = 20;
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+export class DebugOverlay {
+    constructor(game, visible = false) {
+        this.game = game;
+        this.element = document.getElementById('debug-overlay');
+        this.statsElement = document.getElementById('debug-stats');
+        this.canvas = document.getElementById('debug-graph');
+        this.graph = this.canvas.getContext('2d');
+
+        this.frameTimes = new Float32Array(GRAPH_FRAMES); // Ring buffer, ms
+        this.frameIndex = 0;
+        this.windowTime = 0;
+        this.windowFrames = 0;
+        this.fps = 0;
+        this.trace = null;
+
+        document.addEventListener('keydown', (e) => {
+            if (e.code === TOGGLE_KEY && !e.repeat) this.toggle();
+        });
+        document.getElementById('debug-trace-btn').addEventListener('click', () => {
+            this.startTrace(Number(document.getElementById('debug-trace-seconds').value) || 10);
+        });
+        document.getElementById('debug-leak-btn').addEventListener('click', () => {
+            document.getElementById('debug-leak-result').textContent = this.checkLeaks();
+        });
+
+        this.setVisible(visible);
+    }
+
+    get visible() {
+        return !this.element.classList.contains('hidden');
+    }
+
+    // Counters only need collecting while someone is looking or a trace runs
+    get active() {
+        return this.visible || this.trace !== null;
+    }
+
+    toggle() {
+        this.setVisible(!this.visible);
+    }
+
+    setVisible(visible) {
+        this.element.classList.toggle('hidden', !visible);
+        if (visible) this.update();
+    }
+
+    /**
+     * Called once per rendered frame.
+     * @param {number} frameSeconds Time since the previous frame
+     * @param {number} renderMs Time spent in render()
+     */
+    frame(frameSeconds, renderMs) {
+        const frameMs = frameSeconds * 1000;
+        const { render } = this.game.renderer.info;
+
+        this.frameTimes[this.frameIndex] = frameMs;
+        this.frameIndex = (this.frameIndex + 1) % GRAPH_FRAMES;
+
+        if (this.trace) {
+            this.trace.elapsed += frameMs;
+            this.trace.frames.push([round(this.trace.elapsed), round(frameMs), round(renderMs), render.calls, render.triangles]);
+            if (this.trace.elapsed >= this.trace.duration * 1000) this.finishTrace();
+        }
+
+        this.windowTime += frameSeconds;
+        this.windowFrames++;
+        if (this.windowTime >= FPS_WINDOW) {
+            this.fps = this.windowFrames / this.windowTime;
+            this.windowTime = 0;
+            this.windowFrames = 0;
+            if (this.visible) this.update();
+        }
+        if (this.visible) this.drawGraph();
+    }
+
+    update() {
+        const { game } = this;
+        const { render, memory, programs } = game.renderer.info;
+        const adaptive = game.adaptiveQuality;
+        const shared = game.resources.getStats();
+        let lights = 0;
+        game.scene.traverse(object => {
+            if (object.isLight && object.visible) lights++;
+        });
+
+        const rows = [
+            ['FPS', this.fps.toFixed(0)],
+            ['Draw calls', render.calls],
+            ['Triangles', render.triangles.toLocaleString()],
+            ['Points', render.points.toLocaleString()],
+            ['Geometries', memory.geometries],
+            ['Textures', memory.textures],
+            ['Programs', programs ? programs.length : 0],
+            ['Shared', `${shared.geometries} geo · ${shared.materials} mat`],
+            ['Lights', lights],
+            ['Pixel ratio', game.renderer.getPixelRatio().toFixed(2)],
+            ['Quality', adaptive ? `auto · bloom ${adaptive.bloom ? 'on' : 'off'}` : game.settings.get('graphicsQuality')],
+            ['Particles', game.particleSystem.getActiveCount()],
+            ['Crystals', game.state.crystals.filter(crystal => !crystal.userData.collected).length],
+            ['Obstacles', game.state.obstacles.length],
+            ['Power-ups', game.powerups.getObjects().length],
+            ['Ticks', game.state.ticks]
+        ];
+        if (this.trace) {
+            rows.push(['Tracing', `${this.trace.frames.length} frames`]);
+        }
+
+        this.statsElement.replaceChildren(...rows.map(([label, value]) => {
+            const row = document.createElement('div');
+            const name = document.createElement('span');
+            name.textContent = label;
+            const text = document.createElement('b');
+            text.textContent = value;
+            row.append(name, text);
+            return row;
+        }));
+    }
+
+    drawGraph() {
+        if (!this.graph) return;
+
+        const { width, height } = this.canvas;
+        const ctx = this.graph;
+        const barWidth = width / GRAPH_FRAMES;
+        const y = (ms) => height - Math.min(ms / GRAPH_MAX_MS, 1) * height;
+
+        ctx.clearRect(0, 0, width, height);
+        for (let i = 0; i < GRAPH_FRAMES; i++) {
+            const ms = this.frameTimes[(this.frameIndex + i) % GRAPH_FRAMES];
+            ctx.fillStyle = ms > LONG_FRAME_MS ? '#ff3366' : ms > 1000 / 55 ? '#ffcc00' : '#00f5ff';
+            ctx.fillRect(i * barWidth, y(ms), Math.max(1, barWidth - 1), height - y(ms));
+        }
+
+        // 60 and 30 FPS guides
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.fillRect(0, y(1000 / 60), width, 1);
+        ctx.fillRect(0, y(LONG_FRAME_MS), width, 1);
+    }
+
+    // Snapshot of what the renderer holds on the GPU
+    getMemory() {
+        const { memory, programs } = this.game.renderer.info;
+        return { geometries: memory.geometries, textures: memory.textures, programs: programs ? programs.length : 0 };
+    }
+
+    /**
+     * Tear down and rebuild the current level `runs` times, rendering each
+     * rebuild so its resources get uploaded. Returns a one-line verdict.
+     */
+    checkLeaks(runs = LEAK_CHECK_RUNS) {
+        const { game } = this;
+        if (game.state.isPlaying) return 'Finish or quit the run first';
+
+        const { levelIndex, mode } = game.state;
+        const rebuild = () => {
+            game.loadLevel(levelIndex, mode);
+            game.render(1, Infinity);
+        };
+
+        // The first rebuilds fill the shared caches and compile shaders
+        rebuild();
+        rebuild();
+        const before = this.getMemory();
+        for (let i = 0; i < runs; i++) rebuild();
+        const after = this.getMemory();
+
+        const grown = Object.keys(before).filter(key => after[key] > before[key]);
+        const counts = Object.keys(before).map(key => `${key} ${before[key]}→${after[key]}`).join(', ');
+        this.update();
+        return `${grown.length ? '⚠ Grew' : '✓ Flat'} after ${runs} rebuilds: ${counts}`;
+    }
+
+    startTrace(seconds) {
+        if (this.trace) return;
+        this.trace = { elapsed: 0, duration: seconds, frames: [] };
+        document.getElementById('debug-trace-btn').disabled = true;
+    }
+
+    finishTrace() {
+        const { trace } = this;
+        this.trace = null;
+        document.getElementById('debug-trace-btn').disabled = false;
+
+        const blob = new Blob([JSON.stringify(this.buildTrace(trace))], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `crystal-quest-trace-${Date.now()}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    buildTrace({ duration, frames }) {
+        const { game } = this;
+        const sorted = frames.map(frame => frame[1]).sort((a, b) => a - b);
+        const total = sorted.reduce((sum, ms) => sum + ms, 0);
+
+        return {
+            format: TRACE_FORMAT,
+            version: TRACE_VERSION,
+            date: new Date().toISOString(),
+            device: {
+                userAgent: navigator.userAgent,
+                devicePixelRatio: window.devicePixelRatio,
+                screen: [window.screen.width, window.screen.height],
+                hardwareConcurrency: navigator.hardwareConcurrency || null
+            },
+            graphics: {
+                setting: game.settings.get('graphicsQuality'),
+                pixelRatio: game.renderer.getPixelRatio(),
+                bloom: game.bloomPass.enabled,
+                shadows: game.renderer.shadowMap.enabled
+            },
+            level: game.state.level.id,
+            duration,
+            summary: {
+                frames: frames.length,
+                avgFps: total > 0 ? round(frames.length / (total / 1000)) : 0,
+                p50: percentile(sorted, 0.5),
+                p95: percentile(sorted, 0.95),
+                p99: percentile(sorted, 0.99),
+                max: sorted.length ? sorted[sorted.length - 1] : 0,
+                longFrames: sorted.filter(ms => ms > LONG_FRAME_MS).length
+            },
+            frames
+        };
+    }
+}
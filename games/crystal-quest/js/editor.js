@@ -0,0 +1,713 @@
+/**
+ * Crystal Quest - Level Editor
+ * Opened with ?editor=1. The editor only owns level data: after every change
+ * it hands the level to the game as 'custom' mode and rebuilds it with the
+ * normal loadLevel(), in the same scene, camera and renderer, so the layout
+ * on screen is exactly the one test-play runs.
+ *
+ * On the platform (mouse or touch):
+ *   Select     pick the nearest item; drag to move it
+ *   Crystal, Obstacle, Power-up   place one where you click, then drag it into place
+ *   Delete     remove the item you click (Delete / Backspace removes the selection)
+ * The mouse wheel zooms. Levels are saved and loaded in the format described
+ * in level-format.js; the level being edited also survives a page reload.
+ */
+
+import * as THREE from 'three';
+import { OBSTACLE_TYPES } from './obstacles.js';
+import { POWERUP_TYPES } from './powerups.js';
+import { LEVEL_LIMITS, validateLevel, serializeLevel, parseLevel } from './level-format.js';
+
+const STORAGE_KEY = 'crystalQuest.editorLevel';
+const PICK_RADIUS = 1.5; // How close a click has to be to an item to grab it
+const EDGE_MARGIN = 0.5; // Items are kept this far inside a flat platform's rim
+const CRYSTAL_HEIGHT = 1.2;
+const ZOOM_RANGE = [0.4, 2];
+
+// Fresh obstacles start with the type's defaults written out, so every field shows up for editing
+const OBSTACLE_DEFAULTS = {
+    wall: { speed: 0.01, direction: 1 },
+    cube: { speed: 0.01, direction: 1 },
+    chaser: { speed: 0.09, delay: 1.5 },
+    sweeper: { length: 6, speed: 0.01, direction: 1 },
+    hazard: { radius: 2.5, period: 4 },
+    patrol: { speed: 0.06, length: 3 }
+};
+
+// Editable fields per item; `options` makes a drop-down, anything else a number input
+const DIRECTION = { key: 'direction', label: 'Direction', options: [[1, 'Clockwise'], [-1, 'Anticlockwise']] };
+const FIELDS = {
+    crystal: [{ key: 'y', label: 'Height', min: 0, max: 4, step: 0.1 }],
+    powerup: [],
+    wall: [
+        { key: 'radius', label: 'Orbit radius', min: 1, step: 0.5 },
+        { key: 'speed', label: 'Speed (rad/tick)', min: 0, max: 0.05, step: 0.001 },
+        DIRECTION
+    ],
+    chaser: [
+        { key: 'speed', label: 'Top speed', min: 0, max: 0.3, step: 0.01 },
+        { key: 'delay', label: 'Delay (s)', min: 0, max: 10, step: 0.5 }
+    ],
+    sweeper: [
+        { key: 'length', label: 'Beam length', min: 1, max: 12, step: 0.5 },
+        { key: 'speed', label: 'Speed (rad/tick)', min: 0, max: 0.05, step: 0.001 },
+        DIRECTION
+    ],
+    hazard: [
+        { key: 'radius', label: 'Zone radius', min: 0.5, max: 6, step: 0.5 },
+        { key: 'period', label: 'Cycle (s)', min: 1, max: 10, step: 0.5 }
+    ],
+    patrol: [
+        { key: 'speed', label: 'Speed', min: 0, max: 0.3, step: 0.01 },
+        { key: 'length', label: 'Wall length', min: 1, max: 8, step: 0.5 }
+    ]
+};
+FIELDS.cube = FIELDS.wall;
+
+// Round to a few decimals so saved files stay readable
+function snap(value, decimals = 1) {
+    const scale = 10 ** decimals;
+    return Math.round(value * scale) / scale;
+}
+
+function isOrbiter(item) {
+    return item.type === 'wall' || item.type === 'cube';
+}
+
+function getObstaclePosition(item) {
+    if (isOrbiter(item)) {
+        const radius = item.radius ?? 8;
+        const angle = item.angle ?? 0;
+        return { x: Math.cos(angle) * radius, z: Math.sin(angle) * radius };
+    }
+    if (item.type === 'patrol') {
+        const { path } = item;
+        return {
+            x: path.reduce((sum, point) => sum + point.x, 0) / path.length,
+            z: path.reduce((sum, point) => sum + point.z, 0) / path.length
+        };
+    }
+    return { x: item.x ?? 0, z: item.z ?? 0 };
+}
+
+// Orbiters move along their orbit settings, patrols carry their whole path along
+function moveObstacle(item, x, z) {
+    if (isOrbiter(item)) {
+        item.radius = snap(Math.hypot(x, z));
+        item.angle = snap(Math.atan2(z, x), 2);
+    } else if (item.type === 'patrol') {
+        const center = getObstaclePosition(item);
+        item.path = item.path.map(point => ({ x: snap(point.x + x - center.x), z: snap(point.z + z - center.z) }));
+    } else {
+        item.x = snap(x);
+        item.z = snap(z);
+    }
+}
+
+function createObstacleItem(type, x, z) {
+    const item = { type, ...OBSTACLE_DEFAULTS[type] };
+    if (type === 'patrol') item.path = [{ x: x - 3, z }, { x: x + 3, z }];
+    moveObstacle(item, x, z);
+    return item;
+}
+
+function slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'custom-level';
+}
+
+export class LevelEditor {
+    constructor(game) {
+        this.game = game;
+        this.panel = document.getElementById('editor-panel');
+        this.canvas = game.renderer.domElement;
+        this.editing = false;
+        this.tool = 'select';
+        this.selection = null; // { kind: 'crystal' | 'obstacle' | 'powerup', index }
+        this.dragging = false;
+        this.rebuildQueued = false;
+        this.zoom = 1;
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        this.groundHit = new THREE.Vector3();
+
+        this.level = this.loadSaved() || LevelEditor.createLevel();
+        this.createMarkers();
+        this.setupListeners();
+    }
+
+    // Starting point for "New": a plain circle with a few crystals and one orbiting wall
+    static createLevel() {
+        return {
+            id: 'custom-level',
+            name: 'Custom Level',
+            timeLimit: 90,
+            platform: { shape: 'circle', radius: 15 },
+            crystals: { positions: [{ x: 0, z: -5, y: CRYSTAL_HEIGHT }, { x: 5, z: 0, y: CRYSTAL_HEIGHT }, { x: -5, z: 0, y: CRYSTAL_HEIGHT }] },
+            obstacles: { items: [createObstacleItem('wall', 8, 0)] },
+            powerups: { items: [] }
+        };
+    }
+
+    // Ring under the selected item, plus the orbit it follows when it is an orbiter
+    createMarkers() {
+        this.markers = new THREE.Group();
+        this.markers.visible = false;
+
+        this.selectionRing = new THREE.Mesh(
+            new THREE.TorusGeometry(1, 0.06, 8, 32),
+            new THREE.MeshBasicMaterial({ color: 0xffcc00 })
+        );
+        this.selectionRing.rotation.x = Math.PI / 2;
+
+        const points = [];
+        for (let i = 0; i <= 64; i++) {
+            const angle = (i / 64) * Math.PI * 2;
+            points.push(new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle)));
+        }
+        this.orbitLine = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color: 0xffcc00, transparent: true, opacity: 0.5 })
+        );
+        this.orbitLine.position.y = 0.05;
+
+        this.markers.add(this.selectionRing, this.orbitLine);
+        this.game.scene.add(this.markers);
+    }
+
+    setupListeners() {
+        this.panel.querySelectorAll('[data-tool]').forEach(button => {
+            button.addEventListener('click', () => this.setTool(button.dataset.tool));
+        });
+
+        const obstacleType = document.getElementById('editor-obstacle-type');
+        Object.keys(OBSTACLE_TYPES).forEach(type => obstacleType.add(new Option(type, type)));
+        const powerupType = document.getElementById('editor-powerup-type');
+        Object.entries(POWERUP_TYPES).forEach(([key, type]) => powerupType.add(new Option(`${type.icon} ${type.label}`, key)));
+
+        this.panel.querySelectorAll('[data-level]').forEach(input => {
+            input.addEventListener('change', () => this.setLevelField(input.dataset.level, input.value));
+        });
+        this.panel.querySelectorAll('[data-platform]').forEach(input => {
+            input.addEventListener('change', () => this.setPlatformField(input.dataset.platform, input.value));
+        });
+
+        document.getElementById('editor-play-btn').addEventListener('click', () => this.testPlay());
+        document.getElementById('editor-save-btn').addEventListener('click', () => this.download());
+        document.getElementById('editor-load-btn').addEventListener('click', () => {
+            document.getElementById('editor-file').click();
+        });
+        document.getElementById('editor-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.loadFile(file);
+        });
+        document.getElementById('editor-new-btn').addEventListener('click', () => {
+            if (!window.confirm('Start a new level? The current one is lost unless you saved it.')) return;
+            this.setLevel(LevelEditor.createLevel());
+            this.setStatus('New level');
+        });
+        document.getElementById('edit-level-btn').addEventListener('click', () => this.open());
+
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        window.addEventListener('pointerup', () => {
+            this.dragging = false;
+        });
+        this.canvas.addEventListener('wheel', (e) => {
+            if (!this.editing) return;
+            e.preventDefault();
+            this.zoom = THREE.MathUtils.clamp(this.zoom * (1 + e.deltaY * 0.001), ...ZOOM_RANGE);
+        }, { passive: false });
+
+        document.addEventListener('keydown', (e) => {
+            if (!this.editing || e.target.closest('input, select')) return;
+            if (e.code === 'Delete' || e.code === 'Backspace') {
+                e.preventDefault();
+                this.deleteSelection();
+            } else if (e.code === 'Escape') {
+                this.select(null);
+            }
+        });
+    }
+
+    // ============================================
+    // Opening & Test Play
+    // ============================================
+    open() {
+        const { game } = this;
+        this.editing = true;
+
+        ['start-screen', 'game-message', 'level-select', 'pause-menu'].forEach(id => {
+            document.getElementById(id).classList.add('hidden');
+        });
+        document.getElementById('hud').classList.remove('visible');
+        game.hidePlayControls();
+        this.panel.classList.remove('hidden');
+
+        this.renderPanel();
+        this.rebuild();
+        game.loop.start();
+    }
+
+    testPlay() {
+        try {
+            validateLevel(this.level);
+        } catch (error) {
+            this.setStatus(error.message, true);
+            return;
+        }
+
+        this.editing = false;
+        this.dragging = false;
+        this.markers.visible = false;
+        this.panel.classList.add('hidden');
+        this.setStatus('');
+        this.game.playLevel(0, 'custom');
+    }
+
+    // Build the level in the game; the camera and markers follow in updateCamera()
+    rebuild() {
+        this.game.state.customLevel = this.level;
+        this.game.loadLevel(0, 'custom');
+        this.save();
+    }
+
+    // Several edits in one frame (a drag) cost one rebuild
+    scheduleRebuild() {
+        if (this.rebuildQueued) return;
+        this.rebuildQueued = true;
+        requestAnimationFrame(() => {
+            this.rebuildQueued = false;
+            if (this.editing) this.rebuild();
+        });
+    }
+
+    // Called by the game's render() instead of its follow camera while editing
+    updateCamera() {
+        const { camera } = this.game;
+        const distance = (this.level.platform.radius * 1.6 + 6) * this.zoom;
+        camera.position.set(0, distance, distance * 0.45);
+        camera.lookAt(0, 0, 0);
+        this.updateMarkers();
+    }
+
+    updateMarkers() {
+        const item = this.getSelectedItem();
+        this.markers.visible = this.editing && item !== null;
+        if (!this.markers.visible) return;
+
+        const { x, z } = this.getPosition(this.selection.kind, item);
+        const ground = this.game.arena.getHeight(x, z);
+        this.selectionRing.position.set(x, (Number.isFinite(ground) ? ground : 0) + 0.1, z);
+
+        this.orbitLine.visible = this.selection.kind === 'obstacle' && isOrbiter(item);
+        if (this.orbitLine.visible) this.orbitLine.scale.setScalar(item.radius ?? 8);
+    }
+
+    // ============================================
+    // Items
+    // ============================================
+    getList(kind) {
+        const { crystals, obstacles, powerups } = this.level;
+        if (kind === 'crystal') return crystals.positions;
+        return kind === 'obstacle' ? obstacles.items : powerups.items;
+    }
+
+    getPosition(kind, item) {
+        return kind === 'obstacle' ? getObstaclePosition(item) : { x: item.x, z: item.z };
+    }
+
+    getSelectedItem() {
+        if (!this.selection) return null;
+        return this.getList(this.selection.kind)[this.selection.index] || null;
+    }
+
+    // Nearest item within PICK_RADIUS of a ground point, as a selection
+    pick(point) {
+        let best = null;
+        let bestDistance = PICK_RADIUS;
+        ['crystal', 'obstacle', 'powerup'].forEach(kind => {
+            this.getList(kind).forEach((item, index) => {
+                const { x, z } = this.getPosition(kind, item);
+                const distance = Math.hypot(x - point.x, z - point.z);
+                if (distance < bestDistance) {
+                    best = { kind, index };
+                    bestDistance = distance;
+                }
+            });
+        });
+        return best;
+    }
+
+    add(kind, point) {
+        const list = this.getList(kind);
+        const limit = kind === 'crystal' ? LEVEL_LIMITS.crystals[1] : LEVEL_LIMITS[`${kind}s`];
+        if (list.length >= limit) {
+            this.setStatus(`A level can have at most ${limit} ${kind}s`, true);
+            return;
+        }
+
+        const x = snap(point.x);
+        const z = snap(point.z);
+        if (kind === 'crystal') {
+            list.push({ x, z, y: CRYSTAL_HEIGHT });
+        } else if (kind === 'obstacle') {
+            list.push(createObstacleItem(document.getElementById('editor-obstacle-type').value, x, z));
+        } else {
+            list.push({ type: document.getElementById('editor-powerup-type').value, x, z });
+        }
+        this.select({ kind, index: list.length - 1 });
+        this.dragging = true;
+        this.scheduleRebuild();
+    }
+
+    move(selection, point) {
+        const item = this.getList(selection.kind)[selection.index];
+        if (selection.kind === 'obstacle') {
+            moveObstacle(item, point.x, point.z);
+        } else {
+            item.x = snap(point.x);
+            item.z = snap(point.z);
+        }
+        this.scheduleRebuild();
+    }
+
+    deleteSelection() {
+        if (!this.selection) return;
+        this.getList(this.selection.kind).splice(this.selection.index, 1);
+        this.select(null);
+        this.scheduleRebuild();
+    }
+
+    select(selection) {
+        this.selection = selection;
+        this.renderSelection();
+    }
+
+    setTool(tool) {
+        this.tool = tool;
+        this.panel.querySelectorAll('[data-tool]').forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        });
+    }
+
+    /**
+     * Where a pointer event meets the ground plane, pulled inside a flat
+     * platform so nothing lands off the edge. Null when it misses the ground.
+     */
+    getGroundPoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.game.camera);
+        const point = this.raycaster.ray.intersectPlane(this.groundPlane, this.groundHit);
+        if (!point) return null;
+
+        const { shape, radius } = this.level.platform;
+        const limit = radius - EDGE_MARGIN;
+        const distance = Math.hypot(point.x, point.z);
+        if (shape !== 'arena' && distance > limit) {
+            point.x *= limit / distance;
+            point.z *= limit / distance;
+        }
+        return point;
+    }
+
+    handlePointerDown(event) {
+        if (!this.editing) return;
+        const point = this.getGroundPoint(event);
+        if (!point) return;
+
+        if (this.tool === 'select' || this.tool === 'delete') {
+            this.select(this.pick(point));
+            if (this.tool === 'delete') {
+                this.deleteSelection();
+            } else {
+                this.dragging = this.selection !== null;
+            }
+        } else {
+            this.add(this.tool, point);
+        }
+    }
+
+    handlePointerMove(event) {
+        if (!this.editing || !this.dragging || !this.selection) return;
+        const point = this.getGroundPoint(event);
+        if (point) this.move(this.selection, point);
+    }
+
+    // ============================================
+    // Panel
+    // ============================================
+    renderPanel() {
+        const { level } = this;
+        this.panel.querySelector('[data-level="name"]').value = level.name;
+        this.panel.querySelector('[data-level="timeLimit"]').value = level.timeLimit;
+        this.panel.querySelector('[data-level="contact"]').value = level.contact || '';
+
+        const { platform } = level;
+        this.panel.querySelectorAll('[data-platform]').forEach(input => {
+            const key = input.dataset.platform;
+            input.value = platform[key] ?? '';
+            input.closest('label').classList.toggle('hidden',
+                (key === 'sides' && platform.shape !== 'polygon') || (key === 'islands' && platform.shape !== 'arena'));
+        });
+
+        this.setTool(this.tool);
+        this.renderSelection();
+    }
+
+    // Fields of the selected item, written straight back into the level on change
+    renderSelection() {
+        const container = document.getElementById('editor-selection');
+        const item = this.getSelectedItem();
+        if (!item) {
+            container.textContent = 'Nothing selected';
+            return;
+        }
+
+        const { kind } = this.selection;
+        const rows = [];
+
+        if (kind !== 'crystal') {
+            const types = kind === 'obstacle'
+                ? Object.keys(OBSTACLE_TYPES).map(type => [type, type])
+                : Object.entries(POWERUP_TYPES).map(([key, type]) => [key, `${type.icon} ${type.label}`]);
+            rows.push(this.createField({ key: 'type', label: 'Type', options: types }, item.type, (value) => {
+                this.setType(value);
+            }));
+        }
+
+        const fields = kind === 'obstacle' ? FIELDS[item.type] : FIELDS[kind];
+        fields.forEach(field => {
+            const max = field.max ?? this.level.platform.radius;
+            rows.push(this.createField({ ...field, max }, item[field.key], (value) => {
+                if (value === '') {
+                    delete item[field.key]; // Back to the type's default
+                } else {
+                    item[field.key] = field.options ? Number(value) : THREE.MathUtils.clamp(Number(value), field.min, max);
+                }
+                this.scheduleRebuild();
+            }));
+        });
+
+        const remove = document.createElement('button');
+        remove.className = 'seed-btn';
+        remove.textContent = 'Delete';
+        remove.addEventListener('click', () => this.deleteSelection());
+        rows.push(remove);
+
+        container.replaceChildren(...rows);
+    }
+
+    createField(field, value, onChange) {
+        const row = document.createElement('label');
+        row.className = 'setting-row';
+        const name = document.createElement('span');
+        name.textContent = field.label;
+
+        let input;
+        if (field.options) {
+            input = document.createElement('select');
+            field.options.forEach(([optionValue, label]) => input.add(new Option(label, optionValue)));
+        } else {
+            input = document.createElement('input');
+            input.type = 'number';
+            input.min = field.min;
+            input.max = field.max;
+            input.step = field.step;
+            input.placeholder = 'default';
+        }
+        input.value = value ?? '';
+        input.addEventListener('change', () => onChange(input.value));
+
+        row.append(name, input);
+        return row;
+    }
+
+    // Changing an obstacle's type starts it over with the new type's defaults in the same spot
+    setType(type) {
+        const { kind, index } = this.selection;
+        const list = this.getList(kind);
+        const item = list[index];
+
+        if (kind === 'obstacle') {
+            const { x, z } = getObstaclePosition(item);
+            list[index] = createObstacleItem(type, x, z);
+        } else {
+            item.type = type;
+        }
+        this.renderSelection();
+        this.scheduleRebuild();
+    }
+
+    setLevelField(key, value) {
+        const { level } = this;
+        if (key === 'name') {
+            level.name = value.trim().slice(0, LEVEL_LIMITS.nameLength) || 'Custom Level';
+            level.id = slugify(level.name);
+        } else if (key === 'timeLimit') {
+            level.timeLimit = THREE.MathUtils.clamp(Math.round(Number(value)) || 0, ...LEVEL_LIMITS.timeLimit);
+        } else if (value) {
+            level.contact = value;
+        } else {
+            delete level.contact;
+        }
+        this.renderPanel();
+        this.scheduleRebuild();
+    }
+
+    setPlatformField(key, value) {
+        const { platform } = this.level;
+        if (key === 'shape') {
+            platform.shape = value;
+            delete platform.sides;
+            delete platform.islands;
+            if (value === 'polygon') platform.sides = 6;
+            if (value === 'arena') platform.islands = 6;
+        } else {
+            const limits = LEVEL_LIMITS[key];
+            platform[key] = THREE.MathUtils.clamp(Math.round(Number(value)) || limits[0], ...limits);
+        }
+        this.keepOnPlatform();
+        this.renderPanel();
+        this.scheduleRebuild();
+    }
+
+    // After the platform shrinks, pull everything back inside its rim
+    keepOnPlatform() {
+        const { shape, radius } = this.level.platform;
+        const limit = radius - EDGE_MARGIN;
+
+        ['crystal', 'obstacle', 'powerup'].forEach(kind => {
+            this.getList(kind).forEach(item => {
+                const { x, z } = this.getPosition(kind, item);
+                const distance = Math.hypot(x, z);
+                const outside = kind === 'obstacle' && isOrbiter(item) ? distance > radius : shape !== 'arena' && distance > limit;
+                if (!outside) return;
+
+                const scale = limit / distance;
+                if (kind === 'obstacle') {
+                    moveObstacle(item, x * scale, z * scale);
+                } else {
+                    item.x = snap(x * scale);
+                    item.z = snap(z * scale);
+                }
+            });
+        });
+    }
+
+    setStatus(text, isError = false) {
+        const status = document.getElementById('editor-status');
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+
+    // ============================================
+    // Saving & Loading
+    // ============================================
+    setLevel(level) {
+        this.level = level;
+        this.select(null);
+        this.renderPanel();
+        this.rebuild();
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, serializeLevel(this.level));
+        } catch (e) {
+            // Storage may be unavailable; the level still lives until the page closes
+        }
+    }
+
+    loadSaved() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            return saved ? this.toEditable(parseLevel(saved)) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    download() {
+        try {
+            validateLevel(this.level);
+        } catch (error) {
+            this.setStatus(error.message, true);
+            return;
+        }
+
+        const blob = new Blob([serializeLevel(this.level)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${this.level.id}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        this.setStatus(`Saved ${link.download}`);
+    }
+
+    loadFile(file) {
+        file.text()
+            .then(text => {
+                this.setLevel(this.flatten(parseLevel(text)));
+                this.setStatus(`Loaded ${this.level.name}`);
+            })
+            .catch(error => this.setStatus(`Could not load level: ${error.message}`, true));
+    }
+
+    // Fill in the lists the editor expects; files it wrote come back unchanged
+    toEditable(level) {
+        const isFixed = level.crystals.positions && !Array.isArray(level.obstacles) && level.obstacles.items
+            && (!level.powerups || level.powerups.items);
+        if (!isFixed) return this.flatten(level);
+        return { ...level, powerups: level.powerups || { items: [] } };
+    }
+
+    /**
+     * Turn spawn rules (a hand-written or campaign-style file) into fixed
+     * items by building the level once and reading back where things went.
+     */
+    flatten(level) {
+        const { game } = this;
+        game.state.customLevel = level;
+        game.loadLevel(0, 'custom');
+
+        const ground = (x, z) => {
+            const height = game.arena.getHeight(x, z);
+            return Number.isFinite(height) ? height : 0;
+        };
+        const obstacles = game.getObstacleLayout(level.obstacles).map(spec => {
+            const { spawn, count, minRadius, maxRadius, minSpeed, maxSpeed, ...item } = spec;
+            if (item.contact === undefined) delete item.contact;
+            Object.keys(item).forEach(key => {
+                if (typeof item[key] === 'number') item[key] = snap(item[key], 4);
+            });
+            return item;
+        });
+
+        const flat = {
+            id: level.id,
+            name: level.name,
+            timeLimit: level.timeLimit,
+            platform: { ...level.platform },
+            crystals: {
+                positions: game.state.crystals.map(({ position }) => ({
+                    x: snap(position.x),
+                    z: snap(position.z),
+                    y: snap(position.y - ground(position.x, position.z))
+                }))
+            },
+            obstacles: { items: obstacles },
+            powerups: {
+                items: game.powerups.pickups.map(({ key, mesh }) => ({ type: key, x: snap(mesh.position.x), z: snap(mesh.position.z) }))
+            }
+        };
+        if (level.contact) flat.contact = level.contact;
+        return flat;
+    }
+}
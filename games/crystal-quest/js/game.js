@@ -8,40 +8,132 @@ import * as THREE from 'three';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { LEVELS, DAILY_LEVEL, getLevelName } from './levels.js';
+import { SeededRandom, SEED_PATTERN, createSeed, getDailySeed } from './random.js';
+import { FixedStepLoop } from './loop.js';
+import { Replay, ReplayRecorder, BUTTONS } from './replay.js';
+import { Settings } from './settings.js';
+import { ScoreKeeper, SCORING } from './scoring.js';
+import { Profile } from './profile.js';
+import { createObstacle } from './obstacles.js';
+import { PowerUpManager } from './powerups.js';
+import { AudioManager } from './audio.js';
+import { QUALITY_PRESETS, AdaptiveQuality } from './graphics.js';
+import { DebugOverlay } from './debug.js';
+import { LevelEditor } from './editor.js';
+import { OnlineRace } from './online.js';
+import { GhostStore, GhostRecorder, Ghost } from './ghost.js';
+import { getPalette, getCrystalColor, isReducedMotion, onMotionPreferenceChange, Announcer, OverlayFocus } from './accessibility.js';
+import { i18n, t, formatTime, formatPlayTime, formatSeconds } from './i18n.js';
+import { ResourceManager } from './resources.js';
+import { ParticleSystem } from './particles.js';
+import { CrystalField } from './crystals.js';
+import { createArena } from './arena.js';
+import { movePlayer } from './physics.js';
+import { Contact, UniformGrid, testSphere, getShapeBounds } from './collision.js';
+import { LeaderboardClient, HttpTransport, LocalTransport, LEADERBOARD } from './leaderboard.js';
+import {
+    ACTIONS, MOVEMENT_ACTIONS, DEFAULT_KEY_BINDINGS, DEFAULT_GAMEPAD_BINDINGS, VERSUS_KEY_BINDINGS,
+    resolveBindings, getKeyLabel, getButtonLabel
+} from './bindings.js';
 
 // ============================================
 // Device Detection & Performance Config
 // ============================================
 const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) || window.innerWidth < 768;
 const isLowPerf = isMobile || navigator.hardwareConcurrency <= 4;
+const URL_PARAMS = new URLSearchParams(window.location.search);
 
 // ============================================
 // Game Configuration
 // ============================================
+// Movement values are per simulation tick (CONFIG.simulation.tickRate per second)
 const CONFIG = {
+    simulation: {
+        tickRate: 60,
+        maxFrameTime: 0.25 // Seconds; longer frames are dropped instead of simulated
+    },
     player: {
         maxSpeed: isMobile ? 0.18 : 0.2,
         acceleration: 0.015,
         friction: 0.92,
-        size: 0.5,
-        color: 0x00f5ff,
-        emissive: 0x00f5ff,
-        emissiveIntensity: 0.5
+        size: 0.5, // Colours come from the palette, see accessibility.js
+        emissiveIntensity: 0.5,
+        opacity: 0.9,
+        gravity: 0.012,
+        jumpSpeed: 0.22, // Apex about 2 units up
+        stepHeight: 0.35, // Higher ground than this above the feet is a wall, unless jumped onto
+        coyoteTime: 0.1, // Seconds after walking off an edge that a jump still works
+        fallLimit: -15 // Falling past this height costs a life
     },
     crystal: {
-        count: isMobile ? 8 : 10,
+        countScale: isMobile ? 0.8 : 1, // Applied to campaign spawn rules
         size: 0.4,
+        height: [1, 1.5], // Above the ground under them, unless a layout says otherwise
+        spacing: 2, // Minimum gap between scattered crystals
+        leap: 2.5, // Longest gap the reachability check assumes a player can jump
+        pickupRadius: 0.6, // Sphere around the crystal's glow shell, so corners always count
         rotationSpeed: 0.02,
         floatSpeed: 0.003,
         floatAmount: 0.3
     },
+    particles: {
+        capacity: isMobile ? 2048 : 8192, // Pool size; the oldest particles are recycled first
+        // Velocities per second; lift is a [min, max] upward speed
+        burst: { count: isMobile ? 12 : 20, speed: 9, lift: [6, 18], gravity: -18, life: 0.55, size: isMobile ? 0.2 : 0.15 },
+        trail: { interval: 2, speed: 0.6, life: 0.5, size: 0.1, minSpeed: 0.05 }, // interval in ticks, minSpeed per tick
+        motes: { life: 4, rise: 0.5, drift: 0.2, size: 0.12, color: 0x6f8cff } // Rate comes from the quality preset
+    },
     obstacle: {
-        count: isMobile ? 4 : 5,
+        countScale: isMobile ? 0.8 : 1, // Applied to campaign spawn rules
         speed: 0.01
     },
-    platform: {
-        radius: 15,
-        segments: isMobile ? 32 : 64
+    collision: {
+        gridCellSize: 4,
+        response: 'gameOver', // Default contact response: 'gameOver' | 'knockback' | 'bounce'
+        knockbackSpeed: 0.25,
+        knockbackCooldown: 0.5, // Seconds after a knockback before the next one costs the combo
+        restitution: 0.6 // Share of speed kept when bouncing off a solid obstacle
+    },
+    powerups: {
+        hitGrace: 1 // Seconds of invulnerability after a shield pops
+    },
+    // Local two-player runs
+    versus: {
+        spawnOffset: 1.5, // Players start this far either side of the centre
+        cameraZoom: 0.06, // Extra camera distance per unit the players are apart, so both stay in frame
+        maxZoom: 2
+    },
+    // Online races against a server/game-server.mjs (see online.js)
+    online: {
+        server: URL_PARAMS.get('server') || 'ws://localhost:8790', // Can also be typed in on the online screen
+        maxPlayers: 8,
+        colors: [0x7dff6b, 0xff5ce1, 0xffe45c, 0x9d7bff, 0xff5c5c, 0x5cb8ff], // Slots 2-7; 0 and 1 take the palette's player colours
+        spawnRadius: 2, // Players start on a ring around the centre
+        interpolationDelay: 0.1, // Seconds other players are shown in the past, so there's a snapshot either side
+        maxCatchUp: 5 // Ticks the local player may run in one frame tick to catch up with the race clock
+    },
+    // The fastest clear of a layout raced as a ghost on later attempts (see ghost.js)
+    ghost: {
+        sampleInterval: 0.1, // Seconds between stored positions
+        opacity: 0.3
+    },
+    lives: {
+        invulnerability: 2, // Seconds of blinking after losing a life
+        blinkRate: 10, // Blinks per second while invulnerable
+        steadyOpacity: 0.4, // Shown instead of blinking with reduced motion
+        safeRadius: 3 // Respawn spots need this much room from every obstacle
+    },
+    // Presets picked in Settings; the daily challenge always uses 'normal' so scores compare
+    difficulty: {
+        easy: { lives: 5, obstacleSpeed: 0.75 },
+        normal: { lives: 3, obstacleSpeed: 1 },
+        hard: { lives: 1, obstacleSpeed: 1.25 }
+    },
+    leaderboard: {
+        url: URL_PARAMS.get('leaderboard'), // Server base URL; the offline mock is used without one
+        topCount: 5,
+        aroundRange: 2 // Entries shown either side of the player when they're outside the top
     },
     camera: {
         distance: isMobile ? 14 : 12,
@@ -49,40 +141,271 @@ const CONFIG = {
         smoothing: 0.08
     },
     graphics: {
-        pixelRatio: Math.min(window.devicePixelRatio, isMobile ? 1.5 : 2),
-        shadowMapSize: isMobile ? 1024 : 2048,
-        starCount: isMobile ? 800 : 2000,
-        bloomStrength: isMobile ? 0.3 : 0.5,
-        enableShadows: !isLowPerf
+        // Auto mode starts from this preset, then adapts resolution and bloom to the frame rate
+        autoPreset: isLowPerf ? 'medium' : 'high'
     }
 };
 
 // ============================================
 // Game State
 // ============================================
-class GameState {
-    constructor() {
-        this.score = 0;
-        this.totalCrystals = CONFIG.crystal.count;
+export class GameState {
+    constructor(profile) {
+        this.profile = profile;
+        this.collected = 0; // By every player; each Player counts their own
+        this.totalCrystals = 0;
         this.isPlaying = false;
+        this.isPaused = false;
         this.isGameOver = false;
+        this.simTime = 0; // Simulated seconds in the current level
+        this.ticks = 0;
         this.crystals = [];
         this.obstacles = [];
         this.particles = [];
+
+        // Campaign
+        this.mode = URL_PARAMS.get('mode') === 'daily' ? 'daily' : 'campaign';
+        this.seedMode = this.mode;
+        this.levelIndex = 0;
+        this.level = LEVELS[0];
+        this.customLevel = null; // Level from the editor, played in 'custom' mode
+        this.timeRemaining = 0;
+
+        // Lives per player come from the difficulty
+        this.difficulty = 'normal';
+
+        // Obstacles run on their own clock so slow-time can stretch it
+        this.obstacleTime = 0;
+
+        // Device-dependent values that affect the simulation; replays restore them
+        this.tuning = GameState.defaultTuning();
+
+        // All gameplay randomness goes through this.rng so a seed reproduces a layout. A link's
+        // seed that couldn't go on a leaderboard is dropped (and the player told, see the boot code)
+        const urlSeed = URL_PARAMS.get('seed') || null;
+        this.fixedSeed = urlSeed !== null && SEED_PATTERN.test(urlSeed) ? urlSeed : null;
+        this.rejectedSeed = this.fixedSeed === null ? urlSeed : null;
+        this.seed = this.fixedSeed || createSeed();
+        this.rng = new SeededRandom(this.seed);
     }
 
     reset() {
-        this.score = 0;
+        this.collected = 0;
         this.isPlaying = false;
+        this.isPaused = false;
         this.isGameOver = false;
+        this.simTime = 0;
+        this.obstacleTime = 0;
+        this.ticks = 0;
+        this.timeRemaining = this.level.timeLimit;
+        this.slowed = false; // Played below full game speed at some point, which keeps it off the leaderboard
+    }
+
+    getDifficulty() {
+        return CONFIG.difficulty[this.difficulty];
+    }
+
+    static defaultTuning() {
+        return {
+            maxSpeed: CONFIG.player.maxSpeed,
+            crystalScale: CONFIG.crystal.countScale,
+            obstacleScale: CONFIG.obstacle.countScale
+        };
+    }
+
+    setLevel(index, mode = 'campaign', seed = null) {
+        this.mode = mode;
+        this.levelIndex = index;
+        this.level = this.getLevel(mode, index);
+
+        // A replay or URL seed (for the mode it was shared from) or the daily seed pins
+        // the layout; otherwise every run rolls a new one. Custom levels keep one seed so
+        // they play the layout the editor showed
+        if (seed) {
+            this.seed = seed;
+        } else if (mode === 'custom') {
+            this.seed = 'custom';
+        } else if (this.fixedSeed && mode === this.seedMode) {
+            this.seed = this.fixedSeed;
+        } else {
+            this.seed = mode === 'daily' ? getDailySeed() : createSeed();
+        }
+        this.rng.setSeed(`${this.seed}:${this.level.id}`);
+
+        this.reset();
+    }
+
+    // Versus and online runs play the campaign levels
+    getLevel(mode, index) {
+        if (mode === 'daily') return DAILY_LEVEL;
+        return mode === 'custom' ? this.customLevel : LEVELS[index];
+    }
+
+    isDaily() {
+        return this.mode === 'daily';
+    }
+
+    isCustom() {
+        return this.mode === 'custom';
+    }
+
+    // Local two-player run
+    isVersus() {
+        return this.mode === 'versus';
+    }
+
+    // Race against other players over the network
+    isOnline() {
+        return this.mode === 'online';
+    }
+
+    // Versus and online runs: no profile records, leaderboard or replays
+    isMultiplayer() {
+        return this.isVersus() || this.isOnline();
+    }
+
+    // Link that rebuilds the current layout
+    getSeedUrl() {
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.searchParams.set('seed', this.seed);
+        if (this.isDaily()) url.searchParams.set('mode', 'daily');
+        return url.toString();
+    }
+
+    hasNextLevel() {
+        return this.mode === 'campaign' && this.levelIndex < LEVELS.length - 1;
+    }
+
+    get unlockedLevels() {
+        return Math.min(this.profile.unlockedLevels, LEVELS.length);
+    }
+
+    // Unlock the level after the current one; returns true if it was newly unlocked
+    unlockNextLevel() {
+        const next = this.levelIndex + 2;
+        if (this.mode !== 'campaign' || next > LEVELS.length) return false;
+        return this.profile.unlockLevels(next);
+    }
+
+    // Profile key for the bests of a level: one per campaign level and difficulty, one per daily seed,
+    // one per custom level. Defaults to this run's; the level select asks about runs not started yet
+    getRecordKey(mode = this.mode, levelId = this.level.id, difficulty = this.difficulty) {
+        if (mode === 'daily') return `daily:${this.seed}`;
+        if (mode === 'custom') return `custom:${levelId}`;
+        const suffix = difficulty === 'normal' ? '' : `-${difficulty}`;
+        return `campaign:${levelId}${suffix}`;
+    }
+
+    // One record key covers every seed of a level, but a ghost only fits the layout it ran on
+    getLayoutKey() {
+        return `${this.getRecordKey()}@${this.seed}`;
+    }
+}
+
+// ============================================
+// Player
+// ============================================
+// One ball: its mesh, movement and run stats. Solo runs have one player,
+// local versus runs two sharing the level, online races up to eight.
+class Player {
+    constructor(index, color) {
+        this.index = index;
+        this.color = color;
+        this.cssColor = `#${new THREE.Color(color).getHexString()}`;
+        this.bob = 0; // Height of the idle bob in position.y, see animatePlayer()
+
+        // Smooth physics velocity; y stays 0, height is tracked separately below
+        this.velocity = new THREE.Vector3();
+
+        // Vertical movement: feet height, speed per tick and ground contact
+        this.feet = 0;
+        this.verticalSpeed = 0;
+        this.grounded = true;
+        this.lastGroundedAt = 0; // simTime, for coyote jumps
+
+        // This tick's movement input and BUTTONS, read by power-up hooks too
+        this.input = new THREE.Vector3();
+        this.buttons = 0;
+
+        this.scoring = new ScoreKeeper();
+        this.createMesh();
+        this.reset(0, { x: 0, z: 0 });
+    }
+
+    createMesh() {
+        // Player mesh - glowing icosahedron
+        const geometry = new THREE.IcosahedronGeometry(CONFIG.player.size, isMobile ? 0 : 1);
+        const material = new THREE.MeshPhongMaterial({
+            color: this.color,
+            emissive: this.color,
+            emissiveIntensity: CONFIG.player.emissiveIntensity,
+            shininess: 100,
+            transparent: true,
+            opacity: CONFIG.player.opacity
+        });
+
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.position.y = CONFIG.player.size;
+        this.mesh.castShadow = true;
+
+        // Player glow
+        const glowGeometry = new THREE.IcosahedronGeometry(CONFIG.player.size * 1.3, 0);
+        const glowMaterial = new THREE.MeshBasicMaterial({
+            color: this.color,
+            transparent: true,
+            opacity: 0.15,
+            side: THREE.BackSide
+        });
+        this.glow = new THREE.Mesh(glowGeometry, glowMaterial);
+        this.mesh.add(this.glow);
+
+        // Player point light
+        this.light = new THREE.PointLight(this.color, 1, 5);
+        this.light.position.y = 0;
+        this.mesh.add(this.light);
+    }
+
+    // Recolour the ball, glow and light (the colour palette changed)
+    setColor(color) {
+        this.color = color;
+        this.cssColor = `#${new THREE.Color(color).getHexString()}`;
+        this.mesh.material.color.set(color);
+        this.mesh.material.emissive.set(color);
+        this.glow.material.color.set(color);
+        this.light.color.set(color);
+    }
+
+    get position() {
+        return this.mesh.position;
+    }
+
+    // Fresh stats for a new run starting at `spawn`
+    reset(lives, spawn) {
+        this.label = t('players.label', { number: this.index + 1 }); // Online races label players with their name instead
+        this.name = t('players.name', { number: this.index + 1 });
+        this.connected = true; // False while an online player is reconnecting
+        this.scoring.reset();
+        this.collected = 0;
+        this.lives = lives;
+        this.out = false; // Out of lives in a versus run while the other player plays on
+        this.invulnerableUntil = 0; // simTime
+        this.lastKnockback = -Infinity;
+        this.spawn = spawn;
+        this.checkpoint = spawn; // Where the player respawns after losing a life
+        this.velocity.set(0, 0, 0);
+    }
+
+    isInvulnerable(time) {
+        return time < this.invulnerableUntil;
     }
 }
 
 // ============================================
-// Input Handler (Keyboard + Touch)
+// Input Handler (Keyboard + Touch + Gamepad)
 // ============================================
 class InputHandler {
-    constructor(gameContainer) {
+    constructor(gameContainer, settings) {
         this.keys = {
             forward: false,
             backward: false,
@@ -90,6 +413,46 @@ class InputHandler {
             right: false
         };
 
+        // Gamepad state, refreshed by pollGamepads() every animation frame
+        this.gamepad = {
+            connected: false,
+            stick: new THREE.Vector3(),
+            buttons: [],
+            frameId: null
+        };
+
+        // Which device the player last used: 'keyboard' | 'gamepad' | 'touch'
+        this.activeDevice = isMobile ? 'touch' : 'keyboard';
+
+        // Pending rebind, see captureBinding()
+        this.capture = null;
+
+        // BUTTONS pressed since the last simulation tick, see consumeButtons()
+        this.pendingButtons = 0;
+
+        // Local versus: each seat (player) has half the keyboard and its own
+        // gamepad, see setVersus(). The first gamepad is this.gamepad
+        this.versus = false;
+        this.seats = VERSUS_KEY_BINDINGS.map(() => ({
+            keys: { forward: false, backward: false, left: false, right: false },
+            buttons: 0
+        }));
+        this.secondPad = { stick: new THREE.Vector3(), buttons: [] };
+
+        // Reverse lookup for versus runs: KeyboardEvent.code -> { seat, action }
+        this.seatKeyActions = {};
+        VERSUS_KEY_BINDINGS.forEach((bindings, seat) => {
+            Object.entries(bindings).forEach(([action, codes]) => {
+                codes.forEach(code => { this.seatKeyActions[code] = { seat, action }; });
+            });
+        });
+
+        this.settings = settings;
+        this.loadBindings();
+        settings.onChange((key) => {
+            if (key === 'keyBindings' || key === 'gamepadBindings') this.loadBindings();
+        });
+
         // Touch joystick state
         this.touch = {
             active: false,
@@ -119,6 +482,179 @@ class InputHandler {
             document.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: false });
             document.addEventListener('touchend', (e) => this.handleTouchEnd(e), { passive: false });
         }
+
+        // Gamepads are polled; these events only start and stop the polling
+        window.addEventListener('gamepadconnected', () => this.startGamepadPolling());
+        window.addEventListener('gamepaddisconnected', () => {
+            if (!this.getGamepad()) {
+                this.stopGamepadPolling();
+                this.setActiveDevice(isMobile ? 'touch' : 'keyboard');
+            }
+        });
+    }
+
+    loadBindings() {
+        this.keyBindings = resolveBindings(DEFAULT_KEY_BINDINGS, this.settings.get('keyBindings'));
+        this.gamepadBindings = resolveBindings(DEFAULT_GAMEPAD_BINDINGS, this.settings.get('gamepadBindings'));
+
+        // Reverse lookup: KeyboardEvent.code -> action
+        this.keyActions = {};
+        Object.entries(this.keyBindings).forEach(([action, codes]) => {
+            codes.forEach(code => {
+                if (code) this.keyActions[code] = action;
+            });
+        });
+    }
+
+    setActiveDevice(device) {
+        if (this.activeDevice === device) return;
+        this.activeDevice = device;
+        if (game) game.updateControlsHint();
+    }
+
+    // Split the controls between two players for a local versus run, or merge them back
+    setVersus(versus) {
+        this.versus = versus;
+        this.resetKeys();
+    }
+
+    // One-shot actions, whichever device triggered them; jump and dash go to the seat that pressed them
+    triggerAction(action, seat = 0) {
+        if (action === 'restart') game.restart();
+        if (action === 'pause') game.togglePause();
+
+        const button = { dash: BUTTONS.dash, jump: BUTTONS.jump }[action] || 0;
+        if (this.versus) {
+            this.seats[seat].buttons |= button;
+        } else {
+            this.pendingButtons |= button;
+        }
+    }
+
+    // Presses for this tick; each one reaches the simulation exactly once. Versus runs ask per seat
+    consumeButtons(seat = null) {
+        if (seat !== null) {
+            const { buttons } = this.seats[seat];
+            this.seats[seat].buttons = 0;
+            return buttons;
+        }
+
+        const buttons = this.pendingButtons;
+        this.pendingButtons = 0;
+        return buttons;
+    }
+
+    /**
+     * Wait for the next key ('keyboard') or button ('gamepad') press and pass
+     * its code / index to `callback`. Escape cancels with null.
+     */
+    captureBinding(device, callback) {
+        this.capture = { device, callback };
+        if (device === 'gamepad') {
+            this.startGamepadPolling();
+        }
+    }
+
+    cancelCapture() {
+        if (!this.capture) return;
+        const { callback } = this.capture;
+        this.capture = null;
+        callback(null);
+    }
+
+    // Connected gamepads in slot order
+    getGamepads() {
+        if (!navigator.getGamepads) return [];
+        return Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+    }
+
+    getGamepad() {
+        return this.getGamepads()[0] || null;
+    }
+
+    startGamepadPolling() {
+        if (this.gamepad.frameId !== null) return;
+
+        const poll = () => {
+            this.pollGamepads();
+            this.gamepad.frameId = requestAnimationFrame(poll);
+        };
+        this.gamepad.frameId = requestAnimationFrame(poll);
+    }
+
+    stopGamepadPolling() {
+        if (this.gamepad.frameId !== null) {
+            cancelAnimationFrame(this.gamepad.frameId);
+            this.gamepad.frameId = null;
+        }
+        this.gamepad.connected = false;
+        [this.gamepad, this.secondPad].forEach(state => {
+            state.stick.set(0, 0, 0);
+            state.buttons = [];
+        });
+    }
+
+    pollGamepads() {
+        const [pad, secondPad] = this.getGamepads();
+        this.gamepad.connected = Boolean(pad);
+        const previous = this.readGamepad(pad, this.gamepad);
+        if (!pad) return;
+
+        const { buttons } = this.gamepad;
+        if (this.gamepad.stick.lengthSq() > 0 || buttons.some(Boolean)) {
+            this.setActiveDevice('gamepad');
+        }
+
+        if (this.capture) {
+            const pressed = buttons.findIndex((down, index) => down && !previous[index]);
+            if (this.capture.device === 'gamepad' && pressed !== -1) {
+                const { callback } = this.capture;
+                this.capture = null;
+                callback(pressed);
+            }
+            return;
+        }
+
+        this.triggerGamepadActions(buttons, previous, 0);
+
+        // The second pad is player 2's, so it only counts in versus runs
+        if (this.versus) {
+            const secondPrevious = this.readGamepad(secondPad, this.secondPad);
+            this.triggerGamepadActions(this.secondPad.buttons, secondPrevious, 1);
+        }
+    }
+
+    // Refresh one pad's stick and buttons; returns the buttons from the previous poll
+    readGamepad(pad, state) {
+        const previous = state.buttons;
+        if (!pad) {
+            state.stick.set(0, 0, 0);
+            state.buttons = [];
+            return previous;
+        }
+        state.buttons = pad.buttons.map(button => button.pressed);
+
+        // Left stick with a radial dead zone, rescaled so movement starts at 0
+        const deadZone = this.settings.get('gamepadDeadZone');
+        const x = pad.axes[0] || 0;
+        const y = pad.axes[1] || 0;
+        const magnitude = Math.sqrt(x * x + y * y);
+        if (magnitude > deadZone) {
+            const scaled = Math.min((magnitude - deadZone) / (1 - deadZone), 1);
+            state.stick.set((x / magnitude) * scaled, 0, (y / magnitude) * scaled);
+        } else {
+            state.stick.set(0, 0, 0);
+        }
+        return previous;
+    }
+
+    // Non-movement actions fire once per press
+    triggerGamepadActions(buttons, previous, seat) {
+        Object.entries(this.gamepadBindings).forEach(([action, index]) => {
+            if (!MOVEMENT_ACTIONS.includes(action) && buttons[index] && !previous[index]) {
+                this.triggerAction(action, seat);
+            }
+        });
     }
 
     createVirtualJoystick() {
@@ -137,13 +673,14 @@ class InputHandler {
     }
 
     handleTouchStart(event) {
-        if (!game || !game.state.isPlaying) return;
+        if (!game || !game.state.isPlaying || game.state.isPaused) return;
 
         const touch = event.touches[0];
 
         // Only activate if touch is on the left half of screen
         if (touch.clientX < window.innerWidth * 0.6) {
             event.preventDefault();
+            this.setActiveDevice('touch');
             this.touch.active = true;
             this.touch.startX = touch.clientX;
             this.touch.startY = touch.clientY;
@@ -185,7 +722,7 @@ class InputHandler {
         }
     }
 
-    handleTouchEnd(event) {
+    handleTouchEnd() {
         this.touch.active = false;
         this.touch.currentX = this.touch.startX;
         this.touch.currentY = this.touch.startY;
@@ -200,40 +737,94 @@ class InputHandler {
     }
 
     handleKey(event, isPressed) {
-        switch (event.code) {
-            case 'KeyW':
-            case 'ArrowUp':
-                this.keys.forward = isPressed;
-                break;
-            case 'KeyS':
-            case 'ArrowDown':
-                this.keys.backward = isPressed;
-                break;
-            case 'KeyA':
-            case 'ArrowLeft':
-                this.keys.left = isPressed;
-                break;
-            case 'KeyD':
-            case 'ArrowRight':
-                this.keys.right = isPressed;
-                break;
-            case 'KeyR':
-                if (isPressed) game.restart();
-                break;
-        }
-    }
-
-    getMovementVector() {
-        const vector = new THREE.Vector3();
+        if (this.capture) {
+            if (isPressed) {
+                event.preventDefault();
+                if (event.code === 'Escape') {
+                    this.cancelCapture();
+                } else if (this.capture.device === 'keyboard') {
+                    const { callback } = this.capture;
+                    this.capture = null;
+                    callback(event.code);
+                }
+            }
+            return;
+        }
+
+        // Typing in a field, or Space/Enter on a focused control, isn't game input
+        if (isPressed && this.isForPage(event)) return;
+
+        // Versus runs split the keyboard; keys outside both halves keep their normal action
+        const seatKey = this.versus ? this.seatKeyActions[event.code] : null;
+        if (seatKey) {
+            const { seat, action } = seatKey;
+            if (MOVEMENT_ACTIONS.includes(action)) {
+                this.seats[seat].keys[action] = isPressed;
+            } else if (isPressed && !event.repeat) {
+                this.triggerAction(action, seat);
+            }
+            return;
+        }
+
+        const action = this.keyActions[event.code];
+        if (!action) return;
+
+        if (isPressed) this.setActiveDevice('keyboard');
+
+        if (MOVEMENT_ACTIONS.includes(action)) {
+            this.keys[action] = isPressed;
+        } else if (isPressed && !event.repeat) {
+            this.triggerAction(action);
+        }
+    }
+
+    isForPage(event) {
+        const { target } = event;
+        if (!target || !target.closest) return false;
+        if (target.closest('textarea, input:not([type="checkbox"]):not([type="range"])')) return true;
+        return (event.code === 'Space' || event.code === 'Enter') && Boolean(target.closest('button, select, input'));
+    }
+
+    // Forget held keys, e.g. when the window loses focus and keyup never arrives
+    resetKeys() {
+        [this.keys, ...this.seats.map(seat => seat.keys)].forEach(keys => {
+            Object.keys(keys).forEach(key => { keys[key] = false; });
+        });
+        this.pendingButtons = 0;
+        this.seats.forEach(seat => { seat.buttons = 0; });
+        this.handleTouchEnd();
+    }
+
+    // Held state of a movement action on the keyboard or gamepad D-pad, for one seat in versus runs
+    isHeld(action, seat = null) {
+        const keys = seat === null ? this.keys : this.seats[seat].keys;
+        return keys[action] || Boolean(this.getSeatGamepad(seat).buttons[this.gamepadBindings[action]]);
+    }
 
-        // Keyboard input
-        if (this.keys.forward) vector.z -= 1;
-        if (this.keys.backward) vector.z += 1;
-        if (this.keys.left) vector.x -= 1;
-        if (this.keys.right) vector.x += 1;
+    getSeatGamepad(seat) {
+        return seat === 1 ? this.secondPad : this.gamepad;
+    }
+
+    // Movement for the single player, or for one seat in versus runs
+    getMovementVector(seat = null) {
+        const vector = new THREE.Vector3();
+        const pad = this.getSeatGamepad(seat);
+
+        // Keyboard and D-pad input
+        if (this.isHeld('forward', seat)) vector.z -= 1;
+        if (this.isHeld('backward', seat)) vector.z += 1;
+        if (this.isHeld('left', seat)) vector.x -= 1;
+        if (this.isHeld('right', seat)) vector.x += 1;
+
+        // Analog stick input replaces digital input while it's outside the dead zone
+        const stickActive = pad.stick.lengthSq() > 0;
+        if (stickActive) {
+            vector.copy(pad.stick);
+        }
 
-        // Touch joystick input
-        if (this.touch.active) {
+        // Touch joystick input, which belongs to player 1
+        const touchActive = this.touch.active && !seat;
+        if (touchActive) {
             const dx = this.touch.currentX - this.touch.startX;
             const dy = this.touch.currentY - this.touch.startY;
             const distance = Math.sqrt(dx * dx + dy * dy);
@@ -245,8 +836,8 @@ class InputHandler {
             }
         }
 
-        // Normalize only if keyboard (touch already normalized)
-        if (!this.touch.active && vector.length() > 0) {
+        // Normalize only digital input (touch and stick are already scaled to 0-1)
+        if (!touchActive && !stickActive && vector.length() > 0) {
             vector.normalize();
         }
 
@@ -266,105 +857,82 @@ class InputHandler {
     }
 }
 
-// ============================================
-// Particle System (Optimized)
-// ============================================
-class ParticleSystem {
-    constructor(scene) {
-        this.scene = scene;
-        this.particles = [];
-        this.maxParticles = isMobile ? 3 : 5;
-    }
-
-    createCollectionEffect(position, color = 0x00f5ff) {
-        // Limit active particles for performance
-        if (this.particles.length >= this.maxParticles) {
-            const oldest = this.particles.shift();
-            this.scene.remove(oldest.mesh);
-            oldest.mesh.geometry.dispose();
-            oldest.mesh.material.dispose();
-        }
-
-        const particleCount = isMobile ? 12 : 20;
-        const geometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(particleCount * 3);
-        const velocities = [];
-
-        for (let i = 0; i < particleCount; i++) {
-            positions[i * 3] = position.x;
-            positions[i * 3 + 1] = position.y;
-            positions[i * 3 + 2] = position.z;
-
-            velocities.push(new THREE.Vector3(
-                (Math.random() - 0.5) * 0.3,
-                Math.random() * 0.2 + 0.1,
-                (Math.random() - 0.5) * 0.3
-            ));
-        }
-
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-
-        const material = new THREE.PointsMaterial({
-            color: color,
-            size: isMobile ? 0.2 : 0.15,
-            transparent: true,
-            opacity: 1,
-            blending: THREE.AdditiveBlending
-        });
-
-        const points = new THREE.Points(geometry, material);
-        this.scene.add(points);
-
-        this.particles.push({
-            mesh: points,
-            velocities: velocities,
-            life: 1.0
-        });
-    }
-
-    update() {
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            const particle = this.particles[i];
-            const positions = particle.mesh.geometry.attributes.position.array;
-
-            for (let j = 0; j < positions.length / 3; j++) {
-                positions[j * 3] += particle.velocities[j].x;
-                positions[j * 3 + 1] += particle.velocities[j].y;
-                positions[j * 3 + 2] += particle.velocities[j].z;
-                particle.velocities[j].y -= 0.005;
-            }
-
-            particle.mesh.geometry.attributes.position.needsUpdate = true;
-            particle.life -= 0.03;
-            particle.mesh.material.opacity = particle.life;
-
-            if (particle.life <= 0) {
-                this.scene.remove(particle.mesh);
-                particle.mesh.geometry.dispose();
-                particle.mesh.material.dispose();
-                this.particles.splice(i, 1);
-            }
-        }
-    }
-}
-
 // ============================================
 // Main Game Class
 // ============================================
-class CrystalQuestGame {
-    constructor() {
-        this.state = new GameState();
-        this.clock = new THREE.Clock();
-
-        // Smooth physics velocity
-        this.velocity = new THREE.Vector3();
+export class CrystalQuestGame {
+    // `settings` come in already loaded, as the language they pick is set up before the game
+    constructor(settings) {
+        this.profile = new Profile();
+        this.leaderboard = new LeaderboardClient(
+            CONFIG.leaderboard.url ? new HttpTransport(CONFIG.leaderboard.url) : new LocalTransport()
+        );
+        this.state = new GameState(this.profile);
+        this.settings = settings;
+        this.resources = new ResourceManager();
+        this.audio = new AudioManager(this.settings);
+        this.panVector = new THREE.Vector3();
+
+        // Player 1 plays every run; player 2 joins local versus runs, more join online races.
+        // See getPlayer() and loadLevel()
+        this.playerPool = [];
+        this.players = [];
+        this.playerPositions = []; // Positions of the players still in the run, for obstacles
+        this.cameraFocus = new THREE.Vector3(); // Versus camera, see getCameraTarget()
+        this.cameraMiddle = new THREE.Vector3();
+        this.cameraFeet = 0;
+
+        // Fixed-step simulation, interpolated rendering
+        this.tickSeconds = 1 / CONFIG.simulation.tickRate;
+        this.loop = new FixedStepLoop({
+            step: this.tickSeconds,
+            maxFrameTime: CONFIG.simulation.maxFrameTime,
+            update: () => this.tick(),
+            render: (alpha, frameSeconds) => this.render(alpha, frameSeconds)
+        });
 
-        // Delta time for frame-rate independence
-        this.lastTime = performance.now();
+        // Input recording and playback
+        this.recorder = new ReplayRecorder();
+        this.lastReplay = null; // Recording of the most recent finished run
+        this.replay = null; // Replay being watched
+        this.replayCursor = 0;
+        this.replaySpeed = 1;
+        this.replayPaused = false;
+
+        // Best clear of each layout, raced as a ghost
+        this.ghosts = new GhostStore();
+        this.ghostRecorder = new GhostRecorder(CONFIG.ghost.sampleInterval);
+        this.ghostSplitText = null;
+
+        // Collision broad phase (rebuilt each tick for obstacles, once per level for crystals)
+        this.obstacleGrid = new UniformGrid(CONFIG.collision.gridCellSize);
+        this.crystalGrid = new UniformGrid(CONFIG.collision.gridCellSize);
+        this.contact = new Contact();
+        this.nearby = [];
+        this.queryBounds = [0, 0, 0, 0];
+        this.shapeBounds = [0, 0, 0, 0];
+        this.crystalsMoved = false; // Set when something moves crystals; the grid is rebuilt next tick
+
+        this.powerups = new PowerUpManager(this);
+
+        // Accessibility settings (see accessibility.js and the Accessibility section below)
+        this.palette = getPalette(this.settings.get('colorPalette'));
+        this.reducedMotion = false; // Resolved by applyReducedMotion()
+        this.announcer = new Announcer(document.getElementById('announce-polite'), document.getElementById('announce-alert'));
+        this.announcedCrystals = 0;
 
         this.init();
-        this.input = new InputHandler(document.getElementById('game-container'));
+        this.input = new InputHandler(document.getElementById('game-container'), this.settings);
         this.setupEventListeners();
+        this.overlayFocus = new OverlayFocus(
+            ['pause-menu', 'level-select', 'online-panel', 'start-screen', 'game-message'].map(id => document.getElementById(id)),
+            document.getElementById('game-container')
+        );
+        this.online = new OnlineRace(this, CONFIG.online);
+        this.debug = new DebugOverlay(this, URL_PARAMS.get('debug') === '1');
+
+        this.editor = URL_PARAMS.get('editor') === '1' ? new LevelEditor(this) : null;
+        if (this.editor) this.editor.open();
     }
 
     init() {
@@ -390,12 +958,10 @@ class CrystalQuestGame {
             powerPreference: 'high-performance'
         });
         this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(CONFIG.graphics.pixelRatio);
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 
-        if (CONFIG.graphics.enableShadows) {
-            this.renderer.shadowMap.enabled = true;
-            this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-        }
+        // Counters are reset once per frame in render(), so they cover every composer pass
+        this.renderer.info.autoReset = false;
 
         this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
         this.renderer.toneMappingExposure = 1;
@@ -406,7 +972,7 @@ class CrystalQuestGame {
 
         const bloomPass = new UnrealBloomPass(
             new THREE.Vector2(window.innerWidth, window.innerHeight),
-            CONFIG.graphics.bloomStrength,
+            QUALITY_PRESETS[CONFIG.graphics.autoPreset].bloomStrength,
             0.4,
             0.85
         );
@@ -414,15 +980,14 @@ class CrystalQuestGame {
         this.bloomPass = bloomPass;
 
         // Particle System
-        this.particleSystem = new ParticleSystem(this.scene);
+        this.particleSystem = new ParticleSystem(this.scene, CONFIG.particles);
 
         // Create game elements
         this.createLighting();
-        this.createEnvironment();
-        this.createPlayer();
-        this.createCrystals();
-        this.createObstacles();
-        this.createStarfield();
+        this.ghost = new Ghost(CONFIG.player.size, this.palette.players[0], CONFIG.ghost.opacity);
+        this.scene.add(this.ghost.mesh);
+        this.applyGraphicsQuality();
+        this.loadLevel(0, this.state.mode);
 
         // Handle resize
         window.addEventListener('resize', () => this.onResize());
@@ -437,21 +1002,17 @@ class CrystalQuestGame {
         this.scene.add(ambient);
 
         // Main directional light
+        // Shadows are switched on and sized by applyGraphicsQuality()
         const directional = new THREE.DirectionalLight(0xffffff, 1);
         directional.position.set(10, 20, 10);
-
-        if (CONFIG.graphics.enableShadows) {
-            directional.castShadow = true;
-            directional.shadow.mapSize.width = CONFIG.graphics.shadowMapSize;
-            directional.shadow.mapSize.height = CONFIG.graphics.shadowMapSize;
-            directional.shadow.camera.near = 0.5;
-            directional.shadow.camera.far = 50;
-            directional.shadow.camera.left = -20;
-            directional.shadow.camera.right = 20;
-            directional.shadow.camera.top = 20;
-            directional.shadow.camera.bottom = -20;
-        }
+        directional.shadow.camera.near = 0.5;
+        directional.shadow.camera.far = 50;
+        directional.shadow.camera.left = -20;
+        directional.shadow.camera.right = 20;
+        directional.shadow.camera.top = 20;
+        directional.shadow.camera.bottom = -20;
         this.scene.add(directional);
+        this.sunLight = directional;
 
         // Colored point lights for atmosphere
         const pointLight1 = new THREE.PointLight(0x00f5ff, isMobile ? 1.5 : 2, 30);
@@ -467,32 +1028,160 @@ class CrystalQuestGame {
         this.scene.add(hemi);
     }
 
-    createEnvironment() {
-        // Main platform
-        const platformGeometry = new THREE.CylinderGeometry(
-            CONFIG.platform.radius,
-            CONFIG.platform.radius * 0.9,
-            1,
-            CONFIG.platform.segments
-        );
+    // Players are built the first time a run needs their seat, then kept; loadLevel() picks who takes part
+    getPlayer(index) {
+        if (!this.playerPool[index]) {
+            const player = new Player(index, this.getPlayerColor(index));
+            player.mesh.visible = false;
+            this.scene.add(player.mesh);
+            this.playerPool[index] = player;
+        }
+        return this.playerPool[index];
+    }
+
+    getPlayerColor(index) {
+        const colors = [...this.palette.players, ...CONFIG.online.colors];
+        return colors[index % colors.length];
+    }
+
+    // Seats for a local run: one player at the centre, or two side by side in versus
+    getSeats(mode) {
+        if (mode !== 'versus') return [{ index: 0, spawn: { x: 0, z: 0 } }];
 
-        const platformMaterial = new THREE.MeshStandardMaterial({
-            color: 0x1a1a3a,
-            roughness: 0.7,
-            metalness: 0.3,
-            emissive: 0x0a0a2a,
-            emissiveIntensity: 0.2
+        const offset = CONFIG.versus.spawnOffset;
+        return [0, 1].map(index => ({ index, spawn: { x: (index * 2 - 1) * offset, z: 0 } }));
+    }
+
+    // Build everything that belongs to a level (platform, crystals, obstacles)
+    loadLevel(index, mode = 'campaign', seed = null) {
+        this.clearLevel();
+        this.state.difficulty = this.getRunDifficulty(mode);
+        this.state.setLevel(index, mode, seed);
+
+        this.levelGroup = new THREE.Group();
+        this.scene.add(this.levelGroup);
+
+        const level = this.state.level;
+        const { gravity, jumpSpeed } = CONFIG.player;
+        this.arena = createArena(level.platform, this.state.rng);
+        this.reachable = this.arena.findReachable({ x: 0, z: 0 }, {
+            climb: (jumpSpeed * jumpSpeed) / (2 * gravity) * 0.8, // Leave some margin under the apex
+            leap: CONFIG.crystal.leap
         });
+        this.createEnvironment(level);
+        this.createCrystals(level);
+        this.createObstacles(level);
+        this.powerups.spawn(mode === 'online' ? [] : this.getPowerUpLayout(level.powerups), this.levelGroup);
+
+        // Online races seat everyone in the room, the local player first
+        const seats = mode === 'online' ? this.online.getSeats() : this.getSeats(mode);
+        const { lives } = this.state.getDifficulty();
+        this.playerPool.forEach(player => { player.mesh.visible = false; });
+        this.players = seats.map(({ index, spawn }) => {
+            const player = this.getPlayer(index);
+            player.reset(lives, spawn);
+            this.placePlayer(player, spawn.x, spawn.z);
+            player.mesh.visible = true;
+            return player;
+        });
+        this.loadGhost();
+        this.snapshotTransforms();
 
-        this.platform = new THREE.Mesh(platformGeometry, platformMaterial);
-        this.platform.position.y = -0.5;
-        if (CONFIG.graphics.enableShadows) {
-            this.platform.receiveShadow = true;
-        }
-        this.scene.add(this.platform);
+        this.updateScore();
+        this.updateLives();
+        this.updatePowerUpHud();
+        this.updateLevelHud();
+    }
+
+    // An online room's level: the host's tuning goes to everyone, so the layout is the same for all
+    loadOnlineLevel(index, seed, tuning = null) {
+        this.state.tuning = tuning ? { ...GameState.defaultTuning(), ...tuning } : GameState.defaultTuning();
+        this.loadLevel(index, 'online', seed);
+    }
+
+    // The loaded level as the plain data an online server races on (the world in net.js)
+    getOnlineWorld() {
+        const { levelIndex, level, seed, tuning } = this.state;
+        const { size, acceleration, friction, gravity, jumpSpeed, stepHeight, coyoteTime, fallLimit } = CONFIG.player;
+        const pickupRadius = size + CONFIG.crystal.pickupRadius;
+        return {
+            level: levelIndex,
+            levelId: level.id,
+            seed,
+            tuning: { ...tuning },
+            tickRate: CONFIG.simulation.tickRate,
+            timeLimit: level.timeLimit || null,
+            physics: {
+                size, acceleration, friction, gravity, jumpSpeed, stepHeight, coyoteTime, fallLimit,
+                maxSpeed: tuning.maxSpeed,
+                invulnerability: CONFIG.lives.invulnerability,
+                // Sphere contact with a crystal, allowing for its float either way
+                pickupRadius,
+                pickupHeight: pickupRadius + CONFIG.crystal.floatAmount
+            },
+            surfaces: this.arena.surfaces,
+            // Specs with defaults and difficulty applied; the server moves them as the clients do
+            obstacles: this.state.obstacles.map(obstacle => obstacle.spec),
+            crystals: this.state.crystals.map(crystal => [crystal.position.x, crystal.userData.initialY, crystal.position.z])
+        };
+    }
+
+    // Solo runs race the best clear of their layout, if there is one and the setting is on
+    loadGhost() {
+        const race = !this.replay && !this.state.isMultiplayer() && this.settings.get('ghostRacing');
+        this.ghost.load(race ? this.ghosts.get(this.state.getLayoutKey()) : null);
+        this.updateGhostHud();
+    }
+
+    // Replays keep the difficulty they were recorded with; everyone in an online race gets the same
+    getRunDifficulty(mode) {
+        if (this.replay) return this.replay.header.difficulty;
+        if (mode === 'daily' || mode === 'online') return 'normal';
+
+        const difficulty = this.settings.get('difficulty');
+        return CONFIG.difficulty[difficulty] ? difficulty : 'normal';
+    }
+
+    clearLevel() {
+        if (!this.levelGroup) return;
+
+        // Collected crystals are already detached from the group
+        this.state.crystals.forEach(crystal => this.resources.release(crystal));
+        this.resources.release(this.levelGroup);
+        this.powerups.reset();
+        this.particleSystem.clear();
+
+        this.levelGroup = null;
+        this.platform = null;
+        this.crystalField = null;
+        this.state.crystals = [];
+        this.state.obstacles = [];
+        this.crystalGrid.clear();
+    }
+
+    // Everything the player can stand on; round surfaces get their smoothness from the quality preset
+    createPlatform(level) {
+        const { shape, sides } = level.platform;
+        const segments = shape === 'polygon' ? sides : this.quality.platformSegments;
+
+        this.platform = this.arena.createObject(segments);
+        this.platformSegments = segments;
+        this.levelGroup.add(this.platform);
+    }
+
+    createEnvironment(level) {
+        const { radius, shape, sides } = level.platform;
+        const isPolygon = shape === 'polygon';
+
+        this.createPlatform(level);
+        if (shape === 'arena') return; // Islands carry their own rims
+
+        // Polygon rings use one tube segment per side, turned to line up with the platform corners
+        const ringTubular = (count) => isPolygon ? sides : count;
+        const ringTwist = isPolygon ? Math.PI / 2 : 0;
 
         // Platform glow ring
-        const ringGeometry = new THREE.TorusGeometry(CONFIG.platform.radius, 0.1, 16, isMobile ? 50 : 100);
+        const ringGeometry = new THREE.TorusGeometry(radius, 0.1, 16, ringTubular(isMobile ? 50 : 100));
         const ringMaterial = new THREE.MeshBasicMaterial({
             color: 0x00f5ff,
             transparent: true,
@@ -500,14 +1189,15 @@ class CrystalQuestGame {
         });
         const ring = new THREE.Mesh(ringGeometry, ringMaterial);
         ring.rotation.x = Math.PI / 2;
+        ring.rotation.z = ringTwist;
         ring.position.y = 0;
-        this.scene.add(ring);
+        this.levelGroup.add(ring);
 
         // Inner decorative rings (fewer on mobile)
         const ringCount = isMobile ? 2 : 3;
         for (let i = 1; i <= ringCount; i++) {
             const innerRing = new THREE.Mesh(
-                new THREE.TorusGeometry(CONFIG.platform.radius * (i * 0.3), 0.05, 8, isMobile ? 30 : 50),
+                new THREE.TorusGeometry(radius * (i * 0.3), 0.05, 8, ringTubular(isMobile ? 30 : 50)),
                 new THREE.MeshBasicMaterial({
                     color: i % 2 === 0 ? 0xff00ff : 0x00f5ff,
                     transparent: true,
@@ -515,141 +1205,188 @@ class CrystalQuestGame {
                 })
             );
             innerRing.rotation.x = Math.PI / 2;
+            innerRing.rotation.z = ringTwist;
             innerRing.position.y = 0.01;
-            this.scene.add(innerRing);
+            this.levelGroup.add(innerRing);
         }
     }
 
-    createPlayer() {
-        // Player mesh - glowing icosahedron
-        const geometry = new THREE.IcosahedronGeometry(CONFIG.player.size, isMobile ? 0 : 1);
-        const material = new THREE.MeshPhongMaterial({
-            color: CONFIG.player.color,
-            emissive: CONFIG.player.emissive,
-            emissiveIntensity: CONFIG.player.emissiveIntensity,
-            shininess: 100,
-            transparent: true,
-            opacity: 0.9
-        });
+    // How far roaming obstacles may go from the centre in the direction of `angle`
+    getPlatformEdge(angle) {
+        return this.arena.getEdge(angle);
+    }
 
-        this.player = new THREE.Mesh(geometry, material);
-        this.player.position.y = CONFIG.player.size;
-        if (CONFIG.graphics.enableShadows) {
-            this.player.castShadow = true;
+    // Daily layouts must match on every device, so only the campaign scales counts down
+    getSpawnCount(count, scale) {
+        return Math.max(1, Math.round(this.state.isDaily() ? count : count * scale));
+    }
+
+    // Resolve a level's crystal rule into positions, every one of them reachable
+    getCrystalLayout(rule) {
+        const rng = this.state.rng;
+        const height = () => rule.height ?? rng.range(...CONFIG.crystal.height);
+        if (rule.positions) {
+            return rule.positions.map(p => this.placeReachable({ x: p.x, z: p.z }, p.y ?? height()));
         }
-        this.scene.add(this.player);
 
-        // Player glow
-        const glowGeometry = new THREE.IcosahedronGeometry(CONFIG.player.size * 1.3, 0);
-        const glowMaterial = new THREE.MeshBasicMaterial({
-            color: CONFIG.player.color,
-            transparent: true,
-            opacity: 0.15,
-            side: THREE.BackSide
-        });
-        this.playerGlow = new THREE.Mesh(glowGeometry, glowMaterial);
-        this.player.add(this.playerGlow);
+        const count = this.getSpawnCount(rule.count, this.state.tuning.crystalScale);
+        const layout = [];
+
+        // Anywhere the player can get to, spread out as far as the attempts allow
+        if (rule.spawn === 'scatter') {
+            for (let i = 0; i < count; i++) {
+                let spot = this.reachable.pick(rng);
+                for (let attempt = 0; attempt < 10 && layout.some(other =>
+                    Math.hypot(other.x - spot.x, other.z - spot.z) < CONFIG.crystal.spacing); attempt++) {
+                    spot = this.reachable.pick(rng);
+                }
+                layout.push({ x: spot.x, z: spot.z, y: spot.top + height() });
+            }
+            return layout;
+        }
 
-        // Player point light
-        const playerLight = new THREE.PointLight(CONFIG.player.color, 1, 5);
-        playerLight.position.y = 0;
-        this.player.add(playerLight);
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2 + rng.range(0, 0.5);
+            const radius = rng.range(rule.minRadius, rule.maxRadius);
+            layout.push(this.placeReachable({ x: Math.cos(angle) * radius, z: Math.sin(angle) * radius }, height()));
+        }
+        return layout;
     }
 
-    createCrystals() {
-        this.state.crystals = [];
-        const crystalGeometry = new THREE.OctahedronGeometry(CONFIG.crystal.size, 0);
+    // Resolve a level's obstacle rule (or list of rules) into obstacle specs
+    getObstacleLayout(rule) {
+        if (Array.isArray(rule)) {
+            return rule.flatMap(part => this.getObstacleLayout(part));
+        }
+        if (rule.orbits) {
+            return rule.orbits.map(o => ({ type: 'wall', direction: 1, ...o }));
+        }
+        if (rule.items) {
+            return rule.items.map(item => ({ ...item }));
+        }
+
+        const rng = this.state.rng;
+        const count = this.getSpawnCount(rule.count, this.state.tuning.obstacleScale);
+        const layout = [];
 
-        for (let i = 0; i < CONFIG.crystal.count; i++) {
-            const angle = (i / CONFIG.crystal.count) * Math.PI * 2 + Math.random() * 0.5;
-            const radius = 3 + Math.random() * (CONFIG.platform.radius - 5);
+        // Any type at random spots in a ring band; the rule's other fields configure the type
+        if (rule.spawn === 'scatter') {
+            for (let i = 0; i < count; i++) {
+                const angle = rng.range(0, Math.PI * 2);
+                const radius = rng.range(rule.minRadius, rule.maxRadius);
+                layout.push({ ...rule, x: Math.cos(angle) * radius, z: Math.sin(angle) * radius });
+            }
+            return layout;
+        }
 
-            const x = Math.cos(angle) * radius;
-            const z = Math.sin(angle) * radius;
+        for (let i = 0; i < count; i++) {
+            layout.push({
+                type: rule.type || 'wall',
+                angle: (i / count) * Math.PI * 2,
+                radius: rng.range(rule.minRadius, rule.maxRadius),
+                speed: rng.range(rule.minSpeed, rule.maxSpeed),
+                direction: i % 2 === 0 ? 1 : -1,
+                contact: rule.contact
+            });
+        }
+        return layout;
+    }
 
-            const hue = (i / CONFIG.crystal.count);
-            const color = new THREE.Color().setHSL(0.5 + hue * 0.3, 1, 0.5);
+    // Resolve a level's power-up rule into pickup spots; types are drawn from the rule's list
+    getPowerUpLayout(rule) {
+        if (!rule) return [];
+        if (rule.items) {
+            return rule.items.map(item => ({ ...item, ...this.placeReachable(item, 0) }));
+        }
 
-            const material = new THREE.MeshPhongMaterial({
-                color: color,
-                emissive: color,
-                emissiveIntensity: 0.5,
-                shininess: 100,
-                transparent: true,
-                opacity: 0.9
+        const rng = this.state.rng;
+        const layout = [];
+        for (let i = 0; i < rule.count; i++) {
+            const angle = rng.range(0, Math.PI * 2);
+            const radius = rng.range(rule.minRadius, rule.maxRadius);
+            layout.push({
+                type: rule.types[Math.floor(rng.range(0, rule.types.length))],
+                ...this.placeReachable({ x: Math.cos(angle) * radius, z: Math.sin(angle) * radius }, 0)
             });
+        }
+        return layout;
+    }
 
-            const crystal = new THREE.Mesh(crystalGeometry, material);
-            crystal.position.set(x, 1 + Math.random() * 0.5, z);
-            if (CONFIG.graphics.enableShadows) {
-                crystal.castShadow = true;
-            }
+    /**
+     * { x, y, z } for something `height` above the ground at `spot`. Spots the
+     * player can't get to (over a gap, on an island nobody can reach) move to
+     * a random reachable one; heights beyond a jump are brought down.
+     */
+    placeReachable(spot, height) {
+        const { size, jumpSpeed, gravity } = CONFIG.player;
+        const reach = size * 2 + (jumpSpeed * jumpSpeed) / (2 * gravity) * 0.8;
+        const top = this.reachable.getTop(spot.x, spot.z);
+        const ground = top === null ? this.reachable.pick(this.state.rng) : { x: spot.x, z: spot.z, top };
+        return { x: ground.x, z: ground.z, y: ground.top + Math.min(height, reach) };
+    }
 
+    createCrystals(level) {
+        this.state.crystals = [];
+        const layout = this.getCrystalLayout(level.crystals);
+
+        // Plain transforms; the instanced CrystalField draws them
+        layout.forEach((spot, i) => {
+            const crystal = new THREE.Object3D();
+            crystal.position.set(spot.x, spot.y, spot.z);
+
+            crystal.userData.color = getCrystalColor(this.palette, i / layout.length);
             crystal.userData.initialY = crystal.position.y;
-            crystal.userData.floatOffset = Math.random() * Math.PI * 2;
+            crystal.userData.floatOffset = this.state.rng.range(0, Math.PI * 2);
             crystal.userData.collected = false;
+            crystal.userData.collider = { kind: 'sphere', center: crystal.position, radius: CONFIG.crystal.pickupRadius };
 
-            // Crystal glow (simplified)
-            const glowMaterial = new THREE.MeshBasicMaterial({
-                color: color,
-                transparent: true,
-                opacity: 0.3,
-                side: THREE.BackSide
-            });
-            const glow = new THREE.Mesh(
-                new THREE.OctahedronGeometry(CONFIG.crystal.size * 1.5, 0),
-                glowMaterial
-            );
-            crystal.add(glow);
-
-            // Point light only on desktop
-            if (!isMobile) {
-                const light = new THREE.PointLight(color, 0.5, 3);
-                crystal.add(light);
+            if (this.quality.crystalLights) {
+                this.addCrystalLight(crystal);
             }
 
-            this.scene.add(crystal);
+            this.levelGroup.add(crystal);
             this.state.crystals.push(crystal);
-        }
-    }
+        });
 
-    createObstacles() {
-        this.state.obstacles = [];
+        this.crystalField = new CrystalField(this.state.crystals, this.resources, CONFIG.crystal.size);
+        this.levelGroup.add(this.crystalField.object);
 
-        for (let i = 0; i < CONFIG.obstacle.count; i++) {
-            const angle = (i / CONFIG.obstacle.count) * Math.PI * 2;
-            const radius = 5 + Math.random() * 5;
+        this.state.totalCrystals = layout.length;
+        this.rebuildCrystalGrid();
+    }
 
-            const geometry = new THREE.BoxGeometry(0.5, 2, 2);
-            const material = new THREE.MeshLambertMaterial({
-                color: 0xff3366,
-                emissive: 0xff0044,
-                emissiveIntensity: 0.3
-            });
+    rebuildCrystalGrid() {
+        this.crystalGrid.clear();
+        this.state.crystals.forEach(crystal => {
+            if (crystal.userData.collected) return;
+            this.crystalGrid.insert(crystal, getShapeBounds(crystal.userData.collider, this.shapeBounds));
+        });
+        this.crystalsMoved = false;
+    }
 
-            const obstacle = new THREE.Mesh(geometry, material);
-            obstacle.position.set(
-                Math.cos(angle) * radius,
-                1,
-                Math.sin(angle) * radius
-            );
-            if (CONFIG.graphics.enableShadows) {
-                obstacle.castShadow = true;
-            }
+    addCrystalLight(crystal) {
+        const light = new THREE.PointLight(crystal.userData.color, 0.5, 3);
+        crystal.add(light);
+        crystal.userData.light = light;
+    }
 
-            obstacle.userData.orbitRadius = radius;
-            obstacle.userData.orbitAngle = angle;
-            obstacle.userData.orbitSpeed = 0.005 + Math.random() * 0.01;
-            obstacle.userData.direction = i % 2 === 0 ? 1 : -1;
+    createObstacles(level) {
+        this.state.obstacles = [];
 
-            this.scene.add(obstacle);
+        const { obstacleSpeed } = this.state.getDifficulty();
+        this.getObstacleLayout(level.obstacles).forEach(spec => {
+            // Chasers pick their target from every player's exact position, which online races don't share
+            if (spec.type === 'chaser' && this.state.isOnline()) return;
+            if (spec.speed !== undefined) spec.speed *= obstacleSpeed;
+            const obstacle = createObstacle(spec, true, this.palette.obstacle);
+            this.levelGroup.add(obstacle.object);
             this.state.obstacles.push(obstacle);
-        }
+        });
     }
 
     createStarfield() {
         const starGeometry = new THREE.BufferGeometry();
-        const starCount = CONFIG.graphics.starCount;
+        const starCount = this.quality.starCount;
         const positions = new Float32Array(starCount * 3);
 
         for (let i = 0; i < starCount; i++) {
@@ -676,6 +1413,169 @@ class CrystalQuestGame {
         this.scene.add(this.starfield);
     }
 
+    // ============================================
+    // Graphics Quality
+    // ============================================
+
+    // Apply the Settings preset to everything already built; safe to call mid-run
+    applyGraphicsQuality() {
+        const setting = this.settings.get('graphicsQuality');
+        const auto = !QUALITY_PRESETS[setting];
+        const quality = QUALITY_PRESETS[auto ? CONFIG.graphics.autoPreset : setting];
+        const previous = this.quality;
+        this.quality = quality;
+
+        const maxPixelRatio = Math.min(window.devicePixelRatio, quality.pixelRatio);
+        this.adaptiveQuality = auto ? new AdaptiveQuality(maxPixelRatio, quality.bloom) : null;
+
+        // Shadows: objects always cast/receive, the renderer decides whether a shadow pass runs
+        const { shadow } = this.sunLight;
+        if (shadow.mapSize.width !== quality.shadowMapSize) {
+            shadow.mapSize.set(quality.shadowMapSize, quality.shadowMapSize);
+            if (shadow.map) {
+                shadow.map.dispose();
+                shadow.map = null;
+            }
+        }
+        if (this.renderer.shadowMap.enabled !== quality.shadows) {
+            this.renderer.shadowMap.enabled = quality.shadows;
+            this.sunLight.castShadow = quality.shadows;
+            this.scene.traverse(object => {
+                if (object.material) object.material.needsUpdate = true;
+            });
+        }
+
+        this.bloomPass.strength = quality.bloomStrength;
+        this.applyAdaptiveQuality();
+
+        if (!previous || previous.starCount !== quality.starCount) {
+            this.resources.release(this.starfield);
+            this.createStarfield();
+        }
+
+        this.state.crystals.forEach(crystal => {
+            const { light } = crystal.userData;
+            if (quality.crystalLights && !light) {
+                this.addCrystalLight(crystal);
+            } else if (!quality.crystalLights && light) {
+                this.resources.release(light);
+                crystal.userData.light = null;
+            }
+        });
+
+        // Circular platforms pick up the new segment count straight away
+        const { platform } = this.state.level;
+        if (this.levelGroup && platform.shape !== 'polygon' && this.platformSegments !== quality.platformSegments) {
+            this.resources.release(this.platform);
+            this.createPlatform(this.state.level);
+        }
+
+        if (!this.loop.running && previous) {
+            this.render(1, Infinity);
+        }
+    }
+
+    // Pixel ratio and bloom: fixed by the preset, or wherever Auto mode has settled
+    applyAdaptiveQuality() {
+        const adaptive = this.adaptiveQuality;
+        const pixelRatio = adaptive ? adaptive.pixelRatio : Math.min(window.devicePixelRatio, this.quality.pixelRatio);
+        this.renderer.setPixelRatio(pixelRatio);
+        this.composer.setPixelRatio(pixelRatio);
+        this.bloomPass.enabled = !this.reducedMotion && (adaptive ? adaptive.bloom : this.quality.bloom);
+    }
+
+    // ============================================
+    // Accessibility
+    // ============================================
+
+    // Recolour players, crystals and obstacles from the palette setting; safe to call mid-run
+    applyPalette() {
+        this.palette = getPalette(this.settings.get('colorPalette'));
+        this.playerPool.forEach(player => player.setColor(this.getPlayerColor(player.index)));
+        this.ghost.setColor(this.palette.players[0]);
+
+        const { crystals } = this.state;
+        crystals.forEach((crystal, i) => {
+            getCrystalColor(this.palette, i / crystals.length, crystal.userData.color);
+            if (crystal.userData.light) crystal.userData.light.color.copy(crystal.userData.color);
+        });
+        if (this.crystalField) this.crystalField.updateColors();
+        this.state.obstacles.forEach(obstacle => obstacle.setLook(this.palette.obstacle));
+
+        if (this.state.isMultiplayer()) this.updatePlayersHud();
+        if (!this.loop.running) this.render(1, Infinity);
+    }
+
+    // Reduced motion, from its setting or (on 'auto') the system preference: no bob, float,
+    // spin or blinking, no camera lag, trails or bloom, and no CSS animation
+    applyReducedMotion() {
+        this.reducedMotion = isReducedMotion(this.settings.get('reducedMotion'));
+        document.body.classList.toggle('reduced-motion', this.reducedMotion);
+        this.applyAdaptiveQuality();
+        if (!this.loop.running) this.render(1, Infinity);
+    }
+
+    applyHighContrast() {
+        document.body.classList.toggle('high-contrast', Boolean(this.settings.get('highContrast')));
+    }
+
+    // Live runs play at the game speed setting (online races always at full speed); replays keep their own
+    applyGameSpeed() {
+        if (this.replay) return;
+
+        const speed = this.state.isOnline() ? 1 : Number(this.settings.get('gameSpeed')) || 1;
+        this.loop.timeScale = speed;
+        if (speed < 1 && this.state.isPlaying) this.state.slowed = true;
+    }
+
+    // For screen readers; replays stay quiet so seeking doesn't read out a whole run
+    announce(text, urgent = false) {
+        if (!this.replay) this.announcer.say(text, urgent);
+    }
+
+    // The result screen's title and message, read out as it opens
+    announceResult() {
+        const title = document.getElementById('message-title').textContent;
+        const text = document.getElementById('message-text').textContent;
+        this.announce(/[.!?؟]$/.test(title) ? `${title} ${text}` : `${title}. ${text}`, true);
+    }
+
+    // Reduced motion: hold back the decorative bob, float and spin for the frame being drawn
+    holdDecorations() {
+        this.players.forEach(player => {
+            player.position.y -= player.bob;
+        });
+        this.state.crystals.forEach(crystal => {
+            crystal.position.y = crystal.userData.initialY;
+            crystal.quaternion.identity();
+        });
+        this.ghost.mesh.quaternion.identity();
+        this.powerups.holdDecorations();
+    }
+
+    // ============================================
+    // Language
+    // ============================================
+
+    // Switch to the language setting (see i18n.js): the page's own text, then everything filled in from here
+    applyLanguage() {
+        return i18n.use(this.settings.get('language')).then(() => {
+            i18n.translate(document);
+            this.updateControlsHint();
+            this.renderBindings();
+            this.renderProfileStats();
+
+            this.powerUpHudText = null;
+            this.ghostSplitText = null;
+            this.updateScore();
+            this.updateLives();
+            this.updatePowerUpHud();
+            this.updateLevelHud();
+            if (this.ghost.active) this.updateGhostHud();
+            if (this.replay) this.updateReplayControls();
+        });
+    }
+
     setupEventListeners() {
         // Start button
         document.getElementById('start-btn').addEventListener('click', () => {
@@ -688,6 +1588,16 @@ class CrystalQuestGame {
             this.startGame();
         });
 
+        document.getElementById('daily-btn').addEventListener('click', () => {
+            this.playLevel(0, 'daily');
+        });
+        document.getElementById('versus-btn').addEventListener('click', () => {
+            this.showLevelSelect('versus');
+        });
+        document.getElementById('online-btn').addEventListener('click', () => {
+            this.online.showPanel();
+        });
+
         // Restart buttons
         document.getElementById('restart-btn').addEventListener('click', () => {
             this.restart();
@@ -695,280 +1605,1895 @@ class CrystalQuestGame {
         document.getElementById('play-again-btn').addEventListener('click', () => {
             this.restart();
         });
-    }
-
-    startGame() {
-        // Hide start screen
-        document.getElementById('start-screen').classList.add('hidden');
+        document.getElementById('ghost-btn').addEventListener('click', () => {
+            this.restart(this.state.seed);
+        });
 
-        // Show HUD
-        document.getElementById('hud').classList.add('visible');
+        // Campaign navigation
+        document.getElementById('next-level-btn').addEventListener('click', () => {
+            this.playLevel(this.state.levelIndex + 1);
+        });
+        document.getElementById('level-select-btn').addEventListener('click', () => {
+            this.showLevelSelect();
+        });
+        document.getElementById('levels-btn').addEventListener('click', () => {
+            this.showLevelSelect(this.state.isVersus() ? 'versus' : 'campaign');
+        });
+        document.getElementById('level-back-btn').addEventListener('click', () => {
+            this.hideLevelSelect();
+            document.getElementById('start-screen').classList.remove('hidden');
+        });
 
-        // Show appropriate controls
-        if (isMobile) {
-            document.getElementById('controls-info').style.display = 'none';
-            this.input.showJoystick();
-        } else {
-            document.getElementById('controls-info').classList.add('visible');
-        }
+        // Share the seed of the finished run
+        document.getElementById('copy-seed-btn').addEventListener('click', () => {
+            this.copySeedLink();
+        });
 
-        // Start playing
-        this.state.isPlaying = true;
+        // Replays
+        document.getElementById('watch-replay-btn').addEventListener('click', () => {
+            if (this.lastReplay) this.watchReplay(this.lastReplay);
+        });
+        document.getElementById('save-replay-btn').addEventListener('click', () => {
+            this.downloadReplay();
+        });
+        document.getElementById('load-replay-btn').addEventListener('click', () => {
+            document.getElementById('replay-file').click();
+        });
+        document.getElementById('replay-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.loadReplayFile(file);
+        });
+        document.getElementById('replay-toggle-btn').addEventListener('click', () => {
+            this.setReplayPaused(!this.replayPaused);
+        });
+        document.getElementById('replay-scrub').addEventListener('input', (e) => {
+            this.seekReplay(parseInt(e.target.value, 10));
+        });
+        document.querySelectorAll('#replay-controls [data-speed]').forEach(button => {
+            button.addEventListener('click', () => this.setReplaySpeed(Number(button.dataset.speed)));
+        });
+        document.getElementById('replay-exit-btn').addEventListener('click', () => {
+            this.exitReplay();
+        });
 
-        // Start animation loop
-        this.animate();
-    }
+        // Profile
+        document.getElementById('export-profile-btn').addEventListener('click', () => {
+            this.downloadProfile();
+        });
+        document.getElementById('import-profile-btn').addEventListener('click', () => {
+            document.getElementById('profile-file').click();
+        });
+        document.getElementById('profile-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.loadProfileFile(file);
+        });
 
-    restart() {
-        // Reset game state
-        this.state.reset();
+        // Touch action buttons; dash only shows while the dash power-up is active
+        ['jump', 'dash'].forEach(action => {
+            document.getElementById(`${action}-btn`).addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.input.triggerAction(action);
+            }, { passive: false });
+        });
 
-        // Reset velocity
-        this.velocity.set(0, 0, 0);
+        // Pause menu
+        document.getElementById('pause-btn').addEventListener('click', () => {
+            this.togglePause();
+        });
+        document.getElementById('resume-btn').addEventListener('click', () => {
+            this.resume();
+        });
+        document.getElementById('pause-restart-btn').addEventListener('click', () => {
+            this.restart();
+        });
+        document.getElementById('pause-settings-btn').addEventListener('click', () => {
+            this.openSettings();
+        });
+        document.getElementById('quit-btn').addEventListener('click', () => {
+            this.quitToMenu();
+        });
+        document.getElementById('settings-btn').addEventListener('click', () => {
+            this.openSettings();
+        });
+        document.getElementById('settings-back-btn').addEventListener('click', () => {
+            this.closeSettings();
+        });
 
-        // Reset player position
-        this.player.position.set(0, CONFIG.player.size, 0);
+        // Auto-pause when the tab is hidden or the window loses focus
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden && this.settings.get('autoPause')) this.pause();
 
-        // Reset crystals
-        this.scene.children = this.scene.children.filter(
-            child => !this.state.crystals.includes(child)
-        );
-        this.state.crystals = [];
-        this.createCrystals();
+            // Never play to a hidden tab; come back quiet if the game is still paused
+            if (document.hidden) {
+                this.audio.suspend();
+            } else if (!this.state.isPaused) {
+                this.audio.resume();
+            }
+        });
+        window.addEventListener('blur', () => {
+            this.input.resetKeys();
+            if (this.settings.get('autoPause')) this.pause();
+        });
 
-        // Reset obstacles
-        this.state.obstacles.forEach(obstacle => {
-            const angle = obstacle.userData.orbitAngle;
-            const radius = obstacle.userData.orbitRadius;
-            obstacle.position.set(
-                Math.cos(angle) * radius,
-                1,
-                Math.sin(angle) * radius
-            );
+        // UI click for every button
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('button')) this.audio.click();
         });
 
-        // Update UI
-        this.updateScore();
-        document.getElementById('game-message').classList.add('hidden');
-        document.getElementById('hud').classList.add('visible');
+        // Clicked (not keyboard-pressed) HUD buttons let go of focus, so Space and Enter keep reaching the game
+        document.getElementById('hud').addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (button && e.detail > 0) button.blur();
+        });
 
-        if (isMobile) {
-            this.input.showJoystick();
-        } else {
-            document.getElementById('controls-info').classList.add('visible');
-        }
+        // Controls
+        document.getElementById('reset-bindings-btn').addEventListener('click', () => {
+            this.input.cancelCapture();
+            this.settings.set('keyBindings', DEFAULT_KEY_BINDINGS);
+            this.settings.set('gamepadBindings', DEFAULT_GAMEPAD_BINDINGS);
+            this.renderBindings();
+        });
 
-        // Resume playing
-        this.state.isPlaying = true;
-        this.state.isGameOver = false;
+        this.bindSettingsInputs();
+        this.settings.onChange((key) => {
+            if (key === 'graphicsQuality') {
+                this.applyGraphicsQuality();
+            }
+            if (key === 'showControlsHint' && this.state.isPlaying && !this.state.isPaused) {
+                this.showPlayControls();
+            }
+            if (key === 'keyBindings' || key === 'gamepadBindings') {
+                this.updateControlsHint();
+            }
+            if (key === 'ghostRacing') {
+                this.loadGhost();
+                if (this.ghost.active) this.ghost.update(this.state.simTime);
+            }
+            if (key === 'colorPalette') this.applyPalette();
+            if (key === 'reducedMotion') this.applyReducedMotion();
+            if (key === 'highContrast') this.applyHighContrast();
+            if (key === 'gameSpeed') this.applyGameSpeed();
+            if (key === 'language') this.applyLanguage();
+        });
+        onMotionPreferenceChange(() => this.applyReducedMotion());
+        this.applyReducedMotion();
+        this.applyHighContrast();
 
-        // Restart animation loop
-        this.animate();
+        this.renderBindings();
+        this.updateControlsHint();
+        this.renderProfileStats();
     }
 
-    updatePlayer(deltaTime) {
-        if (!this.state.isPlaying) return;
+    // Key hints on the HUD and start screen follow the bindings and the device in use
+    updateControlsHint() {
+        const { keyBindings, gamepadBindings, activeDevice } = this.input;
+        const info = document.getElementById('controls-info');
+        const movement = ['forward', 'left', 'backward', 'right'];
+
+        if (this.state.isVersus()) {
+            info.innerHTML = VERSUS_KEY_BINDINGS.map((bindings, seat) => `
+                <div class="control-key">${t('players.label', { number: seat + 1 })} ${movement.map(action => getKeyLabel(bindings[action][0])).join(' ')}</div>
+                <span>${t('controls.versusActions', { jump: getKeyLabel(bindings.jump[0]), dash: getKeyLabel(bindings.dash[0]) })}</span>
+            `).join('') + `<span>${t('controls.versusShared', { pause: getKeyLabel(keyBindings.pause[0]) })}</span>`;
+        } else if (activeDevice === 'gamepad') {
+            info.innerHTML = `
+                <div class="control-key">${t('controls.stick')}</div>
+                <span>${t('controls.gamepad', {
+                    jump: getButtonLabel(gamepadBindings.jump),
+                    dash: getButtonLabel(gamepadBindings.dash),
+                    pause: getButtonLabel(gamepadBindings.pause)
+                })}</span>
+            `;
+        } else {
+            const primary = movement.map(action => getKeyLabel(keyBindings[action][0]));
+            const alternate = movement.map(action => keyBindings[action][1]);
+            const isArrows = alternate.join() === 'ArrowUp,ArrowLeft,ArrowDown,ArrowRight';
+            const keys = {
+                jump: getKeyLabel(keyBindings.jump[0]),
+                dash: getKeyLabel(keyBindings.dash[0]),
+                pause: getKeyLabel(keyBindings.pause[0])
+            };
+            let actions = t('controls.keyboard', keys);
+            if (alternate.every(Boolean)) {
+                const move = isArrows ? t('controls.arrowKeys') : alternate.map(getKeyLabel).join(' ');
+                actions = t('controls.keyboardAlternate', { ...keys, move });
+            }
 
-        const input = this.input.getMovementVector();
+            info.innerHTML = `
+                <div class="control-key">${primary.join(' ')}</div>
+                <span>${actions}</span>
+            `;
 
-        // Apply acceleration based on input
-        if (input.length() > 0) {
-            this.velocity.x += input.x * CONFIG.player.acceleration * deltaTime;
-            this.velocity.z += input.z * CONFIG.player.acceleration * deltaTime;
+            document.querySelectorAll('.controls-preview .key').forEach((key, index) => {
+                key.textContent = primary[index];
+            });
         }
+    }
 
-        // Apply friction for smooth deceleration
-        this.velocity.x *= CONFIG.player.friction;
-        this.velocity.z *= CONFIG.player.friction;
+    renderBindings() {
+        const body = document.getElementById('bindings-body');
+        const { keyBindings, gamepadBindings } = this.input;
+        body.innerHTML = '';
+
+        const slot = (label, onClick) => {
+            const cell = document.createElement('td');
+            const button = document.createElement('button');
+            button.className = 'bind-btn';
+            button.textContent = label;
+            button.addEventListener('click', () => onClick(button));
+            cell.appendChild(button);
+            return cell;
+        };
 
-        // Clamp to max speed
-        const speed = this.velocity.length();
-        if (speed > CONFIG.player.maxSpeed) {
-            this.velocity.multiplyScalar(CONFIG.player.maxSpeed / speed);
-        }
+        ACTIONS.forEach(action => {
+            const row = document.createElement('tr');
+            const name = document.createElement('td');
+            name.textContent = t(`actions.${action}`);
+            row.appendChild(name);
 
-        // Apply velocity to position
-        this.player.position.x += this.velocity.x * deltaTime;
-        this.player.position.z += this.velocity.z * deltaTime;
+            [0, 1].forEach(index => {
+                row.appendChild(slot(getKeyLabel(keyBindings[action][index]),
+                    (button) => this.rebind(action, 'keyboard', index, button)));
+            });
+            row.appendChild(slot(getButtonLabel(gamepadBindings[action]),
+                (button) => this.rebind(action, 'gamepad', 0, button)));
 
-        // Smooth rotation based on velocity
-        if (speed > 0.001) {
-            this.player.rotation.x += this.velocity.z * 0.15;
-            this.player.rotation.z -= this.velocity.x * 0.15;
-        }
+            body.appendChild(row);
+        });
+    }
 
-        // Keep player on platform with smooth boundary
-        const distFromCenter = Math.sqrt(
-            this.player.position.x ** 2 +
-            this.player.position.z ** 2
-        );
+    rebind(action, device, index, button) {
+        this.input.cancelCapture();
 
-        const boundary = CONFIG.platform.radius - 1;
-        if (distFromCenter > boundary) {
-            const angle = Math.atan2(this.player.position.z, this.player.position.x);
-            this.player.position.x = Math.cos(angle) * boundary;
-            this.player.position.z = Math.sin(angle) * boundary;
+        button.textContent = t(device === 'keyboard' ? 'bindings.pressKey' : 'bindings.pressButton');
+        button.classList.add('listening');
 
-            // Dampen velocity when hitting boundary
-            this.velocity.multiplyScalar(0.5);
-        }
+        this.input.captureBinding(device, (value) => {
+            if (value !== null) {
+                if (device === 'keyboard') {
+                    this.assignKey(action, index, value);
+                } else {
+                    this.assignButton(action, value);
+                }
+            }
+            this.renderBindings();
+        });
+    }
 
-        // Floating animation
-        this.player.position.y = CONFIG.player.size + Math.sin(Date.now() * 0.003) * 0.1;
+    // A key or button drives one action only, so it's taken away from any other action
+    assignKey(action, index, code) {
+        const bindings = {};
+        Object.entries(this.input.keyBindings).forEach(([name, codes]) => {
+            bindings[name] = codes.map(existing => (existing === code ? null : existing));
+        });
+        bindings[action][index] = code;
+        this.settings.set('keyBindings', bindings);
+    }
 
-        // Pulse glow
-        if (this.playerGlow) {
-            this.playerGlow.scale.setScalar(1 + Math.sin(Date.now() * 0.005) * 0.1);
-        }
+    assignButton(action, button) {
+        const bindings = {};
+        Object.entries(this.input.gamepadBindings).forEach(([name, existing]) => {
+            bindings[name] = existing === button ? null : existing;
+        });
+        bindings[action] = button;
+        this.settings.set('gamepadBindings', bindings);
     }
 
-    updateCamera() {
-        // Smooth camera follow
-        const targetX = this.player.position.x;
-        const targetZ = this.player.position.z + CONFIG.camera.distance;
-        const targetY = CONFIG.camera.height;
+    startGame() {
+        // Always reached from a click or tap (start-btn, daily, level cards), so audio may start
+        this.audio.unlock();
 
-        this.camera.position.x += (targetX - this.camera.position.x) * CONFIG.camera.smoothing;
-        this.camera.position.z += (targetZ - this.camera.position.z) * CONFIG.camera.smoothing;
-        this.camera.position.y += (targetY - this.camera.position.y) * CONFIG.camera.smoothing;
+        // Hide start screen
+        document.getElementById('start-screen').classList.add('hidden');
 
-        this.camera.lookAt(this.player.position);
-    }
+        // Show HUD
+        document.getElementById('hud').classList.add('visible');
+        this.showPlayControls();
 
-    updateCrystals(time) {
-        this.state.crystals.forEach((crystal, index) => {
-            if (crystal.userData.collected) return;
+        // Start playing
+        this.input.setVersus(this.state.isVersus());
+        this.updateControlsHint();
+        this.state.isPlaying = true;
+        this.applyGameSpeed();
+        this.startRecording();
 
-            // Rotation
-            crystal.rotation.y += CONFIG.crystal.rotationSpeed;
-            crystal.rotation.x += CONFIG.crystal.rotationSpeed * 0.5;
+        // Start animation loop
+        this.loop.start();
+    }
 
-            // Floating animation
-            const floatY = Math.sin(time * CONFIG.crystal.floatSpeed + crystal.userData.floatOffset) * CONFIG.crystal.floatAmount;
-            crystal.position.y = crystal.userData.initialY + floatY;
+    // Joystick on touch devices, key hints on desktop
+    showPlayControls() {
+        if (isMobile) {
+            document.getElementById('controls-info').style.display = 'none';
+            this.input.showJoystick();
+            document.getElementById('jump-btn').classList.toggle('hidden', Boolean(this.replay));
+            this.updateDashButton();
+        } else {
+            document.getElementById('controls-info').classList.toggle('visible', this.settings.get('showControlsHint'));
+        }
+    }
 
-            // Check collision with player (slightly larger hitbox on mobile for easier collection)
-            const collisionRadius = isMobile ? 1.2 : 1.0;
-            const distance = this.player.position.distanceTo(crystal.position);
-            if (distance < (CONFIG.player.size + CONFIG.crystal.size) * collisionRadius) {
-                this.collectCrystal(crystal, index);
-            }
-        });
+    hidePlayControls() {
+        document.getElementById('controls-info').classList.remove('visible');
+        this.input.hideJoystick();
+        document.getElementById('jump-btn').classList.add('hidden');
+        document.getElementById('dash-btn').classList.add('hidden');
     }
 
-    collectCrystal(crystal, index) {
-        // Create particle effect
-        this.particleSystem.createCollectionEffect(
-            crystal.position.clone(),
-            crystal.material.color.getHex()
-        );
+    vibrate(pattern) {
+        if (isMobile && navigator.vibrate && this.settings.get('haptics')) {
+            navigator.vibrate(pattern);
+        }
+    }
 
-        // Remove crystal
-        crystal.userData.collected = true;
-        this.scene.remove(crystal);
+    // ============================================
+    // Pause & Settings
+    // ============================================
+    togglePause() {
+        if (this.replay) {
+            this.setReplayPaused(!this.replayPaused);
+        } else if (this.state.isPaused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
 
-        // Update score
-        this.state.score++;
-        this.updateScore();
+    pause() {
+        if (!this.state.isPlaying || this.state.isPaused || this.replay) return;
 
-        // Haptic feedback on mobile
-        if (isMobile && navigator.vibrate) {
-            navigator.vibrate(50);
+        // Stopping the loop freezes obstacles and the timer; start() resets the frame clock.
+        // An online race can't be frozen, so there the menu only covers it
+        const online = this.state.isOnline();
+        this.state.isPaused = true;
+        if (!online) {
+            this.loop.stop();
+            this.audio.suspend();
         }
+        this.input.resetKeys();
+        this.hidePlayControls();
 
-        // Check win condition
-        if (this.state.score >= this.state.totalCrystals) {
-            this.gameWin();
-        }
+        this.showPauseView('main');
+        document.getElementById('pause-restart-btn').classList.toggle('hidden', online);
+        document.getElementById('pause-menu').classList.remove('hidden');
     }
 
-    updateObstacles(time) {
-        this.state.obstacles.forEach(obstacle => {
-            // Orbit movement
-            obstacle.userData.orbitAngle += obstacle.userData.orbitSpeed * obstacle.userData.direction;
-
-            obstacle.position.x = Math.cos(obstacle.userData.orbitAngle) * obstacle.userData.orbitRadius;
-            obstacle.position.z = Math.sin(obstacle.userData.orbitAngle) * obstacle.userData.orbitRadius;
+    resume() {
+        if (!this.state.isPaused) return;
 
-            // Face center
-            obstacle.rotation.y = obstacle.userData.orbitAngle + Math.PI / 2;
+        this.state.isPaused = false;
+        document.getElementById('pause-menu').classList.add('hidden');
+        this.showPlayControls();
+        if (this.state.isOnline()) return;
 
-            // Check collision with player
-            const distance = this.player.position.distanceTo(obstacle.position);
-            if (distance < CONFIG.player.size + 0.8) {
-                this.gameOver();
-            }
-        });
+        this.audio.resume();
+        this.loop.start();
     }
 
-    updateScore() {
-        document.getElementById('score').textContent = this.state.score;
-        document.querySelector('.score-total').textContent = `/ ${this.state.totalCrystals}`;
+    // Leave the run and go back to the start screen with a fresh copy of the level
+    quitToMenu() {
+        this.recordAbandonedRun();
+        this.loop.stop();
+        this.state.isPaused = false;
+        this.audio.resume();
+        this.hidePlayControls();
+        document.getElementById('pause-menu').classList.add('hidden');
+        document.getElementById('hud').classList.remove('visible');
+
+        if (this.editor && this.state.isCustom()) {
+            this.editor.open();
+            return;
+        }
+        if (this.state.isOnline()) this.online.leave();
+        // The start button plays solo, so a versus or online level comes back as its campaign copy
+        this.loadLevel(this.state.levelIndex, this.state.isMultiplayer() ? 'campaign' : this.state.mode);
+        this.render(1, Infinity);
+        document.getElementById('start-screen').classList.remove('hidden');
     }
 
-    gameWin() {
-        this.state.isPlaying = false;
-        this.state.isGameOver = true;
+    // Switch the pause overlay between its main buttons and the settings panel
+    showPauseView(view) {
+        document.getElementById('pause-main').classList.toggle('hidden', view !== 'main');
+        document.getElementById('settings-panel').classList.toggle('hidden', view !== 'settings');
+    }
 
-        if (isMobile && navigator.vibrate) {
-            navigator.vibrate([100, 50, 100, 50, 200]);
+    openSettings() {
+        // Outside of a run the settings panel opens over the start screen
+        if (!this.state.isPaused) {
+            document.getElementById('pause-menu').classList.remove('hidden');
         }
-
-        document.getElementById('message-title').textContent = '🎉 Victory!';
-        document.getElementById('message-text').textContent = 'You collected all the crystals! Amazing!';
-        document.getElementById('game-message').classList.remove('hidden');
-        document.getElementById('controls-info').classList.remove('visible');
-        this.input.hideJoystick();
+        this.showPauseView('settings');
     }
 
-    gameOver() {
-        this.state.isPlaying = false;
-        this.state.isGameOver = true;
-
-        if (isMobile && navigator.vibrate) {
-            navigator.vibrate(200);
+    closeSettings() {
+        this.input.cancelCapture();
+        if (this.state.isPaused) {
+            this.showPauseView('main');
+        } else {
+            document.getElementById('pause-menu').classList.add('hidden');
         }
-
-        document.getElementById('message-title').textContent = '💥 Game Over';
-        document.getElementById('message-text').textContent = 'You hit an obstacle! Try again!';
-        document.getElementById('game-message').classList.remove('hidden');
-        document.getElementById('controls-info').classList.remove('visible');
-        this.input.hideJoystick();
     }
 
-    onResize() {
-        this.camera.aspect = window.innerWidth / window.innerHeight;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.composer.setSize(window.innerWidth, window.innerHeight);
+    // Two-way binding between [data-setting] inputs and this.settings
+    bindSettingsInputs() {
+        document.querySelectorAll('[data-setting]').forEach(input => {
+            const key = input.dataset.setting;
+            const read = () => {
+                if (input.type === 'checkbox') return input.checked;
+                if (input.type === 'range' || input.type === 'number') return Number(input.value);
+                return input.value;
+            };
+
+            if (input.type === 'checkbox') {
+                input.checked = Boolean(this.settings.get(key));
+            } else {
+                input.value = this.settings.get(key);
+            }
+
+            input.addEventListener(input.type === 'checkbox' ? 'change' : 'input', () => {
+                this.settings.set(key, read());
+            });
+        });
     }
 
-    animate() {
-        if (this.state.isGameOver) return;
+    playLevel(index, mode = 'campaign') {
+        this.loadLevel(index, mode);
+        this.hideLevelSelect();
+        document.getElementById('game-message').classList.add('hidden');
+        this.startGame();
+    }
 
-        requestAnimationFrame(() => this.animate());
+    // `seed` replays a layout (racing its ghost); without one the level rolls a new layout
+    restart(seed = null) {
+        // In a replay, restarting rewinds to the first tick
+        if (this.replay) {
+            this.seekReplay(0);
+            return;
+        }
+        // Online, the host starts the next race from the room's lobby
+        if (this.state.isOnline()) {
+            this.online.showPanel();
+            return;
+        }
 
-        // Calculate delta time for frame-rate independent movement
-        const currentTime = performance.now();
-        const deltaTime = Math.min((currentTime - this.lastTime) / 16.67, 3); // Cap at 3x normal frame
-        this.lastTime = currentTime;
+        // Rebuild the current level from its definition
+        this.recordAbandonedRun();
+        this.loadLevel(this.state.levelIndex, this.state.mode, seed);
 
-        const time = Date.now();
+        // Update UI
+        document.getElementById('game-message').classList.add('hidden');
+        document.getElementById('pause-menu').classList.add('hidden');
+        document.getElementById('hud').classList.add('visible');
+        this.showPlayControls();
 
-        // Update game elements
-        this.updatePlayer(deltaTime);
-        this.updateCamera();
-        this.updateCrystals(time);
-        this.updateObstacles(time);
-        this.particleSystem.update();
+        // Resume playing
+        this.state.isPlaying = true;
+        this.state.isGameOver = false;
+        this.applyGameSpeed();
+        this.audio.resume();
+        this.startRecording();
+
+        // Restart animation loop
+        this.loop.start();
+    }
+
+    // Campaign levels for a solo run, or for a local versus run ('versus')
+    showLevelSelect(mode = 'campaign') {
+        const versus = mode === 'versus';
+        const difficulty = this.getRunDifficulty(mode);
+        const grid = document.getElementById('level-grid');
+        grid.innerHTML = '';
+        document.getElementById('level-select-title').textContent = t(versus ? 'levelSelect.versusTitle' : 'levelSelect.title');
+
+        LEVELS.forEach((level, index) => {
+            const locked = index >= this.state.unlockedLevels;
+            const card = document.createElement('button');
+            card.className = 'level-card' + (locked ? ' locked' : '');
+            card.disabled = locked;
+            card.innerHTML = `
+                <span class="level-number">${locked ? '🔒' : i18n.formatNumber(index + 1)}</span>
+                <span class="level-name">${getLevelName(level)}</span>
+                ${versus ? '' : this.getBestSummary(this.state.getRecordKey('campaign', level.id, difficulty), 'level-best')}
+            `;
+            if (!locked) {
+                card.addEventListener('click', () => this.playLevel(index, mode));
+            }
+            grid.appendChild(card);
+        });
+
+        document.getElementById('start-screen').classList.add('hidden');
+        document.getElementById('game-message').classList.add('hidden');
+        document.getElementById('hud').classList.remove('visible');
+        document.getElementById('level-select').classList.remove('hidden');
+    }
+
+    hideLevelSelect() {
+        document.getElementById('level-select').classList.add('hidden');
+    }
+
+    // ============================================
+    // Profile & Stats
+    // ============================================
+    recordRun(won) {
+        const { scoring } = this.players[0];
+        const { simTime, collected } = this.state;
+        const key = this.state.getRecordKey();
+        const previous = this.profile.getBest(key);
+        const records = this.profile.recordRun({ key, won, score: scoring.points, time: simTime, crystals: collected });
+
+        // No callout on a first attempt - there was nothing to beat
+        const callouts = [];
+        if (previous && records.score) callouts.push(t('results.newBestScore'));
+        if (previous && records.time) callouts.push(t('results.newFastest'));
+        const newBest = document.getElementById('new-best');
+        newBest.textContent = callouts.join(' ');
+        newBest.classList.toggle('hidden', callouts.length === 0);
+
+        document.getElementById('personal-best').innerHTML = this.getBestSummary(key);
+        this.renderProfileStats();
+    }
+
+    // Restarting or quitting mid-run still counts the crystals and time played (solo runs only)
+    recordAbandonedRun() {
+        if (!this.state.isPlaying || this.replay || this.state.isMultiplayer() || this.state.simTime === 0) return;
+
+        this.profile.recordAbandoned({ time: this.state.simTime, crystals: this.state.collected });
+        this.renderProfileStats();
+    }
+
+    // "Best 1,250 · Fastest 0:42.3" for a record key, or '' before the first run
+    getBestSummary(key, className = '') {
+        const best = this.profile.getBest(key);
+        if (!best) return '';
+
+        const parts = [t('results.best', { score: best.score })];
+        if (best.time !== null) parts.push(t('results.fastest', { time: formatTime(best.time) }));
+        return className ? `<span class="${className}">${parts.join(' · ')}</span>` : parts.join(' · ');
+    }
+
+    renderProfileStats() {
+        const { stats } = this.profile;
+        const daily = this.profile.getBest(`daily:${getDailySeed()}`);
+        const items = [
+            [t('profile.crystals', { count: stats.crystals }), i18n.formatNumber(stats.crystals)],
+            [t('profile.clears', { count: stats.wins }), i18n.formatNumber(stats.wins)],
+            [t('profile.deaths', { count: stats.deaths }), i18n.formatNumber(stats.deaths)],
+            [t('profile.playTime'), formatPlayTime(stats.playTime)],
+            [t('profile.dailyBest'), daily ? i18n.formatNumber(daily.score) : '—']
+        ];
+
+        document.getElementById('profile-stats-grid').innerHTML = items.map(([label, value]) => `
+            <div class="profile-stat">
+                <span class="profile-stat-value">${value}</span>
+                <span class="profile-stat-label">${label}</span>
+            </div>
+        `).join('');
+    }
+
+    downloadProfile() {
+        const blob = new Blob([this.profile.export()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'crystal-quest-profile.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    loadProfileFile(file) {
+        file.text()
+            .then(text => {
+                this.profile.import(text);
+                this.renderProfileStats();
+            })
+            .catch(error => window.alert(t('profile.importFailed', { error: error.message })));
+    }
+
+    // ============================================
+    // Leaderboard
+    // ============================================
+    getPlayerName() {
+        const name = String(this.settings.get('playerName') || '').trim().slice(0, LEADERBOARD.maxNameLength);
+        return name || 'Player';
+    }
+
+    // Fire-and-forget: the result screen is already up and fills in when the network answers
+    submitScore() {
+        const replay = this.lastReplay;
+        const board = this.state.getRecordKey();
+
+        this.setLeaderboardStatus(t('leaderboard.submitting'));
+        document.getElementById('leaderboard-list').innerHTML = '';
+        document.getElementById('leaderboard').classList.remove('hidden');
+
+        this.leaderboard.submit({
+            board,
+            name: this.getPlayerName(),
+            score: this.players[0].scoring.points,
+            time: this.state.simTime,
+            seed: this.state.seed,
+            replayHash: replay.getHash()
+        }).then(result => {
+            // Another run has finished since - its own submission owns the panel
+            if (this.lastReplay !== replay) return;
+
+            if (result.queued) {
+                this.setLeaderboardStatus(t('leaderboard.queued'));
+            } else if (result.rejected) {
+                this.setLeaderboardStatus(t('leaderboard.rejected', { reason: result.rejected }));
+            } else {
+                this.setLeaderboardStatus(t(result.best ? 'leaderboard.newBest' : 'leaderboard.bestStands', { rank: result.rank }));
+            }
+            return this.showLeaderboard(board, replay);
+        });
+    }
+
+    setLeaderboardStatus(text) {
+        document.getElementById('leaderboard-status').textContent = text;
+    }
+
+    // Top entries, plus the player's neighbourhood when they're further down
+    async showLeaderboard(board, replay) {
+        const { topCount, aroundRange } = CONFIG.leaderboard;
+        let top, around;
+        try {
+            [top, around] = await Promise.all([
+                this.leaderboard.top(board, topCount),
+                this.leaderboard.around(board, aroundRange)
+            ]);
+        } catch (e) {
+            return;
+        }
+        if (this.lastReplay !== replay) return;
+
+        const lastTopRank = top.entries.length;
+        const rows = [...top.entries];
+        const below = around.entries.filter(entry => entry.rank > lastTopRank);
+        if (below.length > 0) {
+            if (below[0].rank > lastTopRank + 1) rows.push(null);
+            rows.push(...below);
+        }
+
+        const list = document.getElementById('leaderboard-list');
+        list.innerHTML = '';
+        rows.forEach(entry => {
+            const item = document.createElement('li');
+            if (!entry) {
+                item.className = 'gap';
+                item.textContent = '⋯';
+            } else {
+                item.classList.toggle('you', entry.playerId === this.leaderboard.playerId);
+                [
+                    ['leaderboard-rank', t('leaderboard.rank', { rank: entry.rank })],
+                    ['leaderboard-name', entry.name],
+                    ['leaderboard-score', i18n.formatNumber(entry.score)],
+                    ['leaderboard-time', formatTime(entry.time)]
+                ].forEach(([className, text]) => {
+                    const cell = document.createElement('span');
+                    cell.className = className;
+                    cell.textContent = text;
+                    item.appendChild(cell);
+                });
+            }
+            list.appendChild(item);
+        });
+    }
+
+    // ============================================
+    // Replays
+    // ============================================
+    startRecording() {
+        this.ghostRecorder.stop();
+        if (this.state.isMultiplayer()) return; // Replays and ghosts hold one player's run
+
+        const { seed, mode, levelIndex, level, tuning } = this.state;
+        this.recorder.start({
+            seed,
+            mode,
+            level: levelIndex,
+            levelId: level.id,
+            difficulty: this.state.difficulty,
+            tickRate: CONFIG.simulation.tickRate,
+            tuning: { ...tuning }
+        });
+        this.ghostRecorder.start(this.players[0]);
+    }
+
+    finishRecording(result, reason = null) {
+        const replay = this.recorder.finish({
+            result,
+            reason,
+            score: this.players[0].scoring.points,
+            tick: this.state.ticks
+        });
+        if (replay) this.lastReplay = replay;
+
+        // A clear becomes the layout's ghost if it's the fastest yet
+        const ghost = this.ghostRecorder.finish(this.state.simTime, this.players[0]);
+        if (ghost && result === 'win') this.ghosts.offer(this.state.getLayoutKey(), ghost);
+    }
+
+    // A player's movement input and BUTTONS for this tick: recorded live, or read back from
+    // the replay. Versus runs read each player's own controls and aren't recorded
+    getTickInput(player) {
+        if (this.replay) {
+            player.buttons = this.replay.getButtons(this.replayCursor);
+            return this.replay.getInput(this.replayCursor++, player.input.set(0, 0, 0));
+        }
+        if (this.state.isVersus()) {
+            player.buttons = this.input.consumeButtons(player.index);
+            return player.input.copy(this.input.getMovementVector(player.index));
+        }
+        player.buttons = this.input.consumeButtons();
+        return this.recorder.record(player.input.copy(this.input.getMovementVector()), player.buttons);
+    }
+
+    getReplayEnd() {
+        const { outcome, ticks } = this.replay;
+        return outcome ? Math.max(outcome.tick, ticks) : ticks;
+    }
+
+    watchReplay(replay) {
+        const { header } = replay;
+        const level = this.state.getLevel(header.mode, header.level);
+        if (!level || level.id !== header.levelId) {
+            throw new Error(`Replay is for an unknown level (${header.levelId})`);
+        }
+        if (header.tickRate !== CONFIG.simulation.tickRate) {
+            throw new Error(`Replay was recorded at ${header.tickRate} ticks per second`);
+        }
+        if (!CONFIG.difficulty[header.difficulty]) {
+            throw new Error(`Replay uses an unknown difficulty (${header.difficulty})`);
+        }
+
+        this.replay = replay;
+        this.state.tuning = { ...GameState.defaultTuning(), ...header.tuning };
+
+        document.getElementById('start-screen').classList.add('hidden');
+        document.getElementById('game-message').classList.add('hidden');
+        this.hideLevelSelect();
+        document.getElementById('hud').classList.add('visible');
+        this.hidePlayControls();
+
+        document.getElementById('replay-scrub').max = this.getReplayEnd();
+        document.getElementById('replay-controls').classList.remove('hidden');
+
+        this.setReplaySpeed(1);
+        this.replayPaused = false;
+        this.seekReplay(0);
+    }
+
+    // Rebuild the level from the replay's seed and fast-forward to `tick`
+    seekReplay(tick) {
+        const { header } = this.replay;
+
+        this.loop.stop();
+        this.loadLevel(header.level, header.mode, header.seed);
+        this.replayCursor = 0;
+        this.state.isPlaying = true;
+
+        const target = Math.min(tick, this.getReplayEnd());
+        this.audio.quiet = true;
+        while (this.state.isPlaying && this.state.ticks < target) {
+            this.tick();
+        }
+        this.audio.quiet = false;
+
+        this.render(1, Infinity);
+        if (this.state.isPlaying) {
+            this.loop.timeScale = this.replayPaused ? 0 : this.replaySpeed;
+            this.loop.start();
+        }
+    }
+
+    setReplayPaused(paused) {
+        this.replayPaused = paused;
+        document.getElementById('replay-toggle-btn').textContent = paused ? '▶' : '⏸';
+
+        // Playing from the end starts over
+        if (!paused && (this.state.isGameOver || this.state.ticks >= this.getReplayEnd())) {
+            this.seekReplay(0);
+            return;
+        }
+        this.loop.timeScale = paused ? 0 : this.replaySpeed;
+    }
+
+    setReplaySpeed(speed) {
+        this.replaySpeed = speed;
+        document.querySelectorAll('#replay-controls [data-speed]').forEach(button => {
+            button.classList.toggle('active', Number(button.dataset.speed) === speed);
+        });
+        if (!this.replayPaused) {
+            this.loop.timeScale = speed;
+        }
+    }
+
+    updateReplayControls() {
+        const { tickRate } = this.replay.header;
+        const { outcome } = this.replay;
+
+        document.getElementById('replay-scrub').value = this.state.ticks;
+        const tenths = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
+        document.getElementById('replay-time').textContent = t('replay.time', {
+            time: i18n.formatNumber(this.state.ticks / tickRate, tenths),
+            duration: i18n.formatNumber(this.replay.getDuration(), tenths)
+        });
+
+        let status = t('replay.playing');
+        if (this.state.isGameOver) {
+            status = t(this.state.collected >= this.state.totalCrystals ? 'replay.cleared' : 'replay.failed');
+            if (outcome && outcome.score !== this.players[0].scoring.points) {
+                status = t('replay.outOfSync', { status });
+            }
+        }
+        document.getElementById('replay-status').textContent = status;
+    }
+
+    exitReplay() {
+        const { header } = this.replay;
+
+        this.loop.stop();
+        this.replay = null;
+        this.applyGameSpeed();
+        this.state.tuning = GameState.defaultTuning();
+        document.getElementById('replay-controls').classList.add('hidden');
+        document.getElementById('hud').classList.remove('visible');
+
+        if (this.editor && header.mode === 'custom') {
+            this.editor.open();
+            return;
+        }
+        this.loadLevel(header.level, header.mode);
+        this.render(1, Infinity);
+        document.getElementById('start-screen').classList.remove('hidden');
+    }
+
+    downloadReplay() {
+        if (!this.lastReplay) return;
+
+        const { seed, levelId } = this.lastReplay.header;
+        const blob = new Blob([JSON.stringify(this.lastReplay)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `crystal-quest-${levelId}-${seed}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    loadReplayFile(file) {
+        file.text()
+            .then(text => this.watchReplay(Replay.parse(text)))
+            .catch(error => window.alert(t('replay.loadFailed', { error: error.message })));
+    }
+
+    updatePlayer(player) {
+        if (!this.state.isPlaying || player.out) return;
+
+        this.getTickInput(player);
+        const maxSpeed = this.powerups.modify('maxSpeed', this.state.tuning.maxSpeed, player);
+        if (this.movePlayer(player, maxSpeed, this.state.simTime)) {
+            this.audio.jump();
+        }
+        if (player.feet < CONFIG.player.fallLimit) {
+            this.loseLife(player, 'fall');
+            return;
+        }
+        this.animatePlayer(player, this.state.simTime);
+    }
+
+    /**
+     * One tick of a player's physics from their input and buttons (see movePlayer() in
+     * physics.js). Returns true if the player jumped. Nothing else may feed in - online
+     * races replay it for prediction, and server/game-server.mjs runs the same code.
+     */
+    movePlayer(player, maxSpeed, time) {
+        const jump = (player.buttons & BUTTONS.jump) !== 0;
+        const jumped = movePlayer(this.arena.surfaces, CONFIG.player, player, maxSpeed, jump, time);
+        player.position.y = player.feet + CONFIG.player.size;
+        return jumped;
+    }
+
+    // Roll with the movement, bob while grounded and pulse the glow
+    animatePlayer(player, seconds) {
+        const { velocity } = player;
+        if (velocity.lengthSq() > 1e-6) {
+            player.mesh.rotation.x += velocity.z * 0.15;
+            player.mesh.rotation.z -= velocity.x * 0.15;
+        }
+
+        // Floating animation, only with something to float over. It's part of the
+        // simulated position, so reduced motion takes it back out in holdDecorations()
+        const time = seconds * 1000;
+        player.bob = player.grounded ? Math.sin(time * 0.003) * 0.1 : 0;
+        player.position.y = player.feet + CONFIG.player.size + player.bob;
+
+        // Pulse glow
+        player.glow.scale.setScalar(this.reducedMotion ? 1 : 1 + Math.sin(time * 0.005) * 0.1);
+    }
+
+    // Stand the player on the ground at (x, z)
+    placePlayer(player, x, z, time = this.state.simTime) {
+        player.feet = Math.max(0, this.arena.getHeight(x, z));
+        player.verticalSpeed = 0;
+        player.grounded = true;
+        player.lastGroundedAt = time;
+        player.position.set(x, player.feet + CONFIG.player.size, z);
+    }
+
+    // Versus players are solid to each other: overlapping balls are pushed apart and trade momentum
+    bumpPlayers() {
+        const [a, b] = this.players;
+        if (!b || a.out || b.out) return;
+
+        const minDistance = CONFIG.player.size * 2;
+        const dx = b.position.x - a.position.x;
+        const dz = b.position.z - a.position.z;
+        const distance = Math.hypot(dx, dz);
+        if (distance >= minDistance || Math.abs(a.feet - b.feet) >= minDistance) return;
+
+        const nx = distance > 1e-6 ? dx / distance : 1;
+        const nz = distance > 1e-6 ? dz / distance : 0;
+        const push = (minDistance - distance) / 2;
+        a.position.x -= nx * push;
+        a.position.z -= nz * push;
+        b.position.x += nx * push;
+        b.position.z += nz * push;
+
+        // Equal masses: swap the speed along the line between them
+        const closing = (a.velocity.x - b.velocity.x) * nx + (a.velocity.z - b.velocity.z) * nz;
+        if (closing <= 0) return;
+        a.velocity.x -= nx * closing;
+        a.velocity.z -= nz * closing;
+        b.velocity.x += nx * closing;
+        b.velocity.z += nz * closing;
+        this.audio.hit();
+    }
+
+    updateCamera(frameSeconds) {
+        // Smooth camera follow, scaled so the lag feels the same at any refresh rate
+        // (frameSeconds = Infinity snaps straight to the target, as does reduced motion)
+        const lag = this.reducedMotion ? 1 : CONFIG.camera.smoothing;
+        const smoothing = 1 - Math.pow(1 - lag, frameSeconds * CONFIG.simulation.tickRate);
+        const { focus, feet, zoom } = this.getCameraTarget(smoothing);
+        const targetX = focus.x;
+        const targetZ = focus.z + CONFIG.camera.distance * zoom;
+        const targetY = CONFIG.camera.height * zoom + Math.max(feet, 0); // Rises with ledges, doesn't dive after a fall
+
+        this.camera.position.x += (targetX - this.camera.position.x) * smoothing;
+        this.camera.position.z += (targetZ - this.camera.position.z) * smoothing;
+        this.camera.position.y += (targetY - this.camera.position.y) * smoothing;
+
+        this.camera.lookAt(focus);
+    }
+
+    // Solo and online runs follow this device's player. Versus runs frame everyone still in,
+    // pulling back as they spread out, and ease the focus so losing a player doesn't jerk the view
+    getCameraTarget(smoothing) {
+        if (this.players.length === 1 || this.state.isOnline()) {
+            const [player] = this.players;
+            return { focus: player.position, feet: player.feet, zoom: 1 };
+        }
+
+        const focus = this.cameraFocus;
+        const active = this.players.filter(player => !player.out);
+        if (active.length > 0) {
+            const middle = this.cameraMiddle.set(0, 0, 0);
+            active.forEach(player => middle.add(player.position));
+            focus.lerp(middle.divideScalar(active.length), smoothing);
+            this.cameraFeet = Math.max(...active.map(player => player.feet));
+        }
+        const spread = active.reduce((widest, player) => Math.max(widest, player.position.distanceTo(focus) * 2), 0);
+        const zoom = Math.min(1 + spread * CONFIG.versus.cameraZoom, CONFIG.versus.maxZoom);
+        return { focus, feet: this.cameraFeet, zoom };
+    }
+
+    updateCrystals() {
+        if (this.crystalsMoved) this.rebuildCrystalGrid();
+        this.animateCrystals();
+
+        // Pickups: only crystals in the grid cells around each player get a sphere test
+        this.players.forEach(player => {
+            if (player.out) return;
+
+            this.crystalGrid.query(this.getPlayerBounds(player, 0), this.nearby).forEach(crystal => {
+                if (crystal.userData.collected) return;
+
+                testSphere(player.position, CONFIG.player.size, crystal.userData.collider, this.contact);
+                if (this.contact.distance < 0) {
+                    this.collectCrystal(crystal, player);
+                }
+            });
+        });
+    }
+
+    animateCrystals() {
+        const time = this.state.simTime * 1000;
+        this.state.crystals.forEach(crystal => {
+            if (crystal.userData.collected) return;
+
+            // Rotation
+            crystal.rotation.y += CONFIG.crystal.rotationSpeed;
+            crystal.rotation.x += CONFIG.crystal.rotationSpeed * 0.5;
+
+            // Floating animation
+            const floatY = Math.sin(time * CONFIG.crystal.floatSpeed + crystal.userData.floatOffset) * CONFIG.crystal.floatAmount;
+            crystal.position.y = crystal.userData.initialY + floatY;
+        });
+    }
+
+    // XZ area the player's sphere covers, grown by `margin`
+    getPlayerBounds(player, margin) {
+        const reach = CONFIG.player.size + margin;
+        const { x, z } = player.position;
+        const bounds = this.queryBounds;
+        bounds[0] = x - reach;
+        bounds[1] = z - reach;
+        bounds[2] = x + reach;
+        bounds[3] = z + reach;
+        return bounds;
+    }
+
+    collectCrystal(crystal, player) {
+        // Remove crystal; its spot is the new checkpoint
+        this.removeCrystal(crystal);
+        player.checkpoint = { x: crystal.position.x, z: crystal.position.z };
+
+        // Update score
+        const { scoring } = player;
+        this.state.collected++;
+        player.collected++;
+        const points = scoring.collectCrystal(this.state.simTime);
+        this.audio.pickup(scoring.combo);
+        this.updateScore();
+        this.showPopup(t(scoring.combo > 1 ? 'popups.combo' : 'popups.points', { points, combo: scoring.combo }), player);
+
+        // Haptic feedback on mobile
+        this.vibrate(50);
+
+        // Check win condition
+        if (this.state.collected >= this.state.totalCrystals) {
+            this.gameWin();
+        }
+    }
+
+    // Take a crystal out of play with a burst of its colour
+    removeCrystal(crystal) {
+        this.particleSystem.burst(crystal.position, crystal.userData.color);
+        crystal.userData.collected = true;
+        this.levelGroup.remove(crystal);
+    }
+
+    updateObstacles() {
+        this.moveObstacles();
+        this.players.forEach(player => this.checkObstacles(player));
+    }
+
+    // One tick of the obstacle clock
+    moveObstacles() {
+        const timeScale = this.powerups.modify('obstacleTimeScale', 1);
+        this.state.obstacleTime += this.tickSeconds * timeScale;
+
+        const positions = this.playerPositions;
+        positions.length = 0;
+        this.players.forEach(player => {
+            if (!player.out) positions.push(player.position);
+        });
+        const context = {
+            time: this.state.obstacleTime,
+            timeScale,
+            players: positions,
+            getPlatformEdge: (angle) => this.getPlatformEdge(angle)
+        };
+
+        // Move everything, then rebuild the broad phase from the new positions
+        this.obstacleGrid.clear();
+        this.state.obstacles.forEach(obstacle => {
+            obstacle.update(context);
+
+            const collider = obstacle.getCollider();
+            if (collider) {
+                this.obstacleGrid.insert(obstacle, getShapeBounds(collider, this.shapeBounds));
+            }
+        });
+    }
+
+    // Whether the player's ball overlaps any obstacle. Online races only need a yes or no,
+    // and it has to be the race server's, so this is its test (see Obstacle.touches())
+    touchesObstacle(player) {
+        const { x, y, z } = player.position;
+        return this.state.obstacles.some(obstacle => obstacle.touches(x, y, z, CONFIG.player.size));
+    }
+
+    // Contacts and near-misses between one player and the obstacles
+    checkObstacles(player) {
+        const time = this.state.simTime;
+        this.state.obstacles.forEach(obstacle => {
+            const proximity = obstacle.getProximity(player.index);
+            proximity.wasInRange = proximity.inRange;
+            proximity.inRange = false;
+        });
+        if (player.out) return;
+
+        // Freshly respawned players pass through everything
+        const margin = SCORING.nearMissMargin;
+        const nearby = player.isInvulnerable(time) ? [] : this.obstacleGrid.query(this.getPlayerBounds(player, margin), this.nearby);
+        nearby.forEach(obstacle => {
+            const proximity = obstacle.getProximity(player.index);
+            testSphere(player.position, CONFIG.player.size, obstacle.getCollider(), this.contact);
+            if (this.contact.distance < 0) {
+                proximity.inRange = true;
+                proximity.nearMiss = false;
+                proximity.touching = true;
+                this.resolveContact(player, obstacle, this.contact);
+            } else if (this.contact.distance < margin) {
+                proximity.inRange = true;
+                proximity.nearMiss = !proximity.touching;
+                if (!proximity.wasInRange) {
+                    this.audio.whoosh(this.getStereoPan(obstacle.getCollider().center), 1 - this.contact.distance / margin);
+                }
+            }
+        });
+
+        // Slipping out of the near zone unharmed scores a near-miss
+        this.state.obstacles.forEach(obstacle => {
+            const proximity = obstacle.getProximity(player.index);
+            if (proximity.inRange) return;
+            if (proximity.nearMiss) this.awardNearMiss(player);
+            proximity.nearMiss = false;
+            proximity.touching = false;
+        });
+    }
+
+    // -1..1 for a point left/right of the camera's view
+    getStereoPan(position) {
+        const local = this.panVector.copy(position).applyMatrix4(this.camera.matrixWorldInverse);
+        return THREE.MathUtils.clamp(local.x / Math.max(1, -local.z), -1, 1);
+    }
+
+    // Contact response comes from the obstacle, then the level, then CONFIG.collision
+    resolveContact(player, obstacle, contact) {
+        const response = obstacle.spec.contact || this.state.level.contact || CONFIG.collision.response;
+        const time = this.state.simTime;
+
+        // A shield takes any hit that would cost something, then lets the player slip through
+        if (response !== 'bounce' && this.powerups.absorbHit(player)) {
+            player.invulnerableUntil = time + CONFIG.powerups.hitGrace;
+            obstacle.getProximity(player.index).touching = false;
+            this.showPopup(t('popups.shieldHit'), player);
+            this.vibrate(60);
+            return;
+        }
+
+        if (response === 'gameOver') {
+            this.loseLife(player);
+            return;
+        }
+
+        // Push the player back out along the floor; floor zones push away from their centre
+        const { position, velocity } = player;
+        const normal = contact.normal.setY(0);
+        if (normal.lengthSq() < 1e-6) {
+            const center = obstacle.getCollider().center;
+            normal.set(position.x - center.x, 0, position.z - center.z);
+            if (normal.lengthSq() < 1e-6) normal.set(1, 0, 0);
+        }
+        normal.normalize();
+        position.addScaledVector(normal, -contact.distance);
+
+        if (response === 'bounce') {
+            const into = velocity.dot(normal);
+            if (into < 0) {
+                velocity.addScaledVector(normal, -(1 + CONFIG.collision.restitution) * into);
+            }
+            return;
+        }
+
+        // Knockback: shoved away and the combo is lost, at most once per cooldown
+        velocity.copy(normal).multiplyScalar(CONFIG.collision.knockbackSpeed);
+        if (time - player.lastKnockback < CONFIG.collision.knockbackCooldown) return;
+
+        player.lastKnockback = time;
+        player.scoring.breakCombo();
+        this.updateScore();
+        this.audio.hit();
+        this.showPopup(t('popups.knockedBack'), player);
+        this.vibrate(80);
+    }
+
+    // A lethal hit costs a life; the run only ends when the last one goes
+    // (in versus, when every player's last one has gone)
+    loseLife(player, reason = 'obstacle') {
+        if (!this.state.isPlaying) return;
+        if (player.lives <= 1) {
+            player.lives = 0;
+            this.updateLives();
+            if (this.players.every(other => other === player || other.out)) {
+                this.gameOver(reason);
+            } else {
+                this.eliminatePlayer(player);
+            }
+            return;
+        }
+
+        player.lives--;
+        player.invulnerableUntil = this.state.simTime + CONFIG.lives.invulnerability;
+        player.scoring.breakCombo();
+        this.state.obstacles.forEach(obstacle => {
+            const proximity = obstacle.getProximity(player.index);
+            proximity.nearMiss = false;
+            proximity.touching = false;
+        });
+
+        this.particleSystem.burst(player.position, player.color);
+        this.audio.hit();
+        this.respawn(player);
+        this.updateScore();
+        this.updateLives();
+        this.showPopup(player.lives === 1 ? t('popups.lastLife') : t('popups.lifeLost', { count: player.lives }), player);
+        const message = player.lives === 1 ? t('announce.lastLife') : t('announce.lifeLost', { count: player.lives });
+        this.announce(this.state.isMultiplayer() ? t('announce.whose', { name: player.name, message }) : message);
+        this.vibrate(200);
+    }
+
+    // Versus: out of lives, so out of the run; the other player plays on for the crystals left
+    eliminatePlayer(player) {
+        player.out = true;
+        player.mesh.visible = false;
+        player.velocity.set(0, 0, 0);
+        this.powerups.clear(player);
+        this.particleSystem.burst(player.position, player.color);
+        this.audio.hit();
+        this.updateScore();
+        this.showPopup(t('popups.outOfLives'), player);
+        this.announce(t('announce.outOfLives', { name: player.name }));
+        this.vibrate(200);
+    }
+
+    // Back to the last checkpoint, or the player's start if an obstacle is camping it
+    respawn(player) {
+        const grounded = [player.checkpoint, player.spawn]
+            .filter(candidate => this.arena.getHeight(candidate.x, candidate.z) > -Infinity);
+        // A custom level may start the player over open air; they fall from there again
+        const candidates = grounded.length > 0 ? grounded : [player.spawn];
+        const clearance = (spot) => this.state.obstacles.reduce((closest, obstacle) => {
+            const collider = obstacle.getCollider();
+            if (!collider) return closest;
+            return Math.min(closest, Math.hypot(collider.center.x - spot.x, collider.center.z - spot.z));
+        }, Infinity);
+
+        const spot = candidates.find(candidate => clearance(candidate) >= CONFIG.lives.safeRadius)
+            || candidates.reduce((best, candidate) => clearance(candidate) > clearance(best) ? candidate : best);
+
+        this.placePlayer(player, spot.x, spot.z);
+        player.velocity.set(0, 0, 0);
+
+        // Teleport, don't glide there
+        player.mesh.userData.prevPosition.copy(player.position);
+    }
+
+    awardNearMiss(player) {
+        if (!this.state.isPlaying) return;
+
+        const points = player.scoring.nearMiss();
+        this.updateScore();
+        this.showPopup(t('popups.nearMiss', { points }), player);
+    }
+
+    updateScore() {
+        const { scoring } = this.players[0];
+        document.getElementById('score').textContent = i18n.formatNumber(this.state.collected);
+        document.querySelector('.score-total').textContent = t('hud.crystalTotal', { total: this.state.totalCrystals });
+        document.getElementById('points').textContent = i18n.formatNumber(scoring.points);
+
+        const multiplier = document.getElementById('multiplier');
+        multiplier.textContent = t('hud.multiplier', {
+            multiplier: i18n.formatNumber(scoring.multiplier, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+        });
+        multiplier.classList.toggle('active', scoring.multiplier > 1);
+
+        if (this.state.isMultiplayer()) this.updatePlayersHud();
+
+        // Each crystal is read out once, with the score in solo runs
+        const { collected, totalCrystals } = this.state;
+        if (collected !== this.announcedCrystals) {
+            this.announcedCrystals = collected;
+            const params = { count: collected, total: totalCrystals, points: scoring.points };
+            if (collected > 0) this.announce(t(this.state.isMultiplayer() ? 'announce.crystals' : 'announce.crystalsPoints', params));
+        }
+    }
+
+    // One row per player in their colour: crystals, points and lives in versus,
+    // crystals in online races, where the rows are ordered by who's ahead
+    updatePlayersHud() {
+        const online = this.state.isOnline();
+        const maxLives = this.state.getDifficulty().lives;
+        const players = online ? [...this.players].sort((a, b) => b.collected - a.collected) : this.players;
+        document.getElementById('versus-scores').replaceChildren(...players.map(player => {
+            const row = document.createElement('div');
+            row.className = 'versus-player';
+            row.classList.toggle('out', player.out || !player.connected);
+            row.style.setProperty('--player-color', player.cssColor);
+
+            const label = document.createElement('b');
+            label.textContent = player.label;
+            if (online) {
+                const crystals = t('hud.playerCrystals', { crystals: player.collected });
+                row.append(label, ` ${player.connected ? crystals : t('hud.playerOffline', { crystals })}`);
+                return row;
+            }
+            const hearts = '❤'.repeat(player.lives) + '♡'.repeat(Math.max(0, maxLives - player.lives));
+            row.append(label, ` ${t('hud.playerStats', {
+                crystals: player.collected,
+                points: player.scoring.points,
+                lives: player.out ? t('hud.playerOut') : hearts
+            })}`);
+            return row;
+        }));
+    }
+
+    // Short-lived text under the level title (points, near-misses); multiplayer runs say whose it is
+    showPopup(text, player = null) {
+        const popup = document.getElementById('hud-popup');
+        const versus = player !== null && this.state.isMultiplayer();
+        popup.textContent = versus ? t('popups.whose', { label: player.label, text }) : text;
+        popup.style.color = versus ? player.cssColor : '';
+        popup.classList.remove('show');
+        void popup.offsetWidth; // Restart the CSS animation
+        popup.classList.add('show');
+    }
+
+    updateLives() {
+        const { lives } = this.players[0];
+        const max = this.state.getDifficulty().lives;
+        document.getElementById('lives').textContent = '❤'.repeat(lives) + '♡'.repeat(Math.max(0, max - lives));
+        if (this.state.isMultiplayer()) this.updatePlayersHud();
+    }
+
+    // One chip per active power-up with its remaining time, labelled with the player in versus runs
+    updatePowerUpHud() {
+        const versus = this.state.isVersus();
+        const timers = this.players.flatMap(player => this.powerups.getTimers(player).map(timer => ({ ...timer, player })));
+        const text = timers.map(timer => `${timer.player.index}:${timer.key}:${Math.ceil(timer.remaining)}`).join(',');
+        const container = document.getElementById('powerups');
+
+        if (text !== this.powerUpHudText) {
+            this.powerUpHudText = text;
+            container.replaceChildren(...timers.map(timer => {
+                const chip = document.createElement('div');
+                chip.className = 'powerup-chip';
+                chip.dataset.powerup = timer.key;
+                chip.title = timer.label;
+                const time = `${timer.icon} ${formatSeconds(Math.ceil(timer.remaining))}`;
+                chip.textContent = versus ? t('popups.whose', { label: timer.player.label, text: time }) : time;
+                return chip;
+            }));
+            this.updateDashButton();
+        }
+
+        // Draining bar under each chip
+        Array.from(container.children).forEach((chip, i) => {
+            chip.style.setProperty('--remaining', timers[i].fraction.toFixed(3));
+        });
+    }
+
+    updateDashButton() {
+        const show = isMobile && this.state.isPlaying && !this.state.isPaused && !this.replay
+            && this.powerups.isActive('dash', this.players[0]);
+        document.getElementById('dash-btn').classList.toggle('hidden', !show);
+    }
+
+    updateLevelHud() {
+        const { level, levelIndex } = this.state;
+        const versus = this.state.isVersus();
+        const online = this.state.isOnline();
+        const name = getLevelName(level);
+        let title = t('hud.levelTitle', { number: levelIndex + 1, name });
+        if (this.state.isDaily()) {
+            title = t('hud.dailyTitle', { name, date: this.state.seed.replace(/^daily-/, '') });
+        } else if (versus || online) {
+            title = t(versus ? 'hud.versusTitle' : 'hud.onlineTitle', { title });
+        }
+        document.querySelector('.level-title').textContent = title;
+        document.getElementById('hud').classList.toggle('versus', versus);
+        document.getElementById('hud').classList.toggle('online', online);
+        this.updateTimer();
+    }
+
+    showSeed() {
+        // A seed link can't carry a custom level, so those runs go back to the editor instead.
+        // Versus and online runs aren't recorded and a seed link starts a solo run, so they offer neither
+        const custom = this.state.isCustom();
+        const versus = this.state.isMultiplayer();
+        const replay = Boolean(this.lastReplay) && !versus;
+        document.getElementById('seed-value').textContent = this.state.seed;
+        document.getElementById('copy-seed-btn').textContent = t('results.copyLink');
+        document.getElementById('copy-seed-btn').classList.toggle('hidden', custom || versus);
+        document.getElementById('levels-btn').classList.toggle('hidden', custom || this.state.isOnline());
+        document.getElementById('edit-level-btn').classList.toggle('hidden', !custom);
+        document.getElementById('watch-replay-btn').classList.toggle('hidden', !replay);
+        document.getElementById('save-replay-btn').classList.toggle('hidden', !replay);
+
+        const ghost = !versus && this.settings.get('ghostRacing') && this.ghosts.get(this.state.getLayoutKey()) !== null;
+        document.getElementById('ghost-btn').classList.toggle('hidden', !ghost);
+    }
+
+    copySeedLink() {
+        const button = document.getElementById('copy-seed-btn');
+        const url = this.state.getSeedUrl();
+
+        if (!navigator.clipboard) {
+            window.prompt(t('results.shareLink'), url);
+            return;
+        }
+        navigator.clipboard.writeText(url)
+            .then(() => { button.textContent = t('results.copied'); })
+            .catch(() => window.prompt(t('results.shareLink'), url));
+    }
+
+    // Record this run's track and move the best run's ghost alongside it
+    updateGhost() {
+        if (this.replay || this.state.isMultiplayer()) return;
+
+        const time = this.state.simTime;
+        this.ghostRecorder.record(time, this.players[0]);
+        if (!this.ghost.active) return;
+
+        this.ghost.update(time);
+    }
+
+    // The HUD that changes every tick, brought up to date once a frame
+    updateRunningHud() {
+        this.updateTimer();
+        this.updatePowerUpHud();
+        if (this.ghost.active) this.updateGhostHud();
+    }
+
+    // Live split against the ghost, under the level timer
+    updateGhostHud() {
+        const behind = this.ghost.active ? this.ghost.getSplit(this.state.simTime, this.ghostRecorder.splits) : null;
+        let text = '';
+        if (behind !== null) {
+            const seconds = Math.abs(behind).toFixed(1);
+            const split = i18n.formatNumber(Number(seconds), { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+            text = seconds === '0.0' ? t('ghost.even') : t(behind < 0 ? 'ghost.ahead' : 'ghost.behind', { seconds: split });
+        }
+        if (text === this.ghostSplitText) return;
+
+        this.ghostSplitText = text;
+        const split = document.getElementById('ghost-split');
+        split.textContent = text;
+        split.classList.toggle('ahead', behind !== null && behind < 0);
+        split.classList.toggle('behind', behind !== null && behind > 0);
+    }
+
+    updateTimer() {
+        document.getElementById('elapsed').textContent = formatTime(this.state.simTime);
+
+        const timer = document.getElementById('level-timer');
+        if (!this.state.level.timeLimit) {
+            timer.textContent = '';
+            return;
+        }
+
+        const seconds = Math.ceil(this.state.timeRemaining);
+        timer.textContent = t('hud.timeLeft', {
+            minutes: Math.floor(seconds / 60),
+            seconds: i18n.formatNumber(seconds % 60, { minimumIntegerDigits: 2 })
+        });
+        timer.classList.toggle('warning', seconds <= 10);
+    }
+
+    // Elapsed time, combo expiry and the level time limit
+    updateClock(seconds) {
+        if (!this.state.isPlaying) return;
+
+        const { level } = this.state;
+        const multiplierChanged = this.players.reduce((changed, { scoring }) => {
+            const multiplier = scoring.multiplier;
+            scoring.update(this.state.simTime);
+            return changed || scoring.multiplier !== multiplier;
+        }, false);
+        if (multiplierChanged) {
+            this.updateScore();
+        }
+
+        if (level.timeLimit) {
+            this.state.timeRemaining = Math.max(0, this.state.timeRemaining - seconds);
+        }
+
+        if (level.timeLimit && this.state.timeRemaining === 0) {
+            this.gameOver('time');
+        }
+    }
+
+    // Fill the win / lose screen with where the points came from
+    showScoreBreakdown(won) {
+        const breakdown = this.players[0].scoring.getBreakdown();
+        const rows = [
+            [t('breakdown.crystals'), t('breakdown.each', { count: breakdown.crystals, points: SCORING.crystalPoints }), breakdown.crystalPoints],
+            [t('breakdown.combo'), t('breakdown.bestChain', { combo: breakdown.bestCombo }), breakdown.comboPoints],
+            [t('breakdown.nearMisses'), t('breakdown.each', { count: breakdown.nearMisses, points: SCORING.nearMissPoints }), breakdown.nearMissPoints]
+        ];
+        if (won) {
+            rows.push([t('breakdown.timeBonus'), formatTime(this.state.simTime), breakdown.timeBonus]);
+        }
+
+        const table = document.getElementById('score-breakdown');
+        table.innerHTML = rows.map(([label, detail, points]) => `
+            <tr>
+                <td>${label}</td>
+                <td class="breakdown-detail">${detail}</td>
+                <td class="breakdown-points">${i18n.formatNumber(points, { signDisplay: 'exceptZero' })}</td>
+            </tr>
+        `).join('') + `
+            <tr class="breakdown-total">
+                <td>${t('breakdown.total')}</td>
+                <td></td>
+                <td class="breakdown-points">${i18n.formatNumber(breakdown.total)}</td>
+            </tr>
+        `;
+    }
+
+    gameWin() {
+        if (this.state.isGameOver) return;
+
+        this.state.isPlaying = false;
+        this.state.isGameOver = true;
+        this.loop.stop();
+
+        // The time bonus rewards a solo clear; versus points are what each player earned in play
+        if (!this.state.isVersus()) {
+            const { simTime, level, totalCrystals } = this.state;
+            this.players[0].scoring.finish(simTime, level.timeLimit, totalCrystals);
+        }
+        this.updateScore();
+
+        if (this.replay) {
+            this.updateReplayControls();
+            return;
+        }
+        if (this.state.isVersus()) {
+            this.showVersusResult('cleared');
+            return;
+        }
+        this.finishRecording('win');
+        this.recordRun(true);
+        if (this.state.isCustom()) {
+            document.getElementById('leaderboard').classList.add('hidden'); // Custom levels have no boards
+        } else if (this.state.slowed) {
+            this.setLeaderboardStatus(t('leaderboard.slowed'));
+            document.getElementById('leaderboard-list').innerHTML = '';
+            document.getElementById('leaderboard').classList.remove('hidden');
+        } else {
+            this.submitScore();
+        }
+        this.audio.stinger(true);
+        this.vibrate([100, 50, 100, 50, 200]);
+
+        const hasNext = this.state.hasNextLevel();
+        this.state.unlockNextLevel();
+        const clearTime = formatTime(this.state.simTime);
+
+        const name = getLevelName(this.state.level);
+        if (this.state.isDaily()) {
+            document.getElementById('message-title').textContent = t('results.dailyTitle');
+            document.getElementById('message-text').textContent = t('results.dailyText', { time: clearTime });
+        } else if (this.state.isCustom()) {
+            document.getElementById('message-title').textContent = t('results.levelTitle');
+            document.getElementById('message-text').textContent = t('results.levelText', { name, time: clearTime });
+        } else if (hasNext) {
+            document.getElementById('message-title').textContent = t('results.levelTitle');
+            document.getElementById('message-text').textContent = t('results.levelNextText', {
+                name,
+                time: clearTime,
+                next: getLevelName(LEVELS[this.state.levelIndex + 1])
+            });
+        } else {
+            document.getElementById('message-title').textContent = t('results.victoryTitle');
+            document.getElementById('message-text').textContent = t('results.victoryText', { time: clearTime });
+        }
+        this.showScoreBreakdown(true);
+
+        document.getElementById('next-level-btn').classList.toggle('hidden', !hasNext);
+        document.getElementById('play-again-btn').textContent = t(hasNext ? 'results.replay' : 'results.playAgain');
+        this.showSeed();
+        document.getElementById('game-message').classList.remove('hidden');
+        this.announceResult();
+        this.hidePlayControls();
+    }
+
+    gameOver(reason = 'obstacle') {
+        if (this.state.isGameOver) return;
+
+        this.state.isPlaying = false;
+        this.state.isGameOver = true;
+        this.loop.stop();
+
+        if (this.replay) {
+            this.updateReplayControls();
+            return;
+        }
+        if (this.state.isVersus()) {
+            this.updateScore();
+            this.showVersusResult(reason);
+            return;
+        }
+        this.finishRecording('lose', reason);
+        this.recordRun(false);
+        this.audio.stinger(false);
+        document.getElementById('leaderboard').classList.add('hidden');
+
+        this.vibrate(200);
+
+        document.getElementById('message-title').textContent = t(reason === 'time' ? 'results.timeUpTitle' : 'results.gameOverTitle');
+        let message = 'results.obstacleText';
+        if (reason === 'time') {
+            message = 'results.timeUpText';
+        } else if (reason === 'fall' && this.state.getDifficulty().lives <= 1) {
+            message = 'results.fallText';
+        } else if (this.state.getDifficulty().lives > 1) {
+            message = 'results.livesText';
+        }
+        document.getElementById('message-text').textContent = t(message);
+        this.showScoreBreakdown(false);
+        document.getElementById('next-level-btn').classList.add('hidden');
+        document.getElementById('play-again-btn').textContent = t('results.tryAgain');
+        this.showSeed();
+        document.getElementById('game-message').classList.remove('hidden');
+        this.announceResult();
+        this.hidePlayControls();
+    }
+
+    // Versus: more crystals wins, points settle a tie. `reason` is 'cleared' or how the round ended
+    showVersusResult(reason) {
+        const [first, second] = this.players;
+        const byCrystals = second.collected - first.collected;
+        const byPoints = second.scoring.points - first.scoring.points;
+        const difference = byCrystals || byPoints;
+        const winner = difference === 0 ? null : difference > 0 ? second : first;
+
+        this.audio.stinger(winner !== null);
+        this.vibrate([100, 50, 100]);
+
+        document.getElementById('message-title').textContent = winner ? t('results.playerWins', { name: winner.name }) : t('results.draw');
+
+        const endings = {
+            cleared: 'results.allCollected',
+            time: 'results.timeUp',
+            fall: 'results.bothOut',
+            obstacle: 'results.bothOut'
+        };
+        const score = t('results.versusScore', { first: first.collected, second: second.collected });
+        const parts = [t(endings[reason] || endings.obstacle), score];
+        if (winner && byCrystals === 0) parts.push(t('results.tieBreak'));
+        document.getElementById('message-text').textContent = parts.join(' ');
+
+        document.getElementById('score-breakdown').innerHTML = `
+            <tr class="versus-header">
+                <td></td>
+                <td class="breakdown-detail">${t('breakdown.crystals')}</td>
+                <td class="breakdown-points">${t('breakdown.points')}</td>
+            </tr>
+        ` + this.players.map(player => `
+            <tr class="versus-result" style="--player-color: ${player.cssColor}">
+                <td>${player === winner ? '👑 ' : ''}${player.name}</td>
+                <td class="breakdown-detail">💎 ${i18n.formatNumber(player.collected)}</td>
+                <td class="breakdown-points">${i18n.formatNumber(player.scoring.points)}</td>
+            </tr>
+        `).join('');
+
+        // Nothing here belongs to the solo profile, boards or replays
+        ['new-best', 'leaderboard', 'next-level-btn'].forEach(id => document.getElementById(id).classList.add('hidden'));
+        document.getElementById('personal-best').innerHTML = '';
+        document.getElementById('play-again-btn').textContent = t('results.rematch');
+        this.showSeed();
+        document.getElementById('game-message').classList.remove('hidden');
+        this.announceResult();
+        this.hidePlayControls();
+    }
+
+    /**
+     * Online: the server's standings, best first. `reason` is 'cleared' or 'time';
+     * `results` are { name, crystals, time, player, local } with `time` in seconds
+     * of the race when that player took their last crystal (null without one).
+     */
+    showRaceResult(reason, results) {
+        if (this.state.isGameOver) return;
+
+        this.state.isPlaying = false;
+        this.state.isGameOver = true;
+        this.loop.stop();
+        this.state.isPaused = false;
+        document.getElementById('pause-menu').classList.add('hidden');
+
+        const place = results.findIndex(result => result.local);
+        const won = place === 0;
+        this.audio.stinger(won);
+        this.vibrate(won ? [100, 50, 100, 50, 200] : [100, 50, 100]);
+
+        document.getElementById('message-title').textContent = won ? t('results.youWin') : t('results.racerWins', { name: results[0].name });
+        const ending = t(reason === 'time' ? 'results.timeUp' : 'results.allCollected');
+        document.getElementById('message-text').textContent = place > 0
+            ? `${ending} ${t('results.place', { place: place + 1, count: results.length })}`
+            : ending;
+
+        // Names come from other players, so the rows are built as text
+        const row = (className, cells) => {
+            const tr = document.createElement('tr');
+            tr.className = className;
+            tr.append(...cells.map(([text, cellClass]) => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                if (cellClass) td.className = cellClass;
+                return td;
+            }));
+            return tr;
+        };
+        document.getElementById('score-breakdown').replaceChildren(
+            row('versus-header', [[''], [t('breakdown.crystals'), 'breakdown-detail'], [t('breakdown.time'), 'breakdown-points']]),
+            ...results.map((result, i) => {
+                const tr = row(`versus-result${result.local ? ' local' : ''}`, [
+                    [t('results.standing', { place: i + 1, name: result.name })],
+                    [`💎 ${i18n.formatNumber(result.crystals)}`, 'breakdown-detail'],
+                    [result.time === null ? '–' : formatTime(result.time), 'breakdown-points']
+                ]);
+                tr.style.setProperty('--player-color', result.player.cssColor);
+                return tr;
+            })
+        );
+
+        ['new-best', 'leaderboard', 'next-level-btn'].forEach(id => document.getElementById(id).classList.add('hidden'));
+        document.getElementById('personal-best').innerHTML = '';
+        document.getElementById('play-again-btn').textContent = t('results.backToLobby');
+        this.showSeed();
+        document.getElementById('game-message').classList.remove('hidden');
+        this.announceResult();
+        this.hidePlayControls();
+    }
+
+    onResize() {
+        this.camera.aspect = window.innerWidth / window.innerHeight;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.composer.setSize(window.innerWidth, window.innerHeight);
+    }
+
+    /**
+     * One fixed simulation step. Nothing it computes depends on rendering or on the DOM,
+     * so replays verify and runs simulate the same wherever they tick. It does send out
+     * feedback as things happen (sounds, popups, the score); the HUD that changes every
+     * tick - clock, power-up timers, ghost split - is left to render(), see updateRunningHud().
+     */
+    tick() {
+        if (!this.state.isPlaying) return;
+
+        // A replay that never reached its recorded ending stops at its last tick
+        if (this.replay && this.state.ticks >= this.getReplayEnd()) {
+            this.setReplayPaused(true);
+            return;
+        }
+
+        this.snapshotTransforms();
+        this.state.ticks++;
+
+        if (this.state.isOnline()) {
+            // The server keeps the clock, the crystals and everyone but us; see online.js
+            this.online.tick();
+        } else {
+            this.state.simTime += this.tickSeconds;
+            this.updateClock(this.tickSeconds);
+            this.players.forEach(player => this.updatePlayer(player));
+            this.bumpPlayers();
+            this.powerups.update((player, collider) =>
+                testSphere(player.position, CONFIG.player.size, collider, this.contact).distance < 0);
+            this.updateCrystals();
+            this.updateObstacles();
+            this.updateGhost();
+        }
+        this.updateParticles();
+
+        // Blink while invulnerable (or, with reduced motion, turn see-through)
+        const blink = Math.floor(this.state.simTime * CONFIG.lives.blinkRate * 2) % 2 === 0;
+        this.players.forEach(player => {
+            const invulnerable = player.isInvulnerable(this.state.simTime);
+            player.mesh.visible = !player.out && (!invulnerable || blink || this.reducedMotion);
+            player.mesh.material.opacity = invulnerable && this.reducedMotion ? CONFIG.lives.steadyOpacity : CONFIG.player.opacity;
+        });
 
         // Rotate starfield slowly
-        if (this.starfield) {
+        if (this.starfield && !this.reducedMotion) {
             this.starfield.rotation.y += 0.0001;
         }
+    }
+
+    updateParticles() {
+        const { particleSystem } = this;
+        particleSystem.update(this.tickSeconds);
+        if (!this.reducedMotion) {
+            this.players.forEach(player => {
+                if (!player.out) particleSystem.trail(player.position, player.velocity, player.color, player.index);
+            });
+        }
+        particleSystem.motes(this.arena.hubRadius, this.reducedMotion ? 0 : this.quality.motes, this.tickSeconds);
+    }
+
+    // Objects whose transforms change every tick and get interpolated on render
+    getMovingObjects() {
+        return [
+            ...this.players.map(player => player.mesh),
+            this.ghost.mesh,
+            ...this.state.obstacles.map(obstacle => obstacle.object),
+            ...this.state.crystals,
+            ...this.powerups.getObjects()
+        ];
+    }
+
+    snapshotTransforms() {
+        this.getMovingObjects().forEach(object => {
+            const data = object.userData;
+            if (!data.prevPosition) {
+                data.prevPosition = new THREE.Vector3();
+                data.prevQuaternion = new THREE.Quaternion();
+                data.simPosition = new THREE.Vector3();
+                data.simQuaternion = new THREE.Quaternion();
+                data.simRotation = new THREE.Euler();
+            }
+            data.prevPosition.copy(object.position);
+            data.prevQuaternion.copy(object.quaternion);
+        });
+    }
+
+    render(alpha, frameSeconds) {
+        const debugStart = this.debug && this.debug.active ? performance.now() : null;
+        this.renderer.info.reset();
+
+        // Auto quality watches real frame times (not the Infinity used for snapping)
+        if (this.adaptiveQuality && Number.isFinite(frameSeconds) && this.adaptiveQuality.sample(frameSeconds)) {
+            this.applyAdaptiveQuality();
+        }
+
+        // Show moving objects part-way between the last two ticks...
+        const moving = this.getMovingObjects().filter(object => object.userData.prevPosition);
+        moving.forEach(object => {
+            const data = object.userData;
+            data.simPosition.copy(object.position);
+            data.simQuaternion.copy(object.quaternion);
+            data.simRotation.copy(object.rotation);
+            object.position.lerpVectors(data.prevPosition, data.simPosition, alpha);
+            object.quaternion.slerpQuaternions(data.prevQuaternion, data.simQuaternion, alpha);
+        });
+        if (this.reducedMotion) this.holdDecorations();
+
+        if (this.editor && this.editor.editing) {
+            this.editor.updateCamera();
+        } else {
+            this.updateCamera(frameSeconds);
+        }
+        if (this.replay) {
+            this.updateReplayControls();
+        }
+        this.updateRunningHud();
+        if (this.crystalField) {
+            this.crystalField.sync();
+        }
+        this.particleSystem.prepare(alpha * this.tickSeconds, this.renderer.domElement.height / 2);
 
         // Render with post-processing
         this.composer.render();
+
+        // ...then put the simulation state back. Restoring the Euler (which also rebuilds the
+        // quaternion) keeps the exact angles the simulation set; copying the quaternion back
+        // would re-derive them, and colliders would drift from a replay of the same run
+        moving.forEach(object => {
+            object.position.copy(object.userData.simPosition);
+            object.rotation.copy(object.userData.simRotation);
+        });
+
+        if (debugStart !== null && Number.isFinite(frameSeconds)) {
+            this.debug.frame(frameSeconds, performance.now() - debugStart);
+        }
     }
 }
 
@@ -978,12 +3503,18 @@ class CrystalQuestGame {
 let game;
 
 // Wait for DOM and hide loading screen
-window.addEventListener('DOMContentLoaded', () => {
+window.addEventListener('DOMContentLoaded', async () => {
+    // Settings pick the language, whose text is loaded before the game draws any
+    const settings = new Settings();
+    await i18n.use(settings.get('language'));
+    i18n.translate(document);
+
     // Create game instance
-    game = new CrystalQuestGame();
+    game = new CrystalQuestGame(settings);
 
     // Hide loading screen after a delay
     setTimeout(() => {
         document.getElementById('loading-screen').classList.add('hidden');
+        if (game.state.rejectedSeed !== null) window.alert(t('results.badSeedLink'));
     }, 2500);
 });
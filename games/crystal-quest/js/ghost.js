@@ -0,0 +1,192 @@
+/**
+ * Crystal Quest - Ghosts
+ * The fastest clear of each layout, kept as a sampled position track and
+ * raced on later attempts at that layout as a translucent copy of the player.
+ * Splits compare crystal counts: when the player takes their nth crystal they
+ * are ahead or behind by how much sooner or later the ghost held n.
+ *
+ * Storage (localStorage, one JSON document):
+ *   {
+ *     "version": 1,
+ *     "ghosts": {
+ *       "<record key>@<seed>": {              see GameState.getLayoutKey()
+ *         "time": 41.2,                      clear time in seconds
+ *         "interval": 0.1,                   seconds between track samples
+ *         "track": [x, feet, z, x, feet, z, ...],
+ *         "splits": [2.1, 4.75, ...],        when the run held 1, 2, ... crystals
+ *         "date": "2026-10-19T12:00:00.000Z"
+ *       }
+ *     }
+ *   }
+ * Only the MAX_GHOSTS most recent clears are kept, which keeps the document small.
+ */
+
+import * as THREE from 'three';
+
+const STORAGE_KEY = 'crystalQuest.ghosts';
+const GHOST_VERSION = 1;
+const MAX_GHOSTS = 20;
+const STRIDE = 3; // x, feet, z
+
+// Millimetres are plenty for a ghost and keep the JSON short
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+export class GhostStore {
+    constructor() {
+        this.ghosts = this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            const valid = saved && saved.version === GHOST_VERSION && saved.ghosts && typeof saved.ghosts === 'object';
+            return valid ? saved.ghosts : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: GHOST_VERSION, ghosts: this.ghosts }));
+        } catch (e) {
+            // Storage unavailable or full - the ghost lasts for this session only
+        }
+    }
+
+    get(key) {
+        return this.ghosts[key] || null;
+    }
+
+    /**
+     * Keep `ghost` as the one to race on `key` if it's faster than the stored one.
+     * @returns {boolean} Whether it was kept
+     */
+    offer(key, ghost) {
+        const best = this.ghosts[key];
+        if (best && best.time <= ghost.time) return false;
+
+        this.ghosts[key] = ghost;
+        Object.keys(this.ghosts)
+            .sort((a, b) => this.ghosts[b].date.localeCompare(this.ghosts[a].date))
+            .slice(MAX_GHOSTS)
+            .forEach(stale => delete this.ghosts[stale]);
+        this.save();
+        return true;
+    }
+}
+
+// Samples one player's run into a ghost
+export class GhostRecorder {
+    constructor(interval) {
+        this.interval = interval;
+        this.track = null;
+        this.splits = [];
+    }
+
+    get recording() {
+        return this.track !== null;
+    }
+
+    // Start a run with `player` at their spawn
+    start(player) {
+        this.track = [];
+        this.splits = [];
+        this.sample(player);
+    }
+
+    sample(player) {
+        const { x, z } = player.position;
+        this.track.push(round(x), round(player.feet), round(z));
+    }
+
+    // Called once per tick with the run time
+    record(time, player) {
+        if (!this.track) return;
+
+        while (this.splits.length < player.collected) this.splits.push(round(time));
+        if (time + 1e-6 >= (this.track.length / STRIDE) * this.interval) this.sample(player);
+    }
+
+    // The finished run as stored by GhostStore, ending where `player` is now; null if nothing was recorded
+    finish(time, player) {
+        if (!this.track) return null;
+
+        // The winning crystal ends the run before this tick's record()
+        while (this.splits.length < player.collected) this.splits.push(round(time));
+        this.sample(player);
+        const ghost = {
+            time: round(time),
+            interval: this.interval,
+            track: this.track,
+            splits: this.splits,
+            date: new Date().toISOString()
+        };
+        this.track = null;
+        return ghost;
+    }
+
+    stop() {
+        this.track = null;
+    }
+}
+
+// A stored ghost played back next to the player
+export class Ghost {
+    constructor(size, color, opacity) {
+        this.size = size;
+        this.data = null;
+        this.mesh = new THREE.Mesh(
+            new THREE.IcosahedronGeometry(size, 1),
+            new THREE.MeshBasicMaterial({ color, transparent: true, opacity, depthWrite: false })
+        );
+        this.mesh.visible = false;
+    }
+
+    setColor(color) {
+        this.mesh.material.color.set(color);
+    }
+
+    get active() {
+        return this.data !== null;
+    }
+
+    // Race `data` from its start, or hide the ghost with null
+    load(data) {
+        this.data = data;
+        this.mesh.visible = data !== null;
+        if (data) this.update(0);
+    }
+
+    // Place the ghost where its run was at `time`, holding the last sample once it's done
+    update(time) {
+        const { track, interval } = this.data;
+        const last = track.length / STRIDE - 1;
+        const at = Math.min(Math.max(time / interval, 0), last);
+        const i = Math.min(Math.floor(at), Math.max(last - 1, 0));
+        const t = last > 0 ? at - i : 0;
+        const j = Math.min(i + 1, last);
+        const lerp = (k) => track[i * STRIDE + k] + (track[j * STRIDE + k] - track[i * STRIDE + k]) * t;
+
+        this.mesh.position.set(lerp(0), lerp(1) + this.size, lerp(2));
+        this.mesh.rotation.y = time * 2;
+    }
+
+    /**
+     * Seconds the player is behind the ghost at `time` (negative when ahead), from the
+     * player's own `splits`; null until there's something to compare.
+     */
+    getSplit(time, splits) {
+        const ghostSplits = this.data.splits;
+        const count = splits.length;
+        let behind = count > 0 && count <= ghostSplits.length ? splits[count - 1] - ghostSplits[count - 1] : null;
+
+        // The ghost already holds more crystals: at least this far behind, and growing
+        if (count < ghostSplits.length && time > ghostSplits[count]) {
+            behind = Math.max(behind === null ? -Infinity : behind, time - ghostSplits[count]);
+        }
+        return behind;
+    }
+}
@@ -0,0 +1,141 @@
+/**
+ * Crystal Quest - Graphics Quality
+ * Presets picked in Settings, and the Auto mode controller that trades
+ * resolution and bloom for frame rate while the game runs.
+ */
+
+export const QUALITY_LEVELS = ['low', 'medium', 'high', 'ultra'];
+
+export const QUALITY_PRESETS = {
+    low: {
+        shadows: false,
+        shadowMapSize: 512,
+        bloom: false,
+        bloomStrength: 0.3,
+        starCount: 600,
+        pixelRatio: 1, // Upper bound; never above the display's own ratio
+        crystalLights: false,
+        platformSegments: 24,
+        motes: 0 // Ambient platform particles per second
+    },
+    medium: {
+        shadows: false,
+        shadowMapSize: 1024,
+        bloom: true,
+        bloomStrength: 0.3,
+        starCount: 1000,
+        pixelRatio: 1.5,
+        crystalLights: false,
+        platformSegments: 32,
+        motes: 6
+    },
+    high: {
+        shadows: true,
+        shadowMapSize: 2048,
+        bloom: true,
+        bloomStrength: 0.5,
+        starCount: 2000,
+        pixelRatio: 2,
+        crystalLights: true,
+        platformSegments: 64,
+        motes: 12
+    },
+    ultra: {
+        shadows: true,
+        shadowMapSize: 4096,
+        bloom: true,
+        bloomStrength: 0.6,
+        starCount: 4000,
+        pixelRatio: 3,
+        crystalLights: true,
+        platformSegments: 128,
+        motes: 24
+    }
+};
+
+export const ADAPTIVE = {
+    sampleWindow: 1, // Seconds of frames averaged per decision
+    lowFps: 50, // Below this, drop a step
+    highFps: 57, // At or above this, count towards raising a step
+    upgradeDelay: 3, // Good windows in a row before raising
+    maxUpgradeDelay: 60,
+    minPixelRatio: 0.75,
+    pixelRatioStep: 0.25
+};
+
+/**
+ * Auto mode: feed it every frame's duration; it walks down a ladder (lower
+ * pixel ratio, then bloom off) when frames run slow and back up when there
+ * is headroom. A step up that immediately has to be undone doubles the wait
+ * before the next one, so it settles instead of flickering.
+ */
+export class AdaptiveQuality {
+    constructor(maxPixelRatio, bloomAllowed) {
+        this.maxPixelRatio = maxPixelRatio;
+        this.bloomAllowed = bloomAllowed;
+        this.pixelRatio = maxPixelRatio;
+        this.bloom = bloomAllowed;
+
+        this.elapsed = 0;
+        this.frames = 0;
+        this.goodWindows = 0;
+        this.upgradeDelay = ADAPTIVE.upgradeDelay;
+        this.justImproved = false;
+        this.fps = 0; // Average over the last window
+    }
+
+    // Returns true when pixelRatio or bloom changed
+    sample(frameSeconds) {
+        if (!(frameSeconds > 0)) return false;
+
+        this.elapsed += frameSeconds;
+        this.frames++;
+        if (this.elapsed < ADAPTIVE.sampleWindow) return false;
+
+        this.fps = this.frames / this.elapsed;
+        this.elapsed = 0;
+        this.frames = 0;
+
+        if (this.fps < ADAPTIVE.lowFps) {
+            if (this.justImproved) {
+                this.upgradeDelay = Math.min(this.upgradeDelay * 2, ADAPTIVE.maxUpgradeDelay);
+            }
+            this.justImproved = false;
+            this.goodWindows = 0;
+            return this.degrade();
+        }
+
+        this.justImproved = false;
+        if (this.fps >= ADAPTIVE.highFps && ++this.goodWindows >= this.upgradeDelay) {
+            this.goodWindows = 0;
+            this.justImproved = this.improve();
+            return this.justImproved;
+        }
+        return false;
+    }
+
+    degrade() {
+        if (this.pixelRatio > ADAPTIVE.minPixelRatio) {
+            this.pixelRatio = Math.max(ADAPTIVE.minPixelRatio, this.pixelRatio - ADAPTIVE.pixelRatioStep);
+            return true;
+        }
+        if (this.bloom) {
+            this.bloom = false;
+            return true;
+        }
+        return false;
+    }
+
+    // The reverse order: bloom first, then resolution
+    improve() {
+        if (this.bloomAllowed && !this.bloom) {
+            this.bloom = true;
+            return true;
+        }
+        if (this.pixelRatio < this.maxPixelRatio) {
+            this.pixelRatio = Math.min(this.maxPixelRatio, this.pixelRatio + ADAPTIVE.pixelRatioStep);
+            return true;
+        }
+        return false;
+    }
+}
@@ -0,0 +1,174 @@
+/**
+ * Crystal Quest - Localization
+ * Player-facing text comes from a JSON bundle per locale in locales/, keyed by
+ * dotted paths ("hud.levelTitle"). English is always loaded as well and fills
+ * in any key a locale hasn't translated yet.
+ *
+ * Messages interpolate {name} parameters, with numbers formatted for the
+ * locale. A message can also be an object of plural forms keyed by the
+ * Intl.PluralRules categories (zero, one, two, few, many, other), picked by
+ * its `count` parameter:
+ *   "crystals": { "one": "{count} crystal", "other": "{count} crystals" }
+ *
+ * Static markup is translated through attributes, see translate():
+ *   data-i18n="key"         the element's text
+ *   data-i18n-label="key"   its aria-label
+ *
+ * Adding a language takes its bundle, an entry in LOCALES and an option in the
+ * language picker of game.html.
+ *
+ * The debug overlay and the level editor are developer tools and stay in English,
+ * as do the details of technical errors (malformed files, network failures).
+ */
+
+// Locales with a bundle in locales/; `dir` is the text direction of the page
+export const LOCALES = {
+    en: { name: 'English', dir: 'ltr' },
+    ar: { name: 'العربية', dir: 'rtl' }
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * The locale to use for the language setting: a key of LOCALES, or 'auto' for the
+ * first of the browser's preferred languages that has a bundle.
+ */
+export function resolveLocale(setting, languages = navigator.languages || [navigator.language]) {
+    if (LOCALES[setting]) return setting;
+
+    for (const language of languages) {
+        if (!language) continue;
+        const code = language.toLowerCase().split('-')[0];
+        if (LOCALES[code]) return code;
+    }
+    return DEFAULT_LOCALE;
+}
+
+export class I18n {
+    constructor() {
+        this.locale = DEFAULT_LOCALE;
+        this.bundles = new Map(); // Loaded bundles by locale
+        this.messages = {};
+        this.fallback = {};
+        this.setFormatters();
+    }
+
+    get dir() {
+        return LOCALES[this.locale].dir;
+    }
+
+    // Load the bundle for a language setting (see resolveLocale) and switch to it
+    async use(setting) {
+        const locale = resolveLocale(setting);
+
+        this.fallback = await this.load(DEFAULT_LOCALE);
+        this.messages = locale === DEFAULT_LOCALE ? this.fallback : await this.load(locale);
+        this.locale = locale;
+        this.setFormatters();
+
+        document.documentElement.lang = locale;
+        document.documentElement.dir = this.dir;
+    }
+
+    async load(locale) {
+        if (this.bundles.has(locale)) return this.bundles.get(locale);
+
+        let bundle = {};
+        try {
+            const response = await fetch(new URL(`../locales/${locale}.json`, import.meta.url));
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            bundle = await response.json();
+        } catch (e) {
+            // Keys stand in for the text; the English fallback covers a missing translation
+            console.warn(`Could not load the "${locale}" language bundle:`, e);
+        }
+        this.bundles.set(locale, bundle);
+        return bundle;
+    }
+
+    setFormatters() {
+        this.plurals = new Intl.PluralRules(this.locale);
+        this.numberFormats = new Map(); // By options, as the HUD formats numbers every frame
+    }
+
+    lookup(messages, key) {
+        return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages);
+    }
+
+    has(key) {
+        return this.lookup(this.messages, key) !== undefined || this.lookup(this.fallback, key) !== undefined;
+    }
+
+    // The text for `key`; the key itself if no bundle has it
+    t(key, params = {}) {
+        let message = this.lookup(this.messages, key);
+        if (message === undefined) message = this.lookup(this.fallback, key);
+        if (message === undefined) return key;
+
+        if (typeof message === 'object') {
+            const form = this.plurals.select(params.count);
+            message = message[form] ?? message.other ?? '';
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) return match;
+            const value = params[name];
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    }
+
+    formatNumber(value, options = null) {
+        const key = options ? JSON.stringify(options) : '';
+        let format = this.numberFormats.get(key);
+        if (!format) {
+            format = new Intl.NumberFormat(this.locale, options || undefined);
+            this.numberFormats.set(key, format);
+        }
+        return format.format(value);
+    }
+
+    // Apply the current language to the [data-i18n] and [data-i18n-label] elements under `root`
+    translate(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nLabel));
+        });
+    }
+}
+
+// The game's one language, shared by every module that shows text
+export const i18n = new I18n();
+
+export function t(key, params) {
+    return i18n.t(key, params);
+}
+
+// Run clock, "1:05.3"
+export function formatTime(seconds) {
+    const tenths = Math.floor(seconds * 10);
+    const minutes = Math.floor(tenths / 600);
+    const rest = (tenths % 600) / 10;
+    return t('time.clock', {
+        minutes,
+        seconds: i18n.formatNumber(rest, { minimumIntegerDigits: 2, minimumFractionDigits: 1, maximumFractionDigits: 1 })
+    });
+}
+
+// Total time played, "2h 5m" or "4m 09s"
+export function formatPlayTime(seconds) {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    if (hours > 0) return t('time.hoursMinutes', { hours, minutes });
+    return t('time.minutesSeconds', {
+        minutes,
+        seconds: i18n.formatNumber(total % 60, { minimumIntegerDigits: 2 })
+    });
+}
+
+// Whole seconds, "12s"
+export function formatSeconds(seconds) {
+    return t('time.seconds', { seconds });
+}
@@ -0,0 +1,280 @@
+/**
+ * Crystal Quest - Leaderboard Client
+ * Submits cleared runs and fetches rankings through a pluggable transport:
+ * HttpTransport talks to a server implementing the contract below,
+ * LocalTransport is an offline mock of the same contract kept in localStorage.
+ * Submissions are queued (and persisted) until the transport accepts them,
+ * so the game never waits on the network.
+ *
+ * REST contract (JSON, routes relative to the server's base URL):
+ *
+ *   POST /scores
+ *     body  { board, playerId, name, score, time, seed, replayHash }
+ *     201   { rank, best }         best = false if the player already had a higher score
+ *     400   { error }              invalid entry; the client drops it instead of retrying
+ *
+ *   GET /scores/top?board=<board>&limit=<n>
+ *     200   { board, entries: [Entry] }
+ *
+ *   GET /scores/around?board=<board>&playerId=<id>&range=<n>
+ *     200   { board, entries: [Entry] }   up to n entries either side of the player, [] if unranked
+ *
+ *   Entry: { rank, playerId, name, score, time, seed, replayHash, date }
+ *
+ * Boards are "campaign:<level id>" or "daily:<seed>", the same keys the
+ * profile uses for personal bests. A player keeps one entry (their best) per
+ * board, ranked by score, then faster time, then earlier date.
+ * server/leaderboard-server.mjs is a reference implementation.
+ */
+
+import { createSeed } from './random.js';
+
+const STORAGE_KEY = 'crystalQuest.leaderboard';
+const LOCAL_BOARDS_KEY = 'crystalQuest.localLeaderboard';
+
+export const LEADERBOARD = {
+    requestTimeout: 5000, // ms before a request counts as offline
+    retryDelay: 5000, // ms, doubled after each failed flush
+    maxRetryDelay: 300000,
+    maxQueue: 50, // Oldest queued submissions are dropped beyond this
+    maxNameLength: 16
+};
+
+export class LeaderboardError extends Error {
+    constructor(message, status = 0) {
+        super(message);
+        this.name = 'LeaderboardError';
+        this.status = status; // 0 when the server couldn't be reached
+    }
+
+    // Offline, timed out or server trouble - worth sending again later
+    get retryable() {
+        return this.status === 0 || this.status === 429 || this.status >= 500;
+    }
+}
+
+// "campaign:<level id>" or "daily:<seed>" (seeds are checked against SEED_PATTERN when read)
+export const BOARD_PATTERN = /^(campaign|daily):[\w-]{1,64}$/;
+
+export function validateEntry(entry) {
+    if (!entry || typeof entry !== 'object') return 'Entry must be an object';
+    if (typeof entry.board !== 'string' || !BOARD_PATTERN.test(entry.board)) return 'Invalid board';
+    if (typeof entry.playerId !== 'string' || !/^[\w-]{1,32}$/.test(entry.playerId)) return 'Invalid playerId';
+    if (typeof entry.name !== 'string' || !entry.name.trim() || entry.name.length > LEADERBOARD.maxNameLength) return 'Invalid name';
+    if (!Number.isInteger(entry.score) || entry.score < 0) return 'Invalid score';
+    if (typeof entry.time !== 'number' || !(entry.time > 0)) return 'Invalid time';
+    if (typeof entry.seed !== 'string' || !entry.seed) return 'Invalid seed';
+    if (typeof entry.replayHash !== 'string' || !/^[0-9a-f]{8}$/.test(entry.replayHash)) return 'Invalid replayHash';
+    return null;
+}
+
+function compareEntries(a, b) {
+    return b.score - a.score || a.time - b.time || a.date.localeCompare(b.date);
+}
+
+// Keep the player's best entry on a board; returns the contract's POST response
+export function addToBoard(entries, entry) {
+    const existing = entries.findIndex(other => other.playerId === entry.playerId);
+    const stored = { ...entry, date: new Date().toISOString() };
+    let best = true;
+
+    if (existing === -1) {
+        entries.push(stored);
+    } else if (compareEntries(stored, entries[existing]) < 0) {
+        entries[existing] = stored;
+    } else {
+        best = false;
+    }
+
+    entries.sort(compareEntries);
+    return { rank: entries.findIndex(other => other.playerId === entry.playerId) + 1, best };
+}
+
+export function rankedSlice(entries, start, end) {
+    return entries.slice(Math.max(0, start), end).map((entry, i) => ({ ...entry, rank: Math.max(0, start) + i + 1 }));
+}
+
+export class HttpTransport {
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    async request(method, path, body) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), LEADERBOARD.requestTimeout);
+
+        let response;
+        try {
+            response = await fetch(this.baseUrl + path, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : undefined,
+                body: body ? JSON.stringify(body) : undefined,
+                signal: controller.signal
+            });
+        } catch (e) {
+            throw new LeaderboardError('Leaderboard server unreachable');
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new LeaderboardError(data.error || `Leaderboard request failed (${response.status})`, response.status);
+        }
+        return data;
+    }
+
+    submit(entry) {
+        return this.request('POST', '/scores', entry);
+    }
+
+    top(board, limit) {
+        return this.request('GET', `/scores/top?board=${encodeURIComponent(board)}&limit=${limit}`);
+    }
+
+    around(board, playerId, range) {
+        const query = `board=${encodeURIComponent(board)}&playerId=${encodeURIComponent(playerId)}&range=${range}`;
+        return this.request('GET', `/scores/around?${query}`);
+    }
+}
+
+// Offline stand-in for a server: same responses, boards kept in this browser
+export class LocalTransport {
+    constructor() {
+        this.boards = this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(LOCAL_BOARDS_KEY));
+            return saved && typeof saved === 'object' ? saved : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(LOCAL_BOARDS_KEY, JSON.stringify(this.boards));
+        } catch (e) {
+            // Storage unavailable (private mode) - boards last for this session only
+        }
+    }
+
+    async submit(entry) {
+        const error = validateEntry(entry);
+        if (error) throw new LeaderboardError(error, 400);
+
+        const entries = this.boards[entry.board] || (this.boards[entry.board] = []);
+        const result = addToBoard(entries, entry);
+        this.save();
+        return result;
+    }
+
+    async top(board, limit) {
+        return { board, entries: rankedSlice(this.boards[board] || [], 0, limit) };
+    }
+
+    async around(board, playerId, range) {
+        const entries = this.boards[board] || [];
+        const index = entries.findIndex(entry => entry.playerId === playerId);
+        if (index === -1) return { board, entries: [] };
+        return { board, entries: rankedSlice(entries, index - range, index + range + 1) };
+    }
+}
+
+export class LeaderboardClient {
+    constructor(transport) {
+        this.transport = transport;
+        this.flushing = null;
+        this.retryTimer = null;
+        this.retryDelay = LEADERBOARD.retryDelay;
+
+        const saved = this.load();
+        this.playerId = saved.playerId || createSeed();
+        this.queue = Array.isArray(saved.queue) ? saved.queue : [];
+        this.save();
+
+        // Scores queued in an earlier session go out as soon as we're back online
+        window.addEventListener('online', () => this.flush());
+        if (this.queue.length > 0) this.flush();
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ playerId: this.playerId, queue: this.queue }));
+        } catch (e) {
+            // Storage unavailable (private mode) - the queue lasts for this session only
+        }
+    }
+
+    /**
+     * Queue a score and try to send it right away.
+     * @returns {Promise<{ rank: number, best: boolean } | { queued: true } | { rejected: string }>}
+     */
+    async submit(entry) {
+        const submission = { ...entry, playerId: this.playerId };
+        this.queue.push(submission);
+        this.queue.splice(0, this.queue.length - LEADERBOARD.maxQueue);
+        this.save();
+
+        const results = await this.flush();
+        return results.get(submission) || { queued: true };
+    }
+
+    // Send queued scores in order; resolves with a Map of submission -> response
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.sendQueued().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async sendQueued() {
+        const results = new Map();
+        clearTimeout(this.retryTimer);
+
+        while (this.queue.length > 0) {
+            const submission = this.queue[0];
+            try {
+                results.set(submission, await this.transport.submit(submission));
+            } catch (error) {
+                if (error.retryable !== false) {
+                    this.scheduleRetry();
+                    return results;
+                }
+                // Rejected by the server - resending won't help
+                results.set(submission, { rejected: error.message });
+            }
+
+            this.queue.shift();
+            this.save();
+        }
+
+        this.retryDelay = LEADERBOARD.retryDelay;
+        return results;
+    }
+
+    scheduleRetry() {
+        this.retryTimer = setTimeout(() => this.flush(), this.retryDelay);
+        this.retryDelay = Math.min(this.retryDelay * 2, LEADERBOARD.maxRetryDelay);
+    }
+
+    top(board, limit) {
+        return this.transport.top(board, limit);
+    }
+
+    around(board, range) {
+        return this.transport.around(board, this.playerId, range);
+    }
+}
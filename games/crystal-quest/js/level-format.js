@@ -0,0 +1,296 @@
+/**
+ * Crystal Quest - Level Files
+ * The JSON format the level editor saves and loads, and the validation every
+ * file goes through before it becomes a playable level. Problems are
+ * reported with the path of the offending field, all of them at once, so a
+ * hand-edited file can be fixed in one go.
+ *
+ * File format (JSON):
+ *   {
+ *     "format": "crystal-quest-level",
+ *     "version": 1,
+ *     "level": {
+ *       "id": "my-level",                          lowercase letters, digits and dashes
+ *       "name": "My Level",
+ *       "timeLimit": 90,                           seconds, 0 = no limit
+ *       "contact": "gameOver",                     optional: 'gameOver' | 'knockback' | 'bounce'
+ *       "platform": { "shape": "circle", "radius": 15 },
+ *       "crystals": { "positions": [{ "x": 3, "z": -2, "y": 1.2 }, ...] },
+ *       "obstacles": { "items": [
+ *         { "type": "wall", "radius": 8, "angle": 0, "speed": 0.01, "direction": 1 },
+ *         { "type": "hazard", "x": 4, "z": 4, "radius": 2 }, ...
+ *       ] },
+ *       "powerups": { "items": [{ "type": "shield", "x": 0, "z": 6 }, ...] }   optional
+ *     }
+ *   }
+ *
+ * `level` takes everything a LEVELS entry can (see levels.js for the full
+ * shape, spawn rules included); the editor itself always writes fixed
+ * layouts like the one above. Angles are radians, speeds are per tick.
+ */
+
+import { OBSTACLE_TYPES } from './obstacles.js';
+import { POWERUP_TYPES } from './powerups.js';
+
+export const LEVEL_FORMAT = 'crystal-quest-level';
+export const LEVEL_VERSION = 1;
+
+export const LEVEL_LIMITS = {
+    radius: [6, 40],
+    sides: [3, 12],
+    islands: [0, 10],
+    timeLimit: [0, 3600],
+    crystals: [1, 200],
+    obstacles: 100,
+    powerups: 20,
+    nameLength: 40
+};
+
+const SHAPES = ['circle', 'polygon', 'arena'];
+const CONTACTS = ['gameOver', 'knockback', 'bounce'];
+const MAX_PROBLEMS = 8; // Listed in the error; the rest are counted
+
+const LEVEL_KEYS = ['id', 'name', 'timeLimit', 'contact', 'platform', 'crystals', 'obstacles', 'powerups'];
+const PLATFORM_KEYS = ['shape', 'radius', 'sides', 'islands'];
+
+/**
+ * Collects problems as "<path> <what is wrong>" so one pass can report
+ * every bad field.
+ */
+class LevelChecker {
+    constructor() {
+        this.problems = [];
+    }
+
+    fail(path, message) {
+        this.problems.push(`${path} ${message}`);
+        return false;
+    }
+
+    object(value, path) {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            return this.fail(path, 'must be an object');
+        }
+        return true;
+    }
+
+    array(value, path, min = 0, max = Infinity) {
+        if (!Array.isArray(value)) return this.fail(path, 'must be a list');
+        if (value.length < min) return this.fail(path, `needs at least ${min} ${min === 1 ? 'entry' : 'entries'}`);
+        if (value.length > max) return this.fail(path, `has ${value.length} entries, the most allowed is ${max}`);
+        return true;
+    }
+
+    number(value, path, [min, max] = [-Infinity, Infinity], integer = false) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return this.fail(path, 'must be a number');
+        if (integer && !Number.isInteger(value)) return this.fail(path, 'must be a whole number');
+        if (value < min || value > max) return this.fail(path, `must be between ${min} and ${max} (got ${value})`);
+        return true;
+    }
+
+    optionalNumber(value, path, range, integer) {
+        return value === undefined || this.number(value, path, range, integer);
+    }
+
+    oneOf(value, path, options) {
+        if (!options.includes(value)) {
+            return this.fail(path, `must be one of ${options.map(option => `"${option}"`).join(', ')} (got ${JSON.stringify(value)})`);
+        }
+        return true;
+    }
+
+    knownKeys(value, path, keys) {
+        Object.keys(value).filter(key => !keys.includes(key)).forEach(key => this.fail(`${path}.${key}`, 'is not a level field'));
+    }
+
+    // A spot on a flat platform must be on it; generated arenas move stray spots themselves
+    spot(value, path, platformRadius) {
+        if (!this.object(value, path)) return;
+        const x = this.number(value.x, `${path}.x`);
+        const z = this.number(value.z, `${path}.z`);
+        if (x && z && platformRadius && Math.hypot(value.x, value.z) > platformRadius) {
+            this.fail(path, `(${value.x}, ${value.z}) is off the platform (radius ${platformRadius})`);
+        }
+    }
+
+    ringBand(rule, path, maxRadius) {
+        const min = this.number(rule.minRadius, `${path}.minRadius`, [0, maxRadius]);
+        const max = this.number(rule.maxRadius, `${path}.maxRadius`, [0, maxRadius]);
+        if (min && max && rule.minRadius > rule.maxRadius) this.fail(path, 'minRadius is larger than maxRadius');
+    }
+
+    platform(platform, path) {
+        if (!this.object(platform, path)) return;
+        this.knownKeys(platform, path, PLATFORM_KEYS);
+        this.oneOf(platform.shape, `${path}.shape`, SHAPES);
+        this.number(platform.radius, `${path}.radius`, LEVEL_LIMITS.radius);
+        if (platform.shape === 'polygon') this.number(platform.sides, `${path}.sides`, LEVEL_LIMITS.sides, true);
+        if (platform.shape === 'arena') this.number(platform.islands, `${path}.islands`, LEVEL_LIMITS.islands, true);
+    }
+
+    crystals(rule, path, platformRadius, maxRadius) {
+        if (!this.object(rule, path)) return;
+        if (rule.positions !== undefined) {
+            if (!this.array(rule.positions, `${path}.positions`, ...LEVEL_LIMITS.crystals)) return;
+            rule.positions.forEach((spot, i) => {
+                this.spot(spot, `${path}.positions[${i}]`, platformRadius);
+                if (spot && typeof spot === 'object') this.optionalNumber(spot.y, `${path}.positions[${i}].y`, [0, 10]);
+            });
+            return;
+        }
+
+        if (!this.oneOf(rule.spawn, `${path}.spawn`, ['ring', 'scatter'])) return;
+        this.number(rule.count, `${path}.count`, LEVEL_LIMITS.crystals, true);
+        this.optionalNumber(rule.height, `${path}.height`, [0, 10]);
+        if (rule.spawn === 'ring') this.ringBand(rule, path, maxRadius);
+    }
+
+    obstacleType(type, path) {
+        return this.oneOf(type, path, Object.keys(OBSTACLE_TYPES));
+    }
+
+    // Fields every obstacle type shares; type-specific options are left to the type's defaults
+    obstacle(item, path, platformRadius, maxRadius) {
+        if (!this.object(item, path) || !this.obstacleType(item.type, `${path}.type`)) return;
+        if (item.contact !== undefined) this.oneOf(item.contact, `${path}.contact`, CONTACTS);
+        this.optionalNumber(item.speed, `${path}.speed`, [0, 1]);
+        if (item.direction !== undefined) this.oneOf(item.direction, `${path}.direction`, [1, -1]);
+
+        if (item.type === 'wall' || item.type === 'cube') {
+            this.optionalNumber(item.radius, `${path}.radius`, [0, maxRadius]);
+            this.optionalNumber(item.angle, `${path}.angle`);
+        } else if (item.type === 'patrol') {
+            if (this.array(item.path, `${path}.path`, 2)) {
+                item.path.forEach((point, i) => this.spot(point, `${path}.path[${i}]`, platformRadius));
+                // A path that never leaves one point can't be walked (see PatrolObstacle)
+                const valid = item.path.every(point => point && Number.isFinite(point.x) && Number.isFinite(point.z));
+                if (valid && new Set(item.path.map(point => `${point.x},${point.z}`)).size < 2) {
+                    this.fail(`${path}.path`, 'needs at least 2 different points');
+                }
+            }
+        } else {
+            this.spot(item, path, platformRadius);
+        }
+    }
+
+    obstacleRule(rule, path, platformRadius, maxRadius) {
+        if (!this.object(rule, path)) return;
+
+        if (rule.orbits !== undefined) {
+            if (!this.array(rule.orbits, `${path}.orbits`, 0, LEVEL_LIMITS.obstacles)) return;
+            rule.orbits.forEach((orbit, i) => {
+                this.obstacle({ type: 'wall', ...orbit }, `${path}.orbits[${i}]`, platformRadius, maxRadius);
+            });
+        } else if (rule.items !== undefined) {
+            if (!this.array(rule.items, `${path}.items`, 0, LEVEL_LIMITS.obstacles)) return;
+            rule.items.forEach((item, i) => this.obstacle(item, `${path}.items[${i}]`, platformRadius, maxRadius));
+        } else if (this.oneOf(rule.spawn, `${path}.spawn`, ['ring', 'scatter'])) {
+            this.number(rule.count, `${path}.count`, [1, LEVEL_LIMITS.obstacles], true);
+            this.ringBand(rule, path, maxRadius);
+            if (rule.spawn === 'scatter') {
+                this.obstacleType(rule.type, `${path}.type`);
+            } else {
+                if (rule.type !== undefined) this.oneOf(rule.type, `${path}.type`, ['wall', 'cube']);
+                const min = this.number(rule.minSpeed, `${path}.minSpeed`, [0, 1]);
+                const max = this.number(rule.maxSpeed, `${path}.maxSpeed`, [0, 1]);
+                if (min && max && rule.minSpeed > rule.maxSpeed) this.fail(path, 'minSpeed is larger than maxSpeed');
+            }
+        }
+    }
+
+    powerups(rule, path, platformRadius, maxRadius) {
+        if (!this.object(rule, path)) return;
+        const types = Object.keys(POWERUP_TYPES);
+
+        if (rule.items !== undefined) {
+            if (!this.array(rule.items, `${path}.items`, 0, LEVEL_LIMITS.powerups)) return;
+            rule.items.forEach((item, i) => {
+                this.spot(item, `${path}.items[${i}]`, platformRadius);
+                if (item && typeof item === 'object') this.oneOf(item.type, `${path}.items[${i}].type`, types);
+            });
+            return;
+        }
+
+        this.number(rule.count, `${path}.count`, [0, LEVEL_LIMITS.powerups], true);
+        this.ringBand(rule, path, maxRadius);
+        if (this.array(rule.types, `${path}.types`, 1)) {
+            rule.types.forEach((type, i) => this.oneOf(type, `${path}.types[${i}]`, types));
+        }
+    }
+
+    level(level, path) {
+        if (!this.object(level, path)) return;
+        this.knownKeys(level, path, LEVEL_KEYS);
+
+        if (typeof level.id !== 'string' || !/^[a-z0-9-]{1,40}$/.test(level.id)) {
+            this.fail(`${path}.id`, 'must be 1-40 lowercase letters, digits or dashes');
+        }
+        if (typeof level.name !== 'string' || !level.name.trim() || level.name.length > LEVEL_LIMITS.nameLength) {
+            this.fail(`${path}.name`, `must be text of 1-${LEVEL_LIMITS.nameLength} characters`);
+        }
+        this.number(level.timeLimit, `${path}.timeLimit`, LEVEL_LIMITS.timeLimit);
+        if (level.contact !== undefined) this.oneOf(level.contact, `${path}.contact`, CONTACTS);
+
+        this.platform(level.platform, `${path}.platform`);
+        const platform = level.platform || {};
+        const maxRadius = typeof platform.radius === 'number' ? platform.radius : LEVEL_LIMITS.radius[1];
+        const platformRadius = platform.shape === 'arena' ? null : maxRadius;
+
+        this.crystals(level.crystals, `${path}.crystals`, platformRadius, maxRadius);
+
+        if (Array.isArray(level.obstacles)) {
+            level.obstacles.forEach((rule, i) => this.obstacleRule(rule, `${path}.obstacles[${i}]`, platformRadius, maxRadius));
+        } else {
+            this.obstacleRule(level.obstacles, `${path}.obstacles`, platformRadius, maxRadius);
+        }
+
+        if (level.powerups !== undefined) this.powerups(level.powerups, `${path}.powerups`, platformRadius, maxRadius);
+    }
+
+    // Throw once with every problem found, or do nothing
+    report(title) {
+        const { problems } = this;
+        if (problems.length === 0) return;
+
+        const listed = problems.slice(0, MAX_PROBLEMS).map(problem => `• ${problem}`);
+        if (problems.length > MAX_PROBLEMS) listed.push(`• …and ${problems.length - MAX_PROBLEMS} more`);
+        throw new Error(`${title} (${problems.length} ${problems.length === 1 ? 'problem' : 'problems'}):\n${listed.join('\n')}`);
+    }
+}
+
+/**
+ * Check a level object against the format; throws an Error listing every
+ * problem, returns the level untouched when it is valid.
+ */
+export function validateLevel(level) {
+    const checker = new LevelChecker();
+    checker.level(level, 'level');
+    checker.report('Level is not valid');
+    return level;
+}
+
+export function serializeLevel(level) {
+    return JSON.stringify({ format: LEVEL_FORMAT, version: LEVEL_VERSION, level }, null, 2);
+}
+
+// Parse and validate a saved level file; errors say what to fix
+export function parseLevel(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Level file is not valid JSON (${e.message})`);
+    }
+
+    if (!data || data.format !== LEVEL_FORMAT) {
+        throw new Error(`Not a Crystal Quest level: "format" must be "${LEVEL_FORMAT}"`);
+    }
+    if (data.version !== LEVEL_VERSION) {
+        throw new Error(`Unsupported level version ${data.version} (this game reads version ${LEVEL_VERSION})`);
+    }
+
+    const checker = new LevelChecker();
+    checker.level(data.level, 'level');
+    checker.report('Level file has errors');
+    return data.level;
+}
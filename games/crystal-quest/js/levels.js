@@ -0,0 +1,150 @@
+/**
+ * Crystal Quest - Level Definitions
+ * Every level is plain data; CrystalQuestGame.loadLevel() builds the arena from it.
+ * The same data can be built in the level editor (?editor=1) and saved as JSON;
+ * level-format.js describes the file and validates it.
+ *
+ * Level shape:
+ *   id          unique key, used for unlock progress
+ *   name        shown in the HUD and on the level-select screen; built-in levels show the
+ *               "levels.<id>" translation instead (see getLevelName())
+ *   timeLimit   seconds to clear the level (0 = no limit)
+ *   platform    one flat platform { shape: 'circle' | 'polygon', radius, sides? }
+ *               or { shape: 'arena', islands, radius } floating islands generated from the
+ *               run seed (see arena.js). Walking off any edge is a fall
+ *   crystals    spawn rule { spawn: 'ring', count, minRadius, maxRadius, height? },
+ *               { spawn: 'scatter', count, height? } anywhere the player can reach,
+ *               or fixed layout { positions: [{ x, z, y? }, ...] }
+ *               y / height is above the ground; spots the player can't reach are moved
+ *   obstacles   one rule or a list of rules, mixed freely:
+ *               orbiters  { spawn: 'ring', count, minRadius, maxRadius, minSpeed, maxSpeed, type? }
+ *               orbits    { orbits: [{ radius, angle, speed, direction, type? }, ...] }
+ *               scatter   { spawn: 'scatter', type, count, minRadius, maxRadius, ...type options }
+ *               fixed     { items: [{ type, ...type options }, ...] }
+ *   powerups    optional pickups, see powerups.js for the types:
+ *               { count, minRadius, maxRadius, types: ['shield', ...] } random spots and types
+ *               or fixed { items: [{ type, x, z }, ...] }
+ *   contact     what touching an obstacle does: 'gameOver' (default), 'knockback' (shoved
+ *               away, combo lost) or 'bounce' (solid); rules and obstacles can set their own
+ *
+ * Obstacle types (options and defaults in obstacles.js):
+ *   wall, cube  orbit the centre; a thin 0.5 x 2 x 2 slab or a 1.2 block
+ *   chaser      { x, z, speed, acceleration, delay } homes in on the player after `delay` seconds
+ *   sweeper     { x, z, length, angle, speed, direction } laser spinning around a post
+ *   hazard      { x, z, radius, period, active, warning, offset } floor zone, deadly for the
+ *               last `active` fraction of each `period` seconds after a `warning` blink
+ *   patrol      { path: [{ x, z }, ...], speed, length, loop } wall shuttling between 2 or more different waypoints
+ */
+
+import { t } from './i18n.js';
+
+export const LEVELS = [
+    {
+        id: 'first-light',
+        name: 'First Light',
+        timeLimit: 0,
+        contact: 'knockback',
+        platform: { shape: 'circle', radius: 15 },
+        crystals: { spawn: 'ring', count: 10, minRadius: 3, maxRadius: 13 },
+        obstacles: { spawn: 'ring', count: 5, minRadius: 5, maxRadius: 10, minSpeed: 0.005, maxSpeed: 0.015 }
+    },
+    {
+        id: 'hex-garden',
+        name: 'Hex Garden',
+        timeLimit: 90,
+        platform: { shape: 'polygon', sides: 6, radius: 16 },
+        crystals: { spawn: 'ring', count: 12, minRadius: 3, maxRadius: 11 },
+        obstacles: [
+            { spawn: 'ring', count: 6, minRadius: 4, maxRadius: 11, minSpeed: 0.007, maxSpeed: 0.016 },
+            { spawn: 'scatter', type: 'hazard', count: 2, minRadius: 5, maxRadius: 11, radius: 2 }
+        ],
+        powerups: { count: 2, minRadius: 4, maxRadius: 12, types: ['shield', 'magnet'] }
+    },
+    {
+        id: 'twin-orbits',
+        name: 'Twin Orbits',
+        timeLimit: 75,
+        platform: { shape: 'circle', radius: 14 },
+        crystals: {
+            positions: [
+                { x: 0, z: -4 }, { x: 4, z: 0 }, { x: 0, z: 4 }, { x: -4, z: 0 },
+                { x: 7, z: -7 }, { x: 7, z: 7 }, { x: -7, z: 7 }, { x: -7, z: -7 },
+                { x: 0, z: -11, y: 1.4 }, { x: 0, z: 11, y: 1.4 }
+            ]
+        },
+        obstacles: [{
+            orbits: [
+                { radius: 5.5, angle: 0, speed: 0.012, direction: 1, type: 'cube' },
+                { radius: 5.5, angle: Math.PI, speed: 0.012, direction: 1, type: 'cube' },
+                { radius: 9, angle: Math.PI / 2, speed: 0.009, direction: -1 },
+                { radius: 9, angle: Math.PI * 1.5, speed: 0.009, direction: -1 }
+            ]
+        }, {
+            items: [
+                { type: 'sweeper', x: 0, z: -8, length: 2.5, speed: 0.02 },
+                { type: 'sweeper', x: 0, z: 8, length: 2.5, speed: 0.02, direction: -1 }
+            ]
+        }],
+        powerups: { items: [{ type: 'dash', x: 2, z: 2 }, { type: 'slowTime', x: -9, z: 0 }] }
+    },
+    {
+        id: 'octagon-vault',
+        name: 'Octagon Vault',
+        timeLimit: 100,
+        platform: { shape: 'polygon', sides: 8, radius: 18 },
+        crystals: { spawn: 'ring', count: 14, minRadius: 3, maxRadius: 14 },
+        obstacles: [
+            { spawn: 'ring', count: 6, minRadius: 4, maxRadius: 14, minSpeed: 0.008, maxSpeed: 0.018, type: 'cube' },
+            {
+                items: [
+                    { type: 'patrol', path: [{ x: -12, z: -6 }, { x: 12, z: -6 }], speed: 0.07, length: 3, contact: 'bounce' },
+                    { type: 'patrol', path: [{ x: 12, z: 6 }, { x: -12, z: 6 }], speed: 0.07, length: 3, contact: 'bounce' }
+                ]
+            },
+            { spawn: 'scatter', type: 'hazard', count: 2, minRadius: 6, maxRadius: 13, radius: 2, period: 5 }
+        ],
+        powerups: { count: 3, minRadius: 4, maxRadius: 14, types: ['shield', 'magnet', 'dash', 'slowTime'] }
+    },
+    {
+        id: 'maelstrom',
+        name: 'The Maelstrom',
+        timeLimit: 60,
+        platform: { shape: 'circle', radius: 13 },
+        crystals: { spawn: 'ring', count: 12, minRadius: 2.5, maxRadius: 11 },
+        obstacles: [
+            { spawn: 'ring', count: 6, minRadius: 3.5, maxRadius: 10, minSpeed: 0.012, maxSpeed: 0.022 },
+            { spawn: 'scatter', type: 'chaser', count: 1, minRadius: 9, maxRadius: 10, delay: 3 },
+            { items: [{ type: 'sweeper', x: 6, z: 0, length: 4.5, speed: 0.012, direction: -1 }] }
+        ],
+        powerups: { count: 2, minRadius: 3, maxRadius: 10, types: ['shield', 'slowTime'] }
+    },
+    {
+        id: 'sky-islands',
+        name: 'Sky Islands',
+        timeLimit: 150,
+        platform: { shape: 'arena', islands: 7, radius: 24 },
+        crystals: { spawn: 'scatter', count: 16 },
+        obstacles: { spawn: 'ring', count: 3, minRadius: 2.5, maxRadius: 4.5, minSpeed: 0.01, maxSpeed: 0.016, type: 'cube' },
+        powerups: { count: 2, minRadius: 3, maxRadius: 20, types: ['dash', 'slowTime'] }
+    }
+];
+
+// Daily Challenge arena; the date-derived seed decides the layout
+export const DAILY_LEVEL = {
+    id: 'daily',
+    name: 'Daily Challenge',
+    timeLimit: 90,
+    platform: { shape: 'circle', radius: 15 },
+    crystals: { spawn: 'ring', count: 12, minRadius: 3, maxRadius: 13 },
+    obstacles: [
+        { spawn: 'ring', count: 5, minRadius: 4, maxRadius: 11, minSpeed: 0.006, maxSpeed: 0.018 },
+        { spawn: 'scatter', type: 'chaser', count: 1, minRadius: 10, maxRadius: 12, delay: 3 },
+        { spawn: 'scatter', type: 'hazard', count: 2, minRadius: 5, maxRadius: 12 }
+    ],
+    powerups: { count: 2, minRadius: 4, maxRadius: 12, types: ['shield', 'magnet', 'dash', 'slowTime'] }
+};
+
+// Display name of a level in the current language; levels from files keep the name they were given
+export function getLevelName(level) {
+    return level === DAILY_LEVEL || LEVELS.includes(level) ? t(`levels.${level.id}`) : level.name;
+}
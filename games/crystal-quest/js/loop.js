@@ -0,0 +1,77 @@
+/**
+ * Crystal Quest - Fixed Timestep Loop
+ * Runs the simulation at a constant tick rate and renders with an
+ * interpolation factor, so gameplay speed doesn't depend on refresh rate.
+ */
+
+export class FixedStepLoop {
+    /**
+     * @param {Object} options
+     * @param {number} options.step - Seconds per simulation tick
+     * @param {number} options.maxFrameTime - Longest frame (seconds) fed into the accumulator
+     * @param {Function} options.update - Called once per tick
+     * @param {Function} options.render - Called once per frame with (alpha, frameSeconds)
+     */
+    constructor({ step, maxFrameTime = 0.25, update, render }) {
+        this.step = step;
+        this.maxFrameTime = maxFrameTime;
+        this.update = update;
+        this.render = render;
+
+        this.accumulator = 0;
+        this.tickCount = 0;
+        this.timeScale = 1; // 0 freezes the simulation but keeps rendering
+        this.running = false;
+        this.lastTime = 0;
+        this.frameId = null;
+    }
+
+    start() {
+        if (this.running) return;
+
+        this.running = true;
+        this.accumulator = 0;
+        this.lastTime = performance.now();
+        this.frameId = requestAnimationFrame((now) => this.frame(now));
+    }
+
+    stop() {
+        this.running = false;
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    frame(now) {
+        this.frameId = null;
+
+        const frameSeconds = Math.min(Math.max(now - this.lastTime, 0) / 1000, this.maxFrameTime);
+        this.lastTime = now;
+
+        const alpha = this.advance(frameSeconds * this.timeScale);
+        this.render(alpha, frameSeconds);
+
+        // update() may have stopped the loop (win / game over)
+        if (this.running) {
+            this.frameId = requestAnimationFrame((t) => this.frame(t));
+        }
+    }
+
+    /**
+     * Run as many ticks as fit into the elapsed time. Usable without
+     * requestAnimationFrame, e.g. to drive the simulation headlessly.
+     * @returns {number} Interpolation factor between the last two ticks (0-1)
+     */
+    advance(seconds) {
+        this.accumulator += seconds;
+
+        while (this.accumulator >= this.step) {
+            this.update();
+            this.tickCount++;
+            this.accumulator -= this.step;
+        }
+
+        return this.accumulator / this.step;
+    }
+}
@@ -0,0 +1,241 @@
+/**
+ * Crystal Quest - Network Client
+ * WebSocket connection to an online race server. NetClient only moves
+ * messages and keeps the connection alive: when it drops while the player has
+ * a seat, it reconnects with backoff and sends `rejoin`. Race logic lives in
+ * online.js; server/game-server.mjs is the reference server.
+ *
+ * Protocol (JSON text messages, `type` picks the message):
+ *
+ *   Client -> server
+ *     create   { name, world }            open a room; the sender is its host
+ *     join     { room, name }             take a seat by room code (lobby only)
+ *     rejoin   { room, token }            take back a seat after a drop
+ *     start    {}                         host only: count down and race
+ *     input    { seq, x, z, buttons }     one tick of the sender's movement, seq counting
+ *                                         up from 1 each race
+ *     leave    {}                         give up the seat
+ *     ping     { time }                   answered with pong, for latency and clock sync
+ *
+ *   Server -> client
+ *     welcome  { protocol, room, id, token, world, phase, clock, collected, you, host, players }
+ *                                         after create, join or rejoin; `you` is the
+ *                                         sender's own State, `collected` [crystal, player id] pairs
+ *     lobby    { phase, host, players }   seats changed: [{ id, name, slot, connected, crystals }]
+ *     start    { tick, host, players }    countdown started at race tick `tick` (negative)
+ *     snapshot { tick, players: [State] } every few ticks while racing
+ *     collect  { crystal, player, tick }  a crystal (index into world.crystals) was taken
+ *     end      { reason, tick, results }  'cleared' or 'time'; results best first:
+ *                                         [{ id, name, slot, crystals, time }]
+ *     pong     { time, clock }            clock = fractional race tick, null in the lobby
+ *     error    { message, request }       the request (a message type) was refused
+ *
+ *   State: { id, seq, x, z, feet, vx, vz, vy, grounded, groundedAt, invulnerableUntil,
+ *            checkpoint: [x, z], crystals, connected }
+ *     seq is the last input the server applied; times are in seconds of that player's
+ *     inputs (seq / tickRate); groundedAt is null where the game has -Infinity.
+ *
+ * `world` is the host's level as plain data, so the server needs no three.js:
+ *   { level, levelId, seed, tuning, tickRate, timeLimit, physics, surfaces,
+ *     obstacles: [spec], crystals: [[x, y, z]], spawns: [[x, z]] (one per slot) }
+ * The server moves the obstacles and the players with physics.js, as the clients do.
+ * Other players rebuild the level from level, seed and tuning.
+ */
+
+const SESSION_KEY = 'crystalQuest.onlineSession';
+
+export const NET = {
+    protocol: 2,
+    connectTimeout: 5000, // ms before a connection attempt counts as failed
+    reconnectDelay: 500, // ms, doubled after each failed attempt
+    maxReconnectDelay: 4000,
+    rejoinWindow: 30000, // ms the server holds a dropped seat; reconnecting stops after it
+    pingInterval: 1000
+};
+
+export class NetError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NetError';
+    }
+}
+
+// Room and rejoin token of the last seat taken in this tab, so a reload can rejoin
+export function loadSession() {
+    try {
+        const session = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+        return session && session.url && session.room && session.token ? session : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function saveSession(session) {
+    try {
+        if (session) {
+            sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+        } else {
+            sessionStorage.removeItem(SESSION_KEY);
+        }
+    } catch (e) {
+        // Private mode; rejoining after a reload just isn't offered
+    }
+}
+
+export class NetClient {
+    constructor(url) {
+        this.url = url;
+        this.socket = null;
+        this.handlers = {};
+        this.session = null; // { url, room, token } while holding a seat
+        this.closed = false;
+        this.reconnectTimer = null;
+        this.pingTimer = null;
+        this.droppedAt = 0;
+        this.rtt = null; // ms, smoothed
+    }
+
+    /**
+     * Listen for a message type, or for the connection events:
+     *   'reconnecting'   the socket dropped; rejoin attempts have started
+     *   'disconnected'   gave up, or the socket closed without a seat to rejoin
+     * @returns {NetClient} for chaining
+     */
+    on(type, handler) {
+        if (!this.handlers[type]) this.handlers[type] = [];
+        this.handlers[type].push(handler);
+        return this;
+    }
+
+    emit(type, data) {
+        (this.handlers[type] || []).forEach(handler => handler(data));
+    }
+
+    // Resolves once the socket is open; rejects with a NetError
+    connect() {
+        return new Promise((resolve, reject) => {
+            let socket;
+            try {
+                socket = new WebSocket(this.url);
+            } catch (e) {
+                reject(new NetError(`"${this.url}" is not a WebSocket address`));
+                return;
+            }
+
+            let settled = false;
+            const fail = (message) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                socket.close();
+                reject(new NetError(message));
+            };
+            const timer = setTimeout(() => fail(`No answer from ${this.url}`), NET.connectTimeout);
+
+            socket.addEventListener('error', () => fail(`Could not reach ${this.url}`));
+            socket.addEventListener('open', () => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                this.attach(socket);
+                resolve();
+            });
+        });
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        this.closed = false;
+        socket.addEventListener('message', (event) => this.receive(event.data));
+        socket.addEventListener('close', () => this.onSocketClose(socket));
+
+        clearInterval(this.pingTimer);
+        this.pingTimer = setInterval(() => this.send({ type: 'ping', time: performance.now() }), NET.pingInterval);
+    }
+
+    receive(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (e) {
+            return; // Not ours
+        }
+        if (!message || typeof message.type !== 'string') return;
+
+        if (message.type === 'welcome') {
+            this.session = { url: this.url, room: message.room, token: message.token };
+            saveSession(this.session);
+        }
+        if (message.type === 'pong' && typeof message.time === 'number') {
+            const rtt = performance.now() - message.time;
+            this.rtt = this.rtt === null ? rtt : this.rtt + (rtt - this.rtt) * 0.2;
+        }
+        this.emit(message.type, message);
+    }
+
+    onSocketClose(socket) {
+        if (socket !== this.socket) return;
+        this.socket = null;
+        clearInterval(this.pingTimer);
+        if (this.closed) return;
+
+        if (this.session) {
+            this.droppedAt = performance.now();
+            this.emit('reconnecting');
+            this.reconnect(NET.reconnectDelay);
+        } else {
+            this.emit('disconnected', new NetError('Lost the connection to the server'));
+        }
+    }
+
+    reconnect(delay) {
+        this.reconnectTimer = setTimeout(() => {
+            if (this.closed) return;
+            this.connect()
+                .then(() => this.send({ type: 'rejoin', room: this.session.room, token: this.session.token }))
+                .catch(() => {
+                    if (this.closed) return;
+                    if (performance.now() - this.droppedAt + delay > NET.rejoinWindow) {
+                        this.forget();
+                        this.emit('disconnected', new NetError('Could not get back to the server'));
+                        return;
+                    }
+                    this.reconnect(Math.min(delay * 2, NET.maxReconnectDelay));
+                });
+        }, delay);
+    }
+
+    // Rejoin a seat from an earlier connection (see loadSession)
+    rejoin(session) {
+        return this.connect().then(() => {
+            this.session = session;
+            this.send({ type: 'rejoin', room: session.room, token: session.token });
+        });
+    }
+
+    get connected() {
+        return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    // False if the message couldn't go out (dropped while reconnecting)
+    send(message) {
+        if (!this.connected) return false;
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    // Drop the seat's rejoin token, e.g. when the server no longer knows it
+    forget() {
+        this.session = null;
+        saveSession(null);
+    }
+
+    close() {
+        this.closed = true;
+        this.forget();
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.pingTimer);
+        if (this.socket) this.socket.close(1000);
+        this.socket = null;
+    }
+}
@@ -0,0 +1,323 @@
+/**
+ * Crystal Quest - Obstacle Types
+ * Each type owns its mesh (`object`), a per-tick update and a collider shape
+ * (see collision.js), so the game can test hits and near-misses the same way
+ * for every type.
+ *
+ * Types that move by their spec alone take their pose from a motion in
+ * physics.js, which the online race server runs as well.
+ *
+ * To add a type, extend Obstacle and register it in OBSTACLE_TYPES; levels
+ * then refer to it by key (see levels.js for the spawn rules).
+ */
+
+import * as THREE from 'three';
+import { OrbitMotion, SweeperMotion, HazardMotion, PatrolMotion, sphereTouches } from './physics.js';
+
+const OBSTACLE_COLOR = 0xff3366;
+const OBSTACLE_EMISSIVE = 0xff0044;
+
+// Default colours; accessibility.js palettes swap in others and outline the meshes
+export const OBSTACLE_LOOK = { color: OBSTACLE_COLOR, emissive: OBSTACLE_EMISSIVE, outline: null };
+
+function createObstacleMaterial() {
+    return new THREE.MeshLambertMaterial({
+        color: OBSTACLE_COLOR,
+        emissive: OBSTACLE_EMISSIVE,
+        emissiveIntensity: 0.3
+    });
+}
+
+// Box collider that follows a mesh's own transform
+function meshBox(mesh, width, height, depth) {
+    return {
+        kind: 'box',
+        center: mesh.position,
+        quaternion: mesh.quaternion,
+        halfExtents: new THREE.Vector3(width / 2, height / 2, depth / 2)
+    };
+}
+
+export class Obstacle {
+    constructor(spec, castShadow = false) {
+        this.spec = spec;
+        this.castShadow = castShadow;
+        this.object = null;
+        this.collider = null;
+        this.motion = null; // Plain-number motion of spec-driven types (see physics.js)
+        this.proximity = []; // Per player, see getProximity()
+        this.outlines = [];
+    }
+
+    /**
+     * How close player `index` is, tracked by the game between ticks:
+     *   inRange, wasInRange   inside the near-miss margin this tick / last tick
+     *   nearMiss              set while the player is inside the margin without touching
+     *   touching              set after a non-lethal contact until the player is clear again
+     */
+    getProximity(index) {
+        if (!this.proximity[index]) {
+            this.proximity[index] = { inRange: false, wasInRange: false, nearMiss: false, touching: false };
+        }
+        return this.proximity[index];
+    }
+
+    setObject(object) {
+        this.object = object;
+        if (this.castShadow) {
+            object.traverse(child => {
+                if (child.isMesh) child.castShadow = true;
+            });
+        }
+    }
+
+    /**
+     * Recolour every mesh and add or drop edge outlines (a shape cue that doesn't
+     * depend on colour). Safe to call mid-run; the collider is untouched.
+     * @param {{ color: number, emissive: number, outline: number|null }} look
+     */
+    setLook(look) {
+        this.outlines.forEach(line => {
+            line.removeFromParent();
+            line.geometry.dispose();
+            line.material.dispose();
+        });
+
+        const meshes = [];
+        this.object.traverse(child => {
+            if (child.isMesh) meshes.push(child);
+        });
+        meshes.forEach(mesh => {
+            mesh.material.color.set(look.color);
+            if (mesh.material.emissive) mesh.material.emissive.set(look.emissive);
+        });
+
+        this.outlines = look.outline === null ? [] : meshes.map(mesh => {
+            const line = new THREE.LineSegments(
+                new THREE.EdgesGeometry(mesh.geometry),
+                new THREE.LineBasicMaterial({ color: look.outline })
+            );
+            mesh.add(line);
+            return line;
+        });
+    }
+
+    /**
+     * Advance one simulation tick. `time` is the obstacle clock and `timeScale`
+     * the share of a normal tick it advanced by (below 1 during slow-time).
+     * @param {{ time: number, timeScale: number, players: THREE.Vector3[], getPlatformEdge: (angle: number) => number }} context
+     */
+    update(context) {}
+
+    // Collider shape for this tick, or null while harmless
+    getCollider() {
+        return this.collider;
+    }
+
+    // Whether a ball at (x, y, z) overlaps this tick's shape, tested as the race server does
+    touches(x, y, z, radius) {
+        const shape = this.motion ? this.motion.getShape() : null;
+        return shape !== null && sphereTouches(shape, x, y, z, radius);
+    }
+}
+
+// Wall or cube circling the platform centre
+export class OrbitObstacle extends Obstacle {
+    constructor(spec, castShadow) {
+        const motion = new OrbitMotion(spec);
+        super(motion.spec, castShadow);
+
+        const [width, height, depth] = motion.size;
+        this.motion = motion;
+        this.setObject(new THREE.Mesh(new THREE.BoxGeometry(width, height, depth), createObstacleMaterial()));
+        this.collider = meshBox(this.object, width, height, depth);
+        this.place();
+    }
+
+    // Follow the motion, facing the centre
+    place() {
+        const { x, y, z, heading } = this.motion.getShape();
+        this.object.position.set(x, y, z);
+        this.object.rotation.y = heading;
+    }
+
+    update(context) {
+        this.motion.update(context);
+        this.place();
+    }
+}
+
+// Homing orb that steers toward the nearest player after a short head start
+export class ChaserObstacle extends Obstacle {
+    constructor(spec, castShadow) {
+        super({ x: 0, z: 0, radius: 0.6, speed: 0.09, acceleration: 0.004, delay: 1.5, ...spec }, castShadow);
+
+        const { x, z, radius } = this.spec;
+        const material = createObstacleMaterial();
+        material.emissiveIntensity = 0.6;
+        this.setObject(new THREE.Mesh(new THREE.IcosahedronGeometry(radius, 0), material));
+        this.object.position.set(x, radius + 0.1, z);
+        this.collider = { kind: 'sphere', center: this.object.position, radius };
+        this.velocity = new THREE.Vector3();
+        this.steer = new THREE.Vector3();
+    }
+
+    update({ time, timeScale, players, getPlatformEdge }) {
+        if (time < this.spec.delay || players.length === 0) return;
+
+        const { position } = this.object;
+        const target = players.reduce((nearest, player) => (
+            position.distanceToSquared(player) < position.distanceToSquared(nearest) ? player : nearest
+        ));
+        this.steer.set(target.x - position.x, 0, target.z - position.z);
+        if (this.steer.lengthSq() > 0) {
+            this.velocity.addScaledVector(this.steer.normalize(), this.spec.acceleration * timeScale);
+            this.velocity.clampLength(0, this.spec.speed);
+        }
+        position.addScaledVector(this.velocity, timeScale);
+
+        // Same boundary as the player
+        const distance = Math.hypot(position.x, position.z);
+        const maxDistance = getPlatformEdge(Math.atan2(position.z, position.x)) - 1;
+        if (distance > maxDistance) {
+            position.x *= maxDistance / distance;
+            position.z *= maxDistance / distance;
+        }
+
+        this.object.rotation.y += 0.05 * timeScale;
+        this.object.rotation.x += 0.03 * timeScale;
+    }
+}
+
+// Laser beam spinning around a pivot post
+export class SweeperObstacle extends Obstacle {
+    constructor(spec, castShadow) {
+        const motion = new SweeperMotion(spec);
+        super(motion.spec, castShadow);
+
+        const { x, z, length, width } = this.spec;
+        this.motion = motion;
+        const group = new THREE.Group();
+
+        const post = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.4, 1.2, 8), createObstacleMaterial());
+        group.add(post);
+
+        const beam = new THREE.Mesh(
+            new THREE.BoxGeometry(length, width * 0.5, width * 0.5),
+            new THREE.MeshBasicMaterial({ color: OBSTACLE_COLOR, transparent: true, opacity: 0.85 })
+        );
+        beam.position.x = length / 2;
+        group.add(beam);
+
+        this.setObject(group);
+        beam.castShadow = false; // Light source, not a solid
+        group.position.set(x, 0.6, z);
+
+        // The beam's box is centred half a length out from the post
+        this.collider = {
+            kind: 'box',
+            center: new THREE.Vector3(),
+            quaternion: group.quaternion,
+            halfExtents: new THREE.Vector3(length / 2, 0.3, width / 2)
+        };
+        this.place();
+    }
+
+    // rotation.y turns the beam's local +x towards (cos, -sin)
+    place() {
+        const { x, y, z, heading } = this.motion.getShape();
+        this.object.rotation.y = heading;
+        this.collider.center.set(x, y, z);
+    }
+
+    update(context) {
+        this.motion.update(context);
+        this.place();
+    }
+}
+
+// Floor zone that cycles idle -> warning -> deadly
+export class HazardObstacle extends Obstacle {
+    constructor(spec) {
+        const motion = new HazardMotion(spec);
+        super(motion.spec);
+
+        const { x, z, radius } = this.spec;
+        this.motion = motion;
+        this.material = new THREE.MeshBasicMaterial({
+            color: OBSTACLE_COLOR,
+            transparent: true,
+            opacity: 0.15,
+            depthWrite: false
+        });
+        this.setObject(new THREE.Mesh(new THREE.CircleGeometry(radius, 32), this.material));
+        this.object.rotation.x = -Math.PI / 2;
+        this.object.position.set(x, 0.02, z);
+
+        // Thin disc at floor level - deadly to stand on, not to brush past
+        this.collider = { kind: 'cylinder', center: new THREE.Vector3(x, 0, z), radius, halfHeight: 0.25 };
+    }
+
+    get phase() {
+        return this.motion.phase;
+    }
+
+    update(context) {
+        this.motion.update(context);
+
+        if (this.phase === 'active') {
+            this.material.opacity = 0.75;
+        } else if (this.phase === 'warning') {
+            // Blink while the zone is about to arm
+            this.material.opacity = 0.2 + 0.3 * Math.abs(Math.sin(context.time * 12));
+        } else {
+            this.material.opacity = 0.15;
+        }
+    }
+
+    getCollider() {
+        return this.phase === 'active' ? this.collider : null;
+    }
+}
+
+// Wall segment shuttling along waypoints, broadside to its direction of travel
+export class PatrolObstacle extends Obstacle {
+    constructor(spec, castShadow) {
+        const motion = new PatrolMotion(spec);
+        super(motion.spec, castShadow);
+
+        const { length } = this.spec;
+        this.motion = motion;
+        this.setObject(new THREE.Mesh(new THREE.BoxGeometry(length, 1.6, 0.5), createObstacleMaterial()));
+        this.collider = meshBox(this.object, length, 1.6, 0.5);
+        this.place();
+    }
+
+    place() {
+        const { x, y, z, heading } = this.motion.getShape();
+        this.object.position.set(x, y, z);
+        this.object.rotation.y = heading;
+    }
+
+    update(context) {
+        this.motion.update(context);
+        this.place();
+    }
+}
+
+export const OBSTACLE_TYPES = {
+    wall: OrbitObstacle,
+    cube: OrbitObstacle,
+    chaser: ChaserObstacle,
+    sweeper: SweeperObstacle,
+    hazard: HazardObstacle,
+    patrol: PatrolObstacle
+};
+
+export function createObstacle(spec, castShadow = false, look = OBSTACLE_LOOK) {
+    const Type = OBSTACLE_TYPES[spec.type];
+    if (!Type) throw new Error(`Unknown obstacle type "${spec.type}"`);
+    const obstacle = new Type(spec, castShadow);
+    if (look !== OBSTACLE_LOOK) obstacle.setLook(look);
+    return obstacle;
+}
@@ -0,0 +1,646 @@
+/**
+ * Crystal Quest - Online Races
+ * Rooms and races against other players through a NetClient (protocol in
+ * net.js). The server runs every player's movement and owns the crystals, the
+ * race clock and the results; this side keeps the game responsive around that:
+ *
+ *   Prediction       the local player moves on its own inputs straight away,
+ *                    through the same movePlayer() (physics.js) the server runs
+ *   Reconciliation   each snapshot resets the local player to the server's state
+ *                    for the last input it applied, then replays the inputs after it
+ *   Interpolation    other players are shown config.interpolationDelay seconds in the
+ *                    past, between the two snapshots around that moment
+ *   Obstacles        run locally on the race clock; they follow their spec, so every
+ *                    client shows the same orbit at the same tick. The server moves
+ *                    them too, through the same physics.js motions, and decides who
+ *                    was hit; the local guess is only a prediction like the movement
+ *
+ * Chasers (they hunt whoever is nearest, which needs everyone's exact position
+ * every tick) and power-ups stay out of online races, and players pass
+ * through each other.
+ */
+
+import * as THREE from 'three';
+import { LEVELS, getLevelName } from './levels.js';
+import { i18n, t } from './i18n.js';
+import { createSeed } from './random.js';
+import { NetClient, NetError, NET, loadSession } from './net.js';
+
+const SNAPSHOT_HISTORY = 20; // Per remote player, about a second at 20 Hz
+const MAX_PENDING = 600; // Unacknowledged inputs kept for replay; older ones are dropped
+const TELEPORT_DISTANCE = 2; // A remote player jumping further than this between snapshots respawned
+
+export class OnlineRace {
+    constructor(game, config) {
+        this.game = game;
+        this.config = config;
+        this.net = null;
+        this.move = new THREE.Vector3();
+        this.reset();
+        this.setupPanel();
+    }
+
+    // Forget the room, keeping the connection (if any)
+    reset() {
+        this.phase = 'idle'; // 'idle' | 'lobby' | 'countdown' | 'racing' | 'ended'
+        this.room = null;
+        this.id = null; // Our player id in the room
+        this.host = null;
+        this.world = null;
+        this.members = []; // Seats from the server: { id, name, slot, connected, crystals }
+        this.racers = new Map(); // id -> { player, snapshots }
+        this.local = null;
+        this.seq = 0; // Last input sent
+        this.pending = []; // Inputs the server hasn't applied yet
+        this.resimulating = false;
+        this.obstacleTicks = 0;
+        this.clockOrigin = null; // performance.now() at race tick 0
+        this.countdown = null;
+    }
+
+    get tickSeconds() {
+        return 1 / this.world.tickRate;
+    }
+
+    get isHost() {
+        return this.id !== null && this.id === this.host;
+    }
+
+    // ============================================
+    // Online screen
+    // ============================================
+    setupPanel() {
+        document.getElementById('online-server').value = this.config.server;
+
+        document.getElementById('online-name').addEventListener('input', (e) => {
+            this.game.settings.set('playerName', e.target.value);
+        });
+        document.getElementById('online-create-btn').addEventListener('click', () => this.createRoom());
+        document.getElementById('online-join-btn').addEventListener('click', () => this.joinRoom());
+        document.getElementById('online-code').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.joinRoom();
+        });
+        document.getElementById('online-rejoin-btn').addEventListener('click', () => this.rejoin());
+        document.getElementById('online-start-btn').addEventListener('click', () => {
+            this.net.send({ type: 'start' });
+        });
+        document.getElementById('online-leave-btn').addEventListener('click', () => {
+            this.leave();
+            this.showPanel();
+        });
+        document.getElementById('online-back-btn').addEventListener('click', () => this.closePanel());
+    }
+
+    // From the start screen, or back from a race's results
+    showPanel() {
+        const { game } = this;
+        game.audio.unlock();
+        document.getElementById('online-name').value = game.settings.get('playerName');
+
+        // Built here rather than once, so the names follow the language
+        const levels = document.getElementById('online-level');
+        const selected = levels.value;
+        levels.replaceChildren(...LEVELS.map((level, index) => {
+            const option = new Option(t('online.levelOption', { number: index + 1, name: getLevelName(level) }), index);
+            option.disabled = index >= game.state.unlockedLevels;
+            return option;
+        }));
+        if (selected) levels.value = selected;
+
+        const inRoom = this.room !== null;
+        document.getElementById('online-connect').classList.toggle('hidden', inRoom);
+        document.getElementById('online-lobby').classList.toggle('hidden', !inRoom);
+        document.getElementById('online-rejoin-btn').classList.toggle('hidden', inRoom || !loadSession());
+        if (inRoom) this.renderLobby();
+
+        ['start-screen', 'game-message'].forEach(id => document.getElementById(id).classList.add('hidden'));
+        document.getElementById('online-panel').classList.remove('hidden');
+    }
+
+    closePanel() {
+        this.leave();
+        this.setStatus('');
+        document.getElementById('online-panel').classList.add('hidden');
+        if (this.game.state.isOnline()) {
+            this.game.quitToMenu();
+        } else {
+            document.getElementById('start-screen').classList.remove('hidden');
+        }
+    }
+
+    hidePanel() {
+        document.getElementById('online-panel').classList.add('hidden');
+    }
+
+    setStatus(text, isError = false) {
+        const status = document.getElementById('online-status');
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+
+    renderLobby() {
+        document.getElementById('online-room-code').textContent = this.room;
+        document.getElementById('online-level-name').textContent = this.world
+            ? t('online.level', { number: this.world.level + 1, name: getLevelName(LEVELS[this.world.level]) })
+            : '';
+
+        document.getElementById('online-players').replaceChildren(...this.members.map(member => {
+            const item = document.createElement('li');
+            item.style.setProperty('--player-color', this.game.getPlayer(member.slot).cssColor);
+            item.classList.toggle('offline', !member.connected);
+            item.textContent = member.name;
+            if (member.id === this.id) item.append(` ${t('online.you')}`);
+            if (member.id === this.host) item.append(' 👑');
+            if (!member.connected) item.append(` ${t('online.memberReconnecting')}`);
+            return item;
+        }));
+
+        const ready = this.members.filter(member => member.connected).length;
+        const start = document.getElementById('online-start-btn');
+        start.classList.toggle('hidden', !this.isHost);
+        start.disabled = ready < 2 || this.phase === 'countdown' || this.phase === 'racing';
+        start.textContent = t(this.phase === 'ended' ? 'results.rematch' : 'online.startRace');
+
+        if (this.isHost) {
+            this.setStatus(ready < 2 ? t('online.needPlayers') : t('online.playersReady', { count: ready }));
+        } else {
+            this.setStatus(t('online.waitingForHost'));
+        }
+    }
+
+    // ============================================
+    // Rooms
+    // ============================================
+    // Connect to the address on the online screen, reusing a live connection to it
+    connect() {
+        const url = document.getElementById('online-server').value.trim();
+        if (this.net && this.net.url === url && this.net.connected) return Promise.resolve();
+
+        if (this.net) this.net.close();
+        this.net = new NetClient(url);
+        this.listen(this.net);
+        this.setStatus(t('online.connecting', { url }));
+        return this.net.connect();
+    }
+
+    listen(net) {
+        const on = (type, handler) => net.on(type, (message) => {
+            if (net === this.net) handler(message);
+        });
+        on('welcome', (message) => this.run(() => this.enter(message)));
+        on('lobby', (message) => this.onLobby(message));
+        on('start', (message) => this.onStart(message));
+        on('snapshot', (message) => this.onSnapshot(message));
+        on('collect', (message) => this.onCollect(message));
+        on('end', (message) => this.onEnd(message));
+        on('pong', (message) => this.onPong(message));
+        on('error', (message) => this.onServerError(message));
+        on('reconnecting', () => {
+            this.setStatus(t('online.reconnecting'), true);
+            if (this.game.state.isOnline()) this.game.showPopup(t('online.reconnecting'));
+        });
+        on('disconnected', (error) => this.abandon(error.message));
+    }
+
+    // Show failures from `task` (sync or a promise) on the online screen
+    run(task) {
+        const fail = (error) => {
+            if (!(error instanceof NetError)) console.error(error);
+            this.leave();
+            this.showPanel();
+            this.setStatus(error.message, true);
+        };
+        try {
+            const result = task();
+            if (result && result.catch) result.catch(fail);
+        } catch (error) {
+            fail(error);
+        }
+    }
+
+    createRoom() {
+        const index = Number(document.getElementById('online-level').value);
+        this.run(() => this.connect().then(() => {
+            // The host's own layout, with this device's tuning, is the one everybody races on
+            this.game.loadOnlineLevel(index, createSeed());
+            const world = {
+                ...this.game.getOnlineWorld(),
+                spawns: Array.from({ length: this.config.maxPlayers }, (_, slot) => {
+                    const { x, z } = this.getSpawn(slot);
+                    return [x, z];
+                })
+            };
+            this.setStatus(t('online.creating'));
+            this.net.send({ type: 'create', name: this.getName(), world });
+        }));
+    }
+
+    joinRoom() {
+        const code = document.getElementById('online-code').value.trim().toUpperCase();
+        if (!/^[A-Z]{4}$/.test(code)) {
+            this.setStatus(t('online.badCode'), true);
+            return;
+        }
+        this.run(() => this.connect().then(() => {
+            this.setStatus(t('online.joining', { code }));
+            this.net.send({ type: 'join', room: code, name: this.getName() });
+        }));
+    }
+
+    // Take back the seat this tab held before a reload
+    rejoin() {
+        const session = loadSession();
+        if (!session) return;
+
+        document.getElementById('online-server').value = session.url;
+        if (this.net) this.net.close();
+        this.net = new NetClient(session.url);
+        this.listen(this.net);
+        this.setStatus(t('online.rejoining', { code: session.room }));
+        this.run(() => this.net.rejoin(session));
+    }
+
+    getName() {
+        return String(this.game.settings.get('playerName') || '').trim() || 'Player';
+    }
+
+    // Spawns ring the centre, one per slot
+    getSpawn(slot) {
+        if (this.world) {
+            const [x, z] = this.world.spawns[slot];
+            return { x, z };
+        }
+        const angle = (slot / this.config.maxPlayers) * Math.PI * 2 + Math.PI / 2;
+        return { x: Math.cos(angle) * this.config.spawnRadius, z: Math.sin(angle) * this.config.spawnRadius };
+    }
+
+    // Who loadLevel() seats in an online race: this player first, then the rest of the room
+    getSeats() {
+        const self = this.members.find(member => member.id === this.id);
+        const seats = self ? [self, ...this.members.filter(member => member !== self)] : [{ slot: 0 }];
+        return seats.map(({ slot }) => ({ index: slot, spawn: this.getSpawn(slot) }));
+    }
+
+    // Welcome after create, join or rejoin: rebuild the room's level and catch up with its race
+    enter(message) {
+        if (message.protocol !== NET.protocol) {
+            throw new NetError('The server runs a different version of online races');
+        }
+        if (message.world.tickRate !== Math.round(1 / this.game.tickSeconds)) {
+            throw new NetError('The server runs races at a different tick rate');
+        }
+
+        this.room = message.room;
+        this.id = message.id;
+        this.host = message.host;
+        this.members = message.players;
+        this.world = message.world;
+        this.phase = message.phase;
+        this.buildLevel();
+        message.collected.forEach(([index, id]) => this.take(index, id, false));
+
+        if (this.phase === 'countdown' || this.phase === 'racing') {
+            this.setClock(message.clock);
+            this.applyState(this.local, message.you);
+            this.seq = message.you.seq;
+            this.startRace();
+            return;
+        }
+        this.showPanel();
+    }
+
+    // The room's level from its seed, checked against the crystals the host uploaded
+    buildLevel() {
+        const { game, world } = this;
+        game.loadOnlineLevel(world.level, world.seed, world.tuning);
+
+        const crystals = game.state.crystals;
+        const matches = crystals.length === world.crystals.length && crystals.every((crystal, i) => {
+            const [x, y, z] = world.crystals[i];
+            return Math.abs(crystal.position.x - x) < 1e-6 && Math.abs(crystal.userData.initialY - y) < 1e-6
+                && Math.abs(crystal.position.z - z) < 1e-6;
+        });
+        if (!matches) {
+            throw new NetError('This level builds differently here than for the host - are you on the same game version?');
+        }
+
+        this.racers = new Map();
+        this.members.forEach(member => {
+            const player = game.players.find(candidate => candidate.index === member.slot);
+            player.name = member.name;
+            player.label = member.name;
+            player.connected = member.connected;
+            player.collected = member.crystals;
+            this.racers.set(member.id, { player, snapshots: [] });
+        });
+        this.local = this.racers.get(this.id).player;
+        this.obstacleTicks = 0;
+        this.pending = [];
+        this.seq = 0;
+        game.updateScore();
+    }
+
+    onLobby(message) {
+        this.host = message.host;
+        this.members = message.players;
+
+        // Players who left the race disappear; dropped ones stay where they were
+        this.racers.forEach((racer, id) => {
+            const member = this.members.find(candidate => candidate.id === id);
+            if (member) {
+                racer.player.connected = member.connected;
+                return;
+            }
+            racer.player.mesh.visible = false;
+            this.game.players.splice(this.game.players.indexOf(racer.player), 1);
+            this.racers.delete(id);
+        });
+        if (this.game.state.isOnline()) this.game.updateScore();
+        if (!document.getElementById('online-panel').classList.contains('hidden')) this.renderLobby();
+    }
+
+    onStart(message) {
+        this.run(() => {
+            this.host = message.host;
+            this.members = message.players;
+            this.phase = 'countdown';
+            this.buildLevel();
+            this.clockOrigin = null;
+            this.setClock(message.tick + (this.net.rtt || 0) / 2 / (this.tickSeconds * 1000));
+            this.startRace();
+        });
+    }
+
+    startRace() {
+        this.countdown = null;
+        this.hidePanel();
+        document.getElementById('game-message').classList.add('hidden');
+        this.game.startGame();
+    }
+
+    // Leave the room (if any) and the server
+    leave() {
+        if (this.net) {
+            this.net.send({ type: 'leave' });
+            this.net.close();
+            this.net = null;
+        }
+        this.reset();
+    }
+
+    // The room is gone or unreachable: back to the online screen with the reason
+    abandon(reason) {
+        this.leave();
+        if (this.game.state.isOnline()) this.game.quitToMenu();
+        this.showPanel();
+        this.setStatus(reason, true);
+    }
+
+    onServerError({ message, request }) {
+        if (request === 'rejoin') {
+            this.abandon(t('online.rejoinFailed', { error: message }));
+            return;
+        }
+        if (this.room === null) {
+            // Refused before we got a seat (bad code, full room): stay on the online screen
+            this.net.close();
+            this.net = null;
+        }
+        this.setStatus(message, true);
+    }
+
+    // ============================================
+    // Race clock
+    // ============================================
+    // Race tick now, estimated from the server's clock; -Infinity until synced
+    getClock() {
+        if (this.clockOrigin === null) return -Infinity;
+        return (performance.now() - this.clockOrigin) / (this.tickSeconds * 1000);
+    }
+
+    setClock(clock) {
+        this.clockOrigin = performance.now() - clock * this.tickSeconds * 1000;
+    }
+
+    // Pongs carry the server's clock; half the round trip later it has moved on by that much
+    onPong({ time, clock }) {
+        if (clock === null || (this.phase !== 'countdown' && this.phase !== 'racing')) return;
+
+        const now = performance.now();
+        const origin = now - clock * this.tickSeconds * 1000 - (now - time) / 2;
+        this.clockOrigin = this.clockOrigin === null ? origin : this.clockOrigin + (origin - this.clockOrigin) * 0.1;
+    }
+
+    // ============================================
+    // Simulation
+    // ============================================
+    // One game tick of an online race (called from CrystalQuestGame.tick())
+    tick() {
+        const { game } = this;
+        const clock = this.getClock();
+        const buttons = game.input.consumeButtons();
+
+        if (this.phase === 'countdown') {
+            this.showCountdown(clock);
+            if (clock >= 0) this.phase = 'racing';
+        }
+        if (this.phase === 'racing') {
+            // Pausing only opens the menu; the race goes on without us
+            if (game.state.isPaused) {
+                this.move.set(0, 0, 0);
+            } else {
+                this.move.copy(game.input.getMovementVector());
+            }
+            for (let steps = 0; this.seq < clock && steps < this.config.maxCatchUp; steps++) {
+                this.step(steps === 0 && !game.state.isPaused ? buttons : 0);
+            }
+        }
+
+        const renderTick = clock - this.config.interpolationDelay * this.world.tickRate;
+        this.racers.forEach((racer, id) => {
+            if (id !== this.id) this.interpolate(racer, renderTick);
+        });
+
+        const raceTime = Math.max(0, clock) * this.tickSeconds;
+        game.state.simTime = raceTime;
+        if (this.world.timeLimit) game.state.timeRemaining = Math.max(0, this.world.timeLimit - raceTime);
+        game.animateCrystals();
+        game.players.forEach(player => game.animatePlayer(player, raceTime));
+    }
+
+    // Predict one input: run it, send it, keep it until the server has applied it
+    step(buttons) {
+        const entry = { seq: this.seq + 1, x: this.move.x, z: this.move.z, buttons, hit: false };
+        this.seq = entry.seq;
+        this.advanceObstacles(entry.seq);
+        this.simulate(entry, true);
+
+        this.pending.push(entry);
+        if (this.pending.length > MAX_PENDING) this.pending.shift();
+        this.net.send({ type: 'input', seq: entry.seq, x: entry.x, z: entry.z, buttons });
+    }
+
+    // Obstacles only move forwards, one tick of their clock per race tick
+    advanceObstacles(tick) {
+        while (this.obstacleTicks < tick) {
+            this.game.moveObstacles();
+            this.obstacleTicks++;
+        }
+    }
+
+    /**
+     * One tick of the local player, in the same order as Room.runInputs() on the
+     * server: move, respawn after a fall, otherwise respawn after a hit. Live ticks
+     * (`detect`) predict the hit against the obstacles; replays reuse the guess, as
+     * the obstacles have moved on since. The server's own test has the last word.
+     */
+    simulate(entry, detect) {
+        const { game } = this;
+        const player = this.local;
+        const { physics } = this.world;
+        const time = entry.seq * this.tickSeconds;
+
+        player.input.set(entry.x, 0, entry.z);
+        player.buttons = entry.buttons;
+        const jumped = game.movePlayer(player, physics.maxSpeed, time);
+        if (player.feet < physics.fallLimit) {
+            this.respawn(player, time);
+            return;
+        }
+
+        if (detect) entry.hit = !player.isInvulnerable(time) && game.touchesObstacle(player);
+        if (entry.hit && !player.isInvulnerable(time)) {
+            this.respawn(player, time);
+        } else if (jumped && !this.resimulating) {
+            game.audio.jump();
+        }
+    }
+
+    // Back to the checkpoint (the last crystal this player took) or their spawn
+    respawn(player, time) {
+        const { game } = this;
+        const { checkpoint, spawn } = player;
+        const spot = game.arena.getHeight(checkpoint.x, checkpoint.z) > -Infinity ? checkpoint : spawn;
+        game.placePlayer(player, spot.x, spot.z, time);
+        player.velocity.set(0, 0, 0);
+        player.invulnerableUntil = time + this.world.physics.invulnerability;
+        if (this.resimulating) return;
+
+        game.particleSystem.burst(player.position, player.color);
+        game.audio.hit();
+        game.vibrate(200);
+        if (player.mesh.userData.prevPosition) player.mesh.userData.prevPosition.copy(player.position);
+    }
+
+    applyState(player, state) {
+        player.position.set(state.x, state.feet + this.world.physics.size, state.z);
+        player.feet = state.feet;
+        player.velocity.set(state.vx, 0, state.vz);
+        player.verticalSpeed = state.vy;
+        player.grounded = state.grounded;
+        player.lastGroundedAt = state.groundedAt === null ? -Infinity : state.groundedAt;
+        player.invulnerableUntil = state.invulnerableUntil;
+        player.checkpoint = { x: state.checkpoint[0], z: state.checkpoint[1] };
+    }
+
+    onSnapshot(message) {
+        if (!this.local) return;
+
+        message.players.forEach(state => {
+            const racer = this.racers.get(state.id);
+            if (!racer) return;
+
+            racer.player.collected = state.crystals;
+            racer.player.connected = state.connected;
+            if (state.id === this.id) {
+                this.reconcile(state);
+                return;
+            }
+            racer.snapshots.push({ tick: message.tick, ...state });
+            if (racer.snapshots.length > SNAPSHOT_HISTORY) racer.snapshots.shift();
+        });
+    }
+
+    // Take the server's word for the last applied input, then replay the ones after it
+    reconcile(state) {
+        if (state.seq > this.seq) return; // From before a rejoin reset the count
+        this.pending = this.pending.filter(entry => entry.seq > state.seq);
+        this.applyState(this.local, state);
+
+        this.resimulating = true;
+        this.pending.forEach(entry => this.simulate(entry, false));
+        this.resimulating = false;
+    }
+
+    // Place a remote player between the snapshots either side of `tick`, holding the newest
+    interpolate({ player, snapshots }, tick) {
+        if (snapshots.length === 0) return;
+
+        let before = snapshots[0];
+        let after = null;
+        for (const snapshot of snapshots) {
+            if (snapshot.tick <= tick) {
+                before = snapshot;
+            } else {
+                after = snapshot;
+                break;
+            }
+        }
+
+        let t = after ? THREE.MathUtils.clamp((tick - before.tick) / (after.tick - before.tick), 0, 1) : 0;
+        if (after && Math.hypot(after.x - before.x, after.z - before.z) > TELEPORT_DISTANCE) {
+            t = t < 0.5 ? 0 : 1;
+        }
+        const to = after || before;
+        const lerp = (key) => before[key] + (to[key] - before[key]) * t;
+
+        player.feet = lerp('feet');
+        player.position.set(lerp('x'), player.feet + this.world.physics.size, lerp('z'));
+        player.velocity.set(lerp('vx'), 0, lerp('vz'));
+        player.grounded = (t < 0.5 ? before : to).grounded;
+        player.invulnerableUntil = to.invulnerableUntil;
+    }
+
+    onCollect({ crystal, player }) {
+        this.take(crystal, player, true);
+        this.game.updateScore();
+    }
+
+    // Crystal `index` went to player `id`
+    take(index, id, announce) {
+        const { game } = this;
+        const crystal = game.state.crystals[index];
+        if (!crystal || crystal.userData.collected) return;
+
+        game.removeCrystal(crystal);
+        game.state.collected++;
+        const racer = this.racers.get(id);
+        if (!racer || !announce) return;
+
+        racer.player.collected++;
+        if (id === this.id) {
+            game.audio.pickup(1);
+            game.vibrate(50);
+            game.showPopup(t('popups.crystal'));
+        } else {
+            game.showPopup(t('popups.crystal'), racer.player);
+        }
+    }
+
+    showCountdown(clock) {
+        const seconds = Math.ceil(-clock * this.tickSeconds);
+        if (seconds === this.countdown || seconds < 0) return;
+
+        this.countdown = seconds;
+        this.game.showPopup(seconds > 0 ? i18n.formatNumber(seconds) : t('popups.go'));
+    }
+
+    onEnd(message) {
+        this.phase = 'ended';
+        const results = message.results.map(result => {
+            const racer = this.racers.get(result.id);
+            return { ...result, player: racer ? racer.player : this.game.getPlayer(result.slot), local: result.id === this.id };
+        });
+        this.game.showRaceResult(message.reason, results);
+    }
+}
@@ -0,0 +1,265 @@
+/**
+ * Crystal Quest - Particles
+ * One preallocated Points buffer shared by every effect. Emitting writes a
+ * particle's spawn position, velocity, colour and timing into the next slot
+ * of a ring buffer; the vertex shader works out where it is and how faded
+ * from the current time, so nothing is updated or allocated per frame and
+ * the oldest particles are simply overwritten when the pool is full.
+ *
+ * Effects built on it:
+ *   burst   pickups, power-ups, hits
+ *   trail   sparks behind the moving player
+ *   motes   slow ambient specks rising off the platform
+ */
+
+import * as THREE from 'three';
+
+const vertexShader = /* glsl */ `
+    attribute vec3 velocity;
+    attribute vec3 color;
+    attribute vec4 timing; // birth, life, size, gravity
+
+    uniform float time;
+    uniform float scale;
+
+    varying vec3 vColor;
+    varying float vFade;
+
+    void main() {
+        float age = time - timing.x;
+        vColor = color;
+        vFade = 1.0 - age / timing.y;
+
+        // Dead or not yet born: collapse it and let the fragment shader drop it
+        if (age < 0.0 || age > timing.y) {
+            gl_PointSize = 0.0;
+            gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+            return;
+        }
+
+        vec3 transformed = position + velocity * age;
+        transformed.y += 0.5 * timing.w * age * age;
+
+        vec4 mvPosition = modelViewMatrix * vec4(transformed, 1.0);
+        gl_PointSize = timing.z * scale / -mvPosition.z;
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+const fragmentShader = /* glsl */ `
+    varying vec3 vColor;
+    varying float vFade;
+
+    void main() {
+        float falloff = 1.0 - length(gl_PointCoord - 0.5) * 2.0;
+        if (falloff <= 0.0) discard;
+        gl_FragColor = vec4(vColor, vFade * min(1.0, falloff * 2.0));
+    }
+`;
+
+const scratchColor = new THREE.Color();
+
+/**
+ * The pool itself. `time` only moves when update() is called, so pausing the
+ * simulation freezes particles mid-flight.
+ */
+export class ParticleEmitter {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.next = 0; // Ring buffer write head
+        this.time = 0;
+        this.dirtyStart = -1; // First slot written since the last upload
+        this.dirtyCount = 0;
+
+        this.geometry = new THREE.BufferGeometry();
+        this.positions = this.addAttribute('position', 3);
+        this.velocities = this.addAttribute('velocity', 3);
+        this.colors = this.addAttribute('color', 3);
+        this.timings = this.addAttribute('timing', 4);
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                time: { value: 0 },
+                scale: { value: 1 }
+            },
+            vertexShader,
+            fragmentShader,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+
+        this.points = new THREE.Points(this.geometry, this.material);
+        this.points.frustumCulled = false; // Particles fly anywhere; the shader culls dead ones
+        this.clear();
+    }
+
+    addAttribute(name, itemSize) {
+        const attribute = new THREE.BufferAttribute(new Float32Array(this.capacity * itemSize), itemSize);
+        attribute.setUsage(THREE.DynamicDrawUsage);
+        this.geometry.setAttribute(name, attribute);
+        return attribute;
+    }
+
+    /**
+     * Start one particle.
+     * @param {number} x, y, z Spawn position
+     * @param {number} vx, vy, vz Velocity, units per second
+     * @param {number|THREE.Color} color
+     * @param {number} life Seconds
+     * @param {number} size World units
+     * @param {number} gravity Vertical acceleration, units per second²
+     */
+    emit(x, y, z, vx, vy, vz, color, life, size, gravity = 0) {
+        const i = this.next;
+        this.next = (i + 1) % this.capacity;
+
+        scratchColor.set(color);
+        this.positions.setXYZ(i, x, y, z);
+        this.velocities.setXYZ(i, vx, vy, vz);
+        this.colors.setXYZ(i, scratchColor.r, scratchColor.g, scratchColor.b);
+        this.timings.setXYZW(i, this.time, life, size, gravity);
+
+        if (this.dirtyStart < 0) this.dirtyStart = i;
+        this.dirtyCount = Math.min(this.dirtyCount + 1, this.capacity);
+    }
+
+    update(seconds) {
+        this.time += seconds;
+    }
+
+    /**
+     * Upload what was emitted since last frame and set the shader clock.
+     * @param {number} lead Seconds past `time` to draw at (render interpolation)
+     * @param {number} scale Half the drawing buffer height in pixels, as PointsMaterial uses
+     */
+    prepare(lead, scale) {
+        this.material.uniforms.time.value = this.time + lead;
+        this.material.uniforms.scale.value = scale;
+        if (this.dirtyCount === 0) return;
+
+        // At most two ranges: up to the end of the buffer, then from the start after wrapping
+        const first = Math.min(this.dirtyCount, this.capacity - this.dirtyStart);
+        const ranges = [[this.dirtyStart, first]];
+        if (first < this.dirtyCount) ranges.push([0, this.dirtyCount - first]);
+
+        [this.positions, this.velocities, this.colors, this.timings].forEach(attribute => {
+            attribute.clearUpdateRanges();
+            ranges.forEach(([start, count]) => {
+                attribute.addUpdateRange(start * attribute.itemSize, count * attribute.itemSize);
+            });
+            attribute.needsUpdate = true;
+        });
+        this.dirtyStart = -1;
+        this.dirtyCount = 0;
+    }
+
+    // Kill everything in flight, e.g. on a level change
+    clear() {
+        for (let i = 0; i < this.capacity; i++) {
+            this.timings.setXYZW(i, -1, 0, 0, 0);
+        }
+        this.next = 0;
+        this.dirtyStart = 0;
+        this.dirtyCount = this.capacity;
+    }
+
+    // Particles still alive; walks the whole pool, so only for the debug overlay
+    getActiveCount() {
+        let count = 0;
+        for (let i = 0; i < this.capacity; i++) {
+            if (this.time - this.timings.getX(i) <= this.timings.getY(i)) count++;
+        }
+        return count;
+    }
+
+    dispose() {
+        this.points.removeFromParent();
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+/**
+ * Gameplay-facing effects on top of one emitter, tuned by CONFIG.particles.
+ * Randomness here is cosmetic, so it uses Math.random and never touches the
+ * seeded simulation RNG.
+ */
+export class ParticleSystem {
+    constructor(scene, config) {
+        this.config = config;
+        this.emitter = new ParticleEmitter(config.capacity);
+        scene.add(this.emitter.points);
+        this.trailTicks = []; // Per trail source
+        this.moteBudget = 0;
+    }
+
+    // Sparks flying out of `position` and falling back
+    burst(position, color = 0x00f5ff, count = this.config.burst.count) {
+        const { speed, lift, gravity, life, size } = this.config.burst;
+        for (let i = 0; i < count; i++) {
+            this.emitter.emit(
+                position.x, position.y, position.z,
+                (Math.random() - 0.5) * speed,
+                lift[0] + Math.random() * (lift[1] - lift[0]),
+                (Math.random() - 0.5) * speed,
+                color, life, size, gravity
+            );
+        }
+    }
+
+    /**
+     * Called every tick for each player: drops a spark every few ticks while
+     * it's moving faster than `minSpeed`.
+     * @param {THREE.Vector3} velocity Units per tick
+     * @param {number} source Which player, so each keeps its own rhythm
+     */
+    trail(position, velocity, color, source = 0) {
+        const { interval, speed, life, size, minSpeed } = this.config.trail;
+        this.trailTicks[source] = (this.trailTicks[source] || 0) + 1;
+        if (this.trailTicks[source] < interval || Math.hypot(velocity.x, velocity.z) < minSpeed) return;
+        this.trailTicks[source] = 0;
+
+        this.emitter.emit(
+            position.x, position.y - 0.3, position.z,
+            (Math.random() - 0.5) * speed, Math.random() * speed, (Math.random() - 0.5) * speed,
+            color, life, size
+        );
+    }
+
+    /**
+     * Ambient specks over a disc of `radius`, `rate` per second on average.
+     * Called every tick; a rate of 0 turns them off.
+     */
+    motes(radius, rate, seconds) {
+        const { life, rise, drift, size, color } = this.config.motes;
+        this.moteBudget += rate * seconds;
+        while (this.moteBudget >= 1) {
+            this.moteBudget--;
+            const angle = Math.random() * Math.PI * 2;
+            const distance = Math.sqrt(Math.random()) * radius;
+            this.emitter.emit(
+                Math.cos(angle) * distance, 0.1, Math.sin(angle) * distance,
+                (Math.random() - 0.5) * drift, rise * (0.5 + Math.random()), (Math.random() - 0.5) * drift,
+                color, life, size
+            );
+        }
+    }
+
+    update(seconds) {
+        this.emitter.update(seconds);
+    }
+
+    prepare(lead, scale) {
+        this.emitter.prepare(lead, scale);
+    }
+
+    clear() {
+        this.emitter.clear();
+        this.moteBudget = 0;
+    }
+
+    getActiveCount() {
+        return this.emitter.getActiveCount();
+    }
+}
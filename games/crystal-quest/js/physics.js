@@ -0,0 +1,374 @@
+/**
+ * Crystal Quest - Physics
+ * The plain-number rules of a run: arena heights, player movement and the
+ * motion of obstacles that follow their spec. Nothing here needs three.js or
+ * a browser, so server/game-server.mjs runs this very code for online races -
+ * client prediction only holds while both sides compute the same numbers.
+ *
+ * Players are plain objects (the game's Player has the same fields):
+ *   { position: { x, y, z }, velocity: { x, z }, input: { x, z }, feet,
+ *     verticalSpeed, grounded, lastGroundedAt }
+ * `physics` holds CONFIG.player's numbers: size, acceleration, friction,
+ * gravity, jumpSpeed, stepHeight, coyoteTime.
+ *
+ * Obstacle shapes (see getShape()) are plain too:
+ *   { kind: 'box',      x, y, z, heading, halfX, halfY, halfZ }   turned `heading` about y
+ *   { kind: 'cylinder', x, y, z, radius, halfHeight }
+ */
+
+// ============================================
+// Arena heights (surfaces as in arena.js)
+// ============================================
+
+// Top height of `surface` at (x, z), or -Infinity outside it
+export function surfaceTop(surface, x, z) {
+    const dx = x - surface.x;
+    const dz = z - surface.z;
+
+    if (surface.kind === 'disc') {
+        return dx * dx + dz * dz <= surface.radius * surface.radius ? surface.top : -Infinity;
+    }
+    if (surface.kind === 'polygon') {
+        return Math.hypot(dx, dz) <= getPolygonEdge(surface, Math.atan2(dz, dx)) ? surface.top : -Infinity;
+    }
+
+    // Box: into its own frame, u along the length
+    const cos = Math.cos(surface.angle);
+    const sin = Math.sin(surface.angle);
+    const u = dx * cos + dz * sin;
+    const v = -dx * sin + dz * cos;
+    if (Math.abs(u) > surface.length / 2 || Math.abs(v) > surface.width / 2) return -Infinity;
+    return surface.top + (u / surface.length + 0.5) * (surface.topEnd - surface.top);
+}
+
+// Distance from a polygon's centre to its edge in the direction of `angle`
+export function getPolygonEdge({ radius, sides }, angle) {
+    // CylinderGeometry places corners at PI/2 - k * (2PI / sides)
+    const segment = (Math.PI * 2) / sides;
+    const relative = (((angle - Math.PI / 2) % segment) + segment) % segment;
+    const apothem = radius * Math.cos(Math.PI / sides);
+    return apothem / Math.cos(relative - segment / 2);
+}
+
+// Highest surface top at (x, z); -Infinity over open air
+export function getHeight(surfaces, x, z) {
+    let top = -Infinity;
+    for (let i = 0; i < surfaces.length; i++) {
+        top = Math.max(top, surfaceTop(surfaces[i], x, z));
+    }
+    return top;
+}
+
+// ============================================
+// Player movement
+// ============================================
+
+// Ground at (x, z) too high above the player's feet to step up onto
+export function isWall(surfaces, physics, player, x, z) {
+    return getHeight(surfaces, x, z) > player.feet + physics.stepHeight;
+}
+
+// Gravity, jumping and landing; returns true on take-off
+export function updateHeight(surfaces, physics, player, jump, time) {
+    const { gravity, jumpSpeed, stepHeight, coyoteTime } = physics;
+    const { x, z } = player.position;
+    const ground = getHeight(surfaces, x, z);
+
+    // Stay on the ground while it's within a step, so ramps and small drops don't become falls
+    if (player.grounded) {
+        if (ground >= player.feet - stepHeight) {
+            player.feet = ground;
+            player.lastGroundedAt = time;
+        } else {
+            player.grounded = false;
+            player.verticalSpeed = 0;
+        }
+    }
+
+    const jumped = jump && time - player.lastGroundedAt <= coyoteTime;
+    if (jumped) {
+        player.grounded = false;
+        player.lastGroundedAt = -Infinity; // One jump per take-off
+        player.verticalSpeed = jumpSpeed;
+    }
+    if (player.grounded) return jumped;
+
+    const previous = player.feet;
+    player.verticalSpeed -= gravity;
+    player.feet += player.verticalSpeed;
+
+    // Land on whatever the feet passed through this tick
+    if (player.verticalSpeed <= 0 && player.feet <= ground && previous >= ground - stepHeight) {
+        player.feet = ground;
+        player.verticalSpeed = 0;
+        player.grounded = true;
+        player.lastGroundedAt = time;
+    }
+    return jumped;
+}
+
+/**
+ * One tick of a player's physics from their input and the jump button: acceleration,
+ * friction, walls, gravity and jumps. Returns true if the player jumped. Leaves
+ * position.y alone; the ball's centre is `feet + physics.size`.
+ */
+export function movePlayer(surfaces, physics, player, maxSpeed, jump, time) {
+    const { input, velocity, position } = player;
+
+    // Apply acceleration based on input
+    if (Math.sqrt(input.x * input.x + input.z * input.z) > 0) {
+        velocity.x += input.x * physics.acceleration;
+        velocity.z += input.z * physics.acceleration;
+    }
+
+    // Apply friction for smooth deceleration
+    velocity.x *= physics.friction;
+    velocity.z *= physics.friction;
+
+    // Clamp to max speed
+    const speed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+    if (speed > maxSpeed) {
+        const scale = maxSpeed / speed;
+        velocity.x *= scale;
+        velocity.z *= scale;
+    }
+
+    // Apply velocity to position, one axis at a time so the player slides along walls.
+    // Walls are felt at the front of the ball, edges are only dropped off at its centre
+    const front = physics.size;
+    if (isWall(surfaces, physics, player, position.x + velocity.x + Math.sign(velocity.x) * front, position.z)) {
+        velocity.x = 0;
+    } else {
+        position.x += velocity.x;
+    }
+    if (isWall(surfaces, physics, player, position.x, position.z + velocity.z + Math.sign(velocity.z) * front)) {
+        velocity.z = 0;
+    } else {
+        position.z += velocity.z;
+    }
+
+    return updateHeight(surfaces, physics, player, jump, time);
+}
+
+// ============================================
+// Obstacle motion
+// ============================================
+
+// Orbiter sizes by type (width, height, depth)
+export const ORBIT_SHAPES = {
+    wall: [0.5, 2, 2],
+    cube: [1.2, 1.2, 1.2]
+};
+
+const ORBIT_DEFAULTS = { radius: 8, angle: 0, speed: 0.01, direction: 1 };
+
+// Spec defaults by obstacle type; all numbers but a patrol's path and loop
+export const MOTION_DEFAULTS = {
+    wall: ORBIT_DEFAULTS,
+    cube: ORBIT_DEFAULTS,
+    sweeper: { x: 0, z: 0, length: 6, angle: 0, speed: 0.01, direction: 1, width: 0.3 },
+    hazard: { x: 0, z: 0, radius: 2.5, period: 4, active: 0.35, warning: 0.25, offset: 0 },
+    patrol: { path: [{ x: -5, z: 0 }, { x: 5, z: 0 }], speed: 0.06, length: 3, loop: false }
+};
+
+function boxShape(halfX, halfY, halfZ) {
+    return { kind: 'box', x: 0, y: 0, z: 0, heading: 0, halfX, halfY, halfZ };
+}
+
+// Motions advance like Obstacle.update() (same context: `time` is the obstacle clock,
+// `timeScale` the share of a normal tick) and keep their spec with the defaults filled
+// in. getShape() is this tick's shape, or null while harmless.
+
+// Wall or cube circling the platform centre, facing it
+export class OrbitMotion {
+    constructor(spec) {
+        this.spec = { ...ORBIT_DEFAULTS, ...spec };
+        this.size = ORBIT_SHAPES[this.spec.type] || ORBIT_SHAPES.wall;
+        const [width, height, depth] = this.size;
+        this.shape = boxShape(width / 2, height / 2, depth / 2);
+        this.angle = this.spec.angle;
+        this.place();
+    }
+
+    place() {
+        const { radius } = this.spec;
+        this.shape.x = Math.cos(this.angle) * radius;
+        this.shape.y = 1;
+        this.shape.z = Math.sin(this.angle) * radius;
+        this.shape.heading = this.angle + Math.PI / 2;
+    }
+
+    update({ timeScale }) {
+        this.angle += this.spec.speed * this.spec.direction * timeScale;
+        this.place();
+    }
+
+    getShape() {
+        return this.shape;
+    }
+}
+
+// Beam spinning around a pivot post; turning by `heading` points it at (cos, -sin)
+export class SweeperMotion {
+    constructor(spec) {
+        this.spec = { ...MOTION_DEFAULTS.sweeper, ...spec };
+        const { length, width } = this.spec;
+        this.shape = boxShape(length / 2, 0.3, width / 2);
+        this.angle = this.spec.angle;
+        this.place();
+    }
+
+    // The beam's box is centred half a length out from the post
+    place() {
+        const { x, z, length } = this.spec;
+        this.shape.x = x + Math.cos(this.angle) * length / 2;
+        this.shape.y = 0.6;
+        this.shape.z = z - Math.sin(this.angle) * length / 2;
+        this.shape.heading = this.angle;
+    }
+
+    update({ timeScale }) {
+        this.angle += this.spec.speed * this.spec.direction * timeScale;
+        this.place();
+    }
+
+    getShape() {
+        return this.shape;
+    }
+}
+
+// Floor zone that cycles idle -> warning -> active, deadly only while active
+export class HazardMotion {
+    constructor(spec) {
+        this.spec = { ...MOTION_DEFAULTS.hazard, ...spec };
+        const { x, z, radius } = this.spec;
+        // Thin disc at floor level - deadly to stand on, not to brush past
+        this.shape = { kind: 'cylinder', x, y: 0, z, radius, halfHeight: 0.25 };
+        this.phase = 'idle';
+    }
+
+    update({ time }) {
+        const { period, active, warning, offset } = this.spec;
+        const cycle = (((time + offset) % period) + period) % period / period;
+
+        if (cycle >= 1 - active) {
+            this.phase = 'active';
+        } else if (cycle >= 1 - active - warning) {
+            this.phase = 'warning';
+        } else {
+            this.phase = 'idle';
+        }
+    }
+
+    getShape() {
+        return this.phase === 'active' ? this.shape : null;
+    }
+}
+
+function distanceXZ(a, x, z) {
+    return Math.hypot(a.x - x, a.z - z);
+}
+
+// The waypoints minus zero-length legs, which update() could never get past
+export function patrolWaypoints(path, loop) {
+    const points = path.filter((point, i) => i === 0 || distanceXZ(point, path[i - 1].x, path[i - 1].z) > 0);
+    while (loop && points.length > 1 && distanceXZ(points[points.length - 1], points[0].x, points[0].z) === 0) points.pop();
+    if (points.length < 2) throw new Error('A patrol path needs at least 2 different waypoints');
+    return points;
+}
+
+// Wall segment shuttling along waypoints, broadside to its direction of travel
+export class PatrolMotion {
+    constructor(spec) {
+        this.spec = { ...MOTION_DEFAULTS.patrol, ...spec };
+        const path = patrolWaypoints(this.spec.path, this.spec.loop);
+        this.path = path;
+        this.shape = boxShape(this.spec.length / 2, 0.8, 0.25);
+        this.shape.x = path[0].x;
+        this.shape.y = 0.8;
+        this.shape.z = path[0].z;
+        this.target = 1;
+        this.step = 1; // +1 forward along the path, -1 on the way back
+        this.face(path[1]);
+    }
+
+    // Heading modulo PI - the box is symmetric, so reversing never flips it
+    face(waypoint) {
+        const { shape } = this;
+        const heading = Math.atan2(waypoint.x - shape.x, waypoint.z - shape.z);
+        shape.heading = ((heading % Math.PI) + Math.PI) % Math.PI;
+    }
+
+    nextTarget() {
+        const last = this.path.length - 1;
+        if (this.spec.loop) {
+            this.target = (this.target + 1) % (last + 1);
+            return;
+        }
+        if (this.target + this.step > last || this.target + this.step < 0) this.step = -this.step;
+        this.target += this.step;
+    }
+
+    update({ timeScale }) {
+        const { shape } = this;
+        let remaining = this.spec.speed * timeScale;
+
+        while (remaining > 0) {
+            const waypoint = this.path[this.target];
+            const distance = distanceXZ(shape, waypoint.x, waypoint.z);
+            if (distance > remaining) {
+                shape.x += ((waypoint.x - shape.x) / distance) * remaining;
+                shape.z += ((waypoint.z - shape.z) / distance) * remaining;
+                break;
+            }
+
+            shape.x = waypoint.x;
+            shape.z = waypoint.z;
+            remaining -= distance;
+            this.nextTarget();
+            this.face(this.path[this.target]);
+        }
+    }
+
+    getShape() {
+        return this.shape;
+    }
+}
+
+// Obstacle types that move by their spec alone; chasers follow the players, so they aren't here
+export const OBSTACLE_MOTIONS = {
+    wall: OrbitMotion,
+    cube: OrbitMotion,
+    sweeper: SweeperMotion,
+    hazard: HazardMotion,
+    patrol: PatrolMotion
+};
+
+export function createMotion(spec) {
+    const Motion = OBSTACLE_MOTIONS[spec.type];
+    if (!Motion) throw new Error(`Obstacle type "${spec.type}" has no spec-driven motion`);
+    return new Motion(spec);
+}
+
+// Whether a ball at (x, y, z) overlaps `shape`; the same answer collision.js gives for its colliders
+export function sphereTouches(shape, x, y, z, radius) {
+    const dx = x - shape.x;
+    const dy = y - shape.y;
+    const dz = z - shape.z;
+
+    if (shape.kind === 'cylinder') {
+        const outSide = Math.hypot(dx, dz) - shape.radius;
+        const outCap = Math.abs(dy) - shape.halfHeight;
+        if (outSide > 0 && outCap > 0) return Math.hypot(outSide, outCap) < radius;
+        return Math.max(outSide, outCap) < radius;
+    }
+
+    // Box: into its own frame, undoing the turn about y
+    const cos = Math.cos(shape.heading);
+    const sin = Math.sin(shape.heading);
+    const outX = Math.abs(dx * cos - dz * sin) - shape.halfX;
+    const outY = Math.abs(dy) - shape.halfY;
+    const outZ = Math.abs(dx * sin + dz * cos) - shape.halfZ;
+    if (outX <= 0 && outY <= 0 && outZ <= 0) return true; // Centre inside
+    return Math.hypot(Math.max(outX, 0), Math.max(outY, 0), Math.max(outZ, 0)) < radius;
+}
@@ -0,0 +1,319 @@
+/**
+ * Crystal Quest - Power-ups
+ * Pickups that grant a timed effect. The game only talks to PowerUpManager
+ * (update, modify, absorbHit); everything a power-up does lives in its
+ * POWERUP_TYPES entry, so adding one never touches the core loop.
+ *
+ * A type is plain data plus optional hooks, each called with (effect, game):
+ *   label, icon, color, duration   HUD chip, pickup tint and seconds the effect lasts; the
+ *                                  player sees the "powerups.<key>" translation of the label
+ *   createVisual()                 Object3D attached to the player while active
+ *   activate / tick / expire       effect start, every simulation tick, end
+ *   absorbHit                      return true to cancel a hit (knockback or lost life)
+ *   modifiers                      { name: (value, effect, game) => value }, see modify()
+ *
+ * `effect` is { type, key, player, remaining, visual } and hooks may keep their own
+ * state on it. Effects belong to the player who picked them up (local versus
+ * runs have two); hooks read that player's movement from `effect.player`.
+ * Picking up a type that player already has refreshes its timer.
+ */
+
+import * as THREE from 'three';
+import { t } from './i18n.js';
+import { BUTTONS } from './replay.js';
+
+const dashDirection = new THREE.Vector3();
+
+function ringVisual(color, radius, tube, opacity) {
+    return new THREE.Mesh(
+        new THREE.TorusGeometry(radius, tube, 8, 32),
+        new THREE.MeshBasicMaterial({ color, transparent: true, opacity })
+    );
+}
+
+export const POWERUP_TYPES = {
+    // Bubble that pops instead of the player
+    shield: {
+        label: 'Shield',
+        icon: '🛡',
+        color: 0x4da6ff,
+        duration: 15,
+        createVisual() {
+            return new THREE.Mesh(
+                new THREE.SphereGeometry(0.95, 16, 12),
+                new THREE.MeshBasicMaterial({ color: 0x4da6ff, transparent: true, opacity: 0.25, depthWrite: false })
+            );
+        },
+        absorbHit(effect) {
+            effect.remaining = 0;
+            return true;
+        }
+    },
+
+    // Nearby crystals drift towards the player
+    magnet: {
+        label: 'Magnet',
+        icon: '🧲',
+        color: 0xffc233,
+        duration: 8,
+        radius: 6,
+        pull: 0.12, // Units per tick
+        createVisual() {
+            const ring = ringVisual(0xffc233, 1, 0.05, 0.7);
+            ring.rotation.x = Math.PI / 2;
+            return ring;
+        },
+        tick(effect, game) {
+            const { position } = effect.player;
+            let moved = false;
+
+            game.state.crystals.forEach(crystal => {
+                if (crystal.userData.collected) return;
+                const dx = position.x - crystal.position.x;
+                const dz = position.z - crystal.position.z;
+                const distance = Math.hypot(dx, dz);
+                if (distance > this.radius || distance === 0) return;
+
+                const step = Math.min(this.pull, distance);
+                crystal.position.x += (dx / distance) * step;
+                crystal.position.z += (dz / distance) * step;
+                moved = true;
+            });
+
+            if (moved) game.crystalsMoved = true;
+            effect.visual.rotation.z += 0.1;
+        }
+    },
+
+    // Press dash for a burst of speed, with a short cooldown
+    dash: {
+        label: 'Dash',
+        icon: '💨',
+        color: 0x4dffc3,
+        duration: 12,
+        impulse: 0.45,
+        cooldown: 0.75, // Seconds between dashes
+        burst: 0.25, // Seconds the speed cap is lifted after a dash
+        createVisual() {
+            const ring = ringVisual(0x4dffc3, 0.7, 0.04, 0.8);
+            ring.rotation.x = Math.PI / 2;
+            ring.position.y = -0.4;
+            return ring;
+        },
+        activate(effect) {
+            effect.readyAt = 0;
+            effect.burstUntil = 0;
+        },
+        tick(effect, game) {
+            const { player } = effect;
+            const time = game.state.simTime;
+            effect.visual.visible = time >= effect.readyAt; // Ring shows while a dash is ready
+            if (!(player.buttons & BUTTONS.dash) || time < effect.readyAt) return;
+
+            // Dash where the stick points, or keep going the way we're moving
+            dashDirection.set(player.input.x, 0, player.input.z);
+            if (dashDirection.lengthSq() === 0) dashDirection.copy(player.velocity).setY(0);
+            if (dashDirection.lengthSq() === 0) return;
+
+            player.velocity.addScaledVector(dashDirection.normalize(), this.impulse);
+            effect.readyAt = time + this.cooldown;
+            effect.burstUntil = time + this.burst;
+            game.particleSystem.burst(player.position, this.color);
+            game.audio.whoosh(0, 0.6);
+            game.vibrate(30);
+        },
+        modifiers: {
+            maxSpeed: (value, effect, game) => game.state.simTime < effect.burstUntil ? value * 2.5 : value
+        }
+    },
+
+    // Obstacles crawl while it lasts, for everyone
+    slowTime: {
+        label: 'Slow-mo',
+        icon: '⏳',
+        color: 0xb36bff,
+        duration: 6,
+        createVisual() {
+            return new THREE.Mesh(
+                new THREE.IcosahedronGeometry(0.85, 0),
+                new THREE.MeshBasicMaterial({ color: 0xb36bff, wireframe: true, transparent: true, opacity: 0.6 })
+            );
+        },
+        tick(effect) {
+            effect.visual.rotation.y -= 0.03;
+        },
+        modifiers: {
+            obstacleTimeScale: (value) => value * 0.4
+        }
+    }
+};
+
+export class PowerUpManager {
+    constructor(game) {
+        this.game = game;
+        this.pickups = [];
+        this.effects = []; // Active effects of every player, in pickup order
+    }
+
+    // Drop pickups and end every effect without running expire hooks (level change)
+    reset() {
+        this.effects.forEach(effect => this.detachVisual(effect));
+        this.effects = [];
+        this.pickups = []; // Meshes belong to the level group, which is released with the level
+    }
+
+    /**
+     * Place pickups for a level.
+     * @param {{ type: string, x: number, y?: number, z: number }[]} layout y is the ground under the spot
+     */
+    spawn(layout, group) {
+        const { resources } = this.game;
+        const geometry = resources.getGeometry('powerup', () => new THREE.OctahedronGeometry(0.35, 0));
+        const ringGeometry = resources.getGeometry('powerup-ring', () => new THREE.TorusGeometry(0.55, 0.03, 8, 32));
+
+        layout.forEach(spot => {
+            const type = POWERUP_TYPES[spot.type];
+            if (!type) throw new Error(`Unknown power-up type "${spot.type}"`);
+
+            const mesh = new THREE.Mesh(geometry, resources.getMaterial(`powerup:${spot.type}`, () => new THREE.MeshPhongMaterial({
+                color: type.color,
+                emissive: type.color,
+                emissiveIntensity: 0.6,
+                flatShading: true
+            })));
+            mesh.add(new THREE.Mesh(ringGeometry, resources.getMaterial(`powerup-ring:${spot.type}`, () => (
+                new THREE.MeshBasicMaterial({ color: type.color, transparent: true, opacity: 0.6 })
+            ))));
+            const baseY = (spot.y ?? 0) + 0.9;
+            mesh.position.set(spot.x, baseY, spot.z);
+            group.add(mesh);
+
+            this.pickups.push({
+                key: spot.type,
+                mesh,
+                baseY,
+                collected: false,
+                collider: { kind: 'sphere', center: mesh.position, radius: 0.6 }
+            });
+        });
+    }
+
+    // Meshes that move every tick, for render interpolation
+    getObjects() {
+        return this.pickups.filter(pickup => !pickup.collected).map(pickup => pickup.mesh);
+    }
+
+    /**
+     * One simulation tick: spin pickups, collect the ones a player touches
+     * (`touches(player, collider)` runs the game's sphere test), then run effect hooks.
+     */
+    update(touches) {
+        const time = this.game.state.simTime;
+
+        this.pickups.forEach(pickup => {
+            if (pickup.collected) return;
+            pickup.mesh.rotation.y += 0.04;
+            pickup.mesh.position.y = pickup.baseY + Math.sin(time * 2.5 + pickup.mesh.position.x) * 0.15;
+
+            const player = this.game.players.find(candidate => !candidate.out && touches(candidate, pickup.collider));
+            if (player) {
+                pickup.collected = true;
+                pickup.mesh.visible = false;
+                this.activate(pickup.key, player);
+            }
+        });
+
+        this.effects.forEach(effect => {
+            if (effect.type.tick) effect.type.tick(effect, this.game);
+            effect.remaining -= this.game.tickSeconds;
+        });
+        this.effects.filter(effect => effect.remaining <= 0).forEach(effect => this.expire(effect));
+    }
+
+    // Reduced motion: pickups drawn level and still; only between interpolation and render,
+    // since the bob is part of the simulated position
+    holdDecorations() {
+        this.pickups.forEach(pickup => {
+            if (pickup.collected) return;
+            pickup.mesh.position.y = pickup.baseY;
+            pickup.mesh.quaternion.identity();
+        });
+    }
+
+    activate(key, player) {
+        const type = POWERUP_TYPES[key];
+        const existing = this.effects.find(effect => effect.key === key && effect.player === player);
+        if (existing) {
+            existing.remaining = type.duration;
+        } else {
+            const effect = { type, key, player, remaining: type.duration, visual: null };
+            if (type.createVisual) {
+                effect.visual = type.createVisual();
+                player.mesh.add(effect.visual);
+            }
+            if (type.activate) type.activate(effect, this.game);
+            this.effects.push(effect);
+        }
+
+        this.game.particleSystem.burst(player.position, type.color);
+        this.game.audio.powerUp();
+        this.game.showPopup(t('popups.powerup', { icon: type.icon, name: t(`powerups.${key}`) }), player);
+    }
+
+    expire(effect) {
+        this.effects.splice(this.effects.indexOf(effect), 1);
+        if (effect.type.expire) effect.type.expire(effect, this.game);
+        this.detachVisual(effect);
+    }
+
+    detachVisual(effect) {
+        if (!effect.visual) return;
+        this.game.resources.release(effect.visual);
+        effect.visual = null;
+    }
+
+    // End a player's effects early, e.g. when they are out of a versus run
+    clear(player) {
+        this.effects.filter(effect => effect.player === player).forEach(effect => this.expire(effect));
+    }
+
+    // Effects of one player, or of everyone when `player` is null
+    getEffects(player) {
+        return player ? this.effects.filter(effect => effect.player === player) : this.effects;
+    }
+
+    isActive(key, player) {
+        return this.getEffects(player).some(effect => effect.key === key);
+    }
+
+    /**
+     * Fold `value` through every active effect's modifier of that name.
+     * Pass a player for values about them (maxSpeed); null folds in every
+     * player's effects, for values about the world (obstacleTimeScale).
+     */
+    modify(name, value, player = null) {
+        return this.getEffects(player).reduce((result, effect) => {
+            const modifier = effect.type.modifiers && effect.type.modifiers[name];
+            return modifier ? modifier(result, effect, this.game) : result;
+        }, value);
+    }
+
+    // First of the player's effects that cancels the hit uses itself up
+    absorbHit(player) {
+        const effect = this.getEffects(player).find(active => active.type.absorbHit && active.type.absorbHit(active, this.game));
+        if (!effect) return false;
+        if (effect.remaining <= 0) this.expire(effect);
+        return true;
+    }
+
+    // Remaining time per active effect of a player for the HUD
+    getTimers(player) {
+        return this.getEffects(player).map(({ key, type, remaining }) => ({
+            key,
+            icon: type.icon,
+            label: t(`powerups.${key}`),
+            remaining: Math.max(0, remaining),
+            fraction: Math.max(0, remaining) / type.duration
+        }));
+    }
+}
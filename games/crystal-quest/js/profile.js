@@ -0,0 +1,184 @@
+/**
+ * Crystal Quest - Player Profile
+ * Best scores, fastest clears, lifetime stats and campaign progress,
+ * persisted to localStorage as one versioned JSON document.
+ *
+ * Schema (version 1):
+ *   {
+ *     "version": 1,
+ *     "stats": { "runs", "wins", "deaths", "crystals", "playTime" },   playTime in seconds
+ *     "bests": { "<mode>:<level or seed>": { "score", "time", "date" } },  time = fastest clear
+ *     "unlockedLevels": 1
+ *   }
+ *
+ * To change the schema, bump PROFILE_VERSION and add a MIGRATIONS entry that
+ * upgrades the previous version; saved and imported profiles are walked
+ * through every step in order.
+ */
+
+const STORAGE_KEY = 'crystalQuest.profile';
+const LEGACY_PROGRESS_KEY = 'crystalQuest.unlockedLevels';
+
+export const PROFILE_VERSION = 1;
+
+const STAT_KEYS = ['runs', 'wins', 'deaths', 'crystals', 'playTime'];
+
+// MIGRATIONS[n] upgrades a version n document to version n + 1
+const MIGRATIONS = {
+    // 0: campaign progress stored on its own before profiles existed
+    0: (data) => ({
+        version: 1,
+        stats: { runs: 0, wins: 0, deaths: 0, crystals: 0, playTime: 0 },
+        bests: {},
+        unlockedLevels: Math.max(1, parseInt(data.unlockedLevels, 10) || 1)
+    })
+};
+
+export class Profile {
+    constructor() {
+        this.data = this.load();
+    }
+
+    static migrate(data) {
+        if (!data || typeof data !== 'object' || data.version === undefined) {
+            throw new Error('Profile is missing its version');
+        }
+        if (!Number.isInteger(data.version) || data.version < 0) {
+            throw new Error('Profile version must be a whole number of 0 or more');
+        }
+        if (data.version > PROFILE_VERSION) {
+            throw new Error(`Profile is from a newer version of the game (v${data.version})`);
+        }
+
+        let migrated = data;
+        while (migrated.version < PROFILE_VERSION) {
+            const migration = MIGRATIONS[migrated.version];
+            if (!migration) throw new Error(`Profile version ${migrated.version} can't be upgraded`);
+            migrated = migration(migrated);
+        }
+        return Profile.validate(migrated);
+    }
+
+    // Throws unless every field of a current-version profile can be counted on
+    static validate(data) {
+        const { stats, bests, unlockedLevels } = data;
+        if (!stats || typeof stats !== 'object') throw new Error('Profile is missing its stats');
+        STAT_KEYS.forEach(key => {
+            if (!Number.isFinite(stats[key]) || stats[key] < 0) {
+                throw new Error(`Profile stat "${key}" must be a number of 0 or more`);
+            }
+        });
+
+        if (!Number.isInteger(unlockedLevels) || unlockedLevels < 1) {
+            throw new Error('Profile unlockedLevels must be a whole number of 1 or more');
+        }
+
+        if (!bests || typeof bests !== 'object' || Array.isArray(bests)) throw new Error('Profile is missing its bests');
+        Object.entries(bests).forEach(([key, best]) => {
+            const valid = best && typeof best === 'object' && Number.isFinite(best.score) &&
+                (best.time === null || Number.isFinite(best.time));
+            if (!valid) throw new Error(`Profile best "${key}" needs a numeric score and a time that is a number or null`);
+        });
+        return data;
+    }
+
+    // Saved profiles go through the same checks as imports, so bad counters never reach the stats
+    load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) return Profile.migrate(JSON.parse(saved));
+
+            const legacy = localStorage.getItem(LEGACY_PROGRESS_KEY);
+            const profile = Profile.migrate({ version: 0, unlockedLevels: legacy });
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+            localStorage.removeItem(LEGACY_PROGRESS_KEY);
+            return profile;
+        } catch (e) {
+            // Corrupt or unavailable storage - start fresh for this session
+            return Profile.migrate({ version: 0 });
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.data));
+        } catch (e) {
+            // Storage unavailable (private mode) - profile lasts for this session only
+        }
+    }
+
+    get stats() {
+        return this.data.stats;
+    }
+
+    get unlockedLevels() {
+        return this.data.unlockedLevels;
+    }
+
+    unlockLevels(count) {
+        if (count <= this.data.unlockedLevels) return false;
+        this.data.unlockedLevels = count;
+        this.save();
+        return true;
+    }
+
+    getBest(key) {
+        return this.data.bests[key] || null;
+    }
+
+    /**
+     * Fold a finished run into the stats and bests.
+     * @returns {{ score: boolean, time: boolean }} Which records were beaten
+     */
+    recordRun({ key, won, score, time, crystals }) {
+        const { stats } = this.data;
+        stats.runs++;
+        stats.crystals += crystals;
+        stats.playTime += time;
+        if (won) {
+            stats.wins++;
+        } else {
+            stats.deaths++;
+        }
+
+        const best = this.data.bests[key] || { score: 0, time: null, date: null };
+        const records = {
+            score: score > best.score,
+            time: won && (best.time === null || time < best.time)
+        };
+
+        if (records.score) best.score = score;
+        if (records.time) best.time = time;
+        if (records.score || records.time) {
+            best.date = new Date().toISOString();
+            this.data.bests[key] = best;
+        }
+
+        this.save();
+        return records;
+    }
+
+    // Runs left early (restart, quit) still count towards crystals and play time
+    recordAbandoned({ time, crystals }) {
+        this.data.stats.crystals += crystals;
+        this.data.stats.playTime += time;
+        this.save();
+    }
+
+    export() {
+        return JSON.stringify(this.data, null, 2);
+    }
+
+    // Replace the profile with an exported one; throws with a readable message on bad files
+    import(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Profile file is not valid JSON');
+        }
+
+        this.data = Profile.migrate(data);
+        this.save();
+    }
+}
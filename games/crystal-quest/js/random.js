@@ -0,0 +1,51 @@
+/**
+ * Crystal Quest - Seeded Random
+ * Deterministic PRNG (mulberry32) so a layout can be rebuilt from its seed
+ */
+
+// FNV-1a hash of a seed string into an unsigned 32-bit integer
+export function hashSeed(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Seeds a run can be shared and ranked with: they go into leaderboard boards ("daily:<seed>")
+export const SEED_PATTERN = /^[\w-]{1,64}$/;
+
+// Short, URL-friendly seed for runs that weren't given one
+export function createSeed() {
+    return Math.floor(Math.random() * 0xffffffff).toString(36);
+}
+
+// Same seed for every player on a given UTC day
+export function getDailySeed(date = new Date()) {
+    return `daily-${date.toISOString().slice(0, 10)}`;
+}
+
+export class SeededRandom {
+    constructor(seed = createSeed()) {
+        this.setSeed(seed);
+    }
+
+    setSeed(seed) {
+        this.seed = String(seed);
+        this.state = hashSeed(this.seed);
+    }
+
+    // Float in [0, 1), drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+}
@@ -0,0 +1,206 @@
+/**
+ * Crystal Quest - Input Replays
+ * A run is fully described by its layout seed plus one movement input per
+ * simulation tick, so replaying means feeding those inputs back into the
+ * same fixed-step update functions.
+ *
+ * File format (JSON):
+ *   {
+ *     "format": "crystal-quest-replay",
+ *     "version": 6,                REPLAY_VERSION
+ *     "seed": "k3j9x1",            layout seed (GameState.seed)
+ *     "mode": "campaign",          'campaign' | 'daily' | 'custom'; a custom replay only
+ *                                  plays with that level (matched by levelId) loaded
+ *     "level": 0,                  level index (0 for daily and custom runs)
+ *     "levelId": "first-light",
+ *     "difficulty": "normal",      lives and obstacle speed preset
+ *     "tickRate": 60,
+ *     "tuning": { ... },           device-dependent values the run was simulated with
+ *     "ticks": 1834,               number of recorded inputs
+ *     "input": "<base64>",         run-length encoded inputs and buttons, see encodeInputs()
+ *     "outcome": { "result": "win", "score": 10, "tick": 1834, "reason": null }
+ *                                  result 'win' | 'lose'; may be null, then playback
+ *                                  stops at the last input
+ *   }
+ *
+ * Each input axis is quantized to an int8 (-127..127). Live play uses the
+ * quantized value too, so the recording reproduces the run exactly.
+ * One-shot actions that affect the simulation (dash, jump) are a BUTTONS mask per tick.
+ */
+
+import { hashSeed } from './random.js';
+
+export const REPLAY_FORMAT = 'crystal-quest-replay';
+export const REPLAY_VERSION = 6; // Bumped whenever simulation changes would make older replays play out differently
+
+const AXIS_SCALE = 127;
+const MAX_RUN = 0xffff;
+const STRIDE = 3; // x, z, buttons
+
+// Bits of the per-tick button mask
+export const BUTTONS = {
+    dash: 1,
+    jump: 2
+};
+
+export function quantizeAxis(value) {
+    return Math.max(-AXIS_SCALE, Math.min(AXIS_SCALE, Math.round(value * AXIS_SCALE)));
+}
+
+function sameInput(inputs, a, b) {
+    for (let k = 0; k < STRIDE; k++) {
+        if (inputs[a * STRIDE + k] !== inputs[b * STRIDE + k]) return false;
+    }
+    return true;
+}
+
+// Inputs as [runLength (uint16 LE), x (int8), z (int8), buttons (uint8)] groups, base64 encoded
+function encodeInputs(inputs, ticks) {
+    const bytes = [];
+    let i = 0;
+    while (i < ticks) {
+        let run = 1;
+        while (i + run < ticks && run < MAX_RUN && sameInput(inputs, i, i + run)) {
+            run++;
+        }
+        bytes.push(run & 0xff, run >> 8);
+        for (let k = 0; k < STRIDE; k++) {
+            bytes.push(inputs[i * STRIDE + k] & 0xff);
+        }
+        i += run;
+    }
+
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
+
+function decodeInputs(base64, ticks) {
+    const binary = atob(base64);
+    const inputs = new Int8Array(ticks * STRIDE);
+    const group = 2 + STRIDE;
+    let tick = 0;
+
+    for (let i = 0; i + group - 1 < binary.length; i += group) {
+        const run = binary.charCodeAt(i) | (binary.charCodeAt(i + 1) << 8);
+        for (let r = 0; r < run && tick < ticks; r++, tick++) {
+            for (let k = 0; k < STRIDE; k++) {
+                inputs[tick * STRIDE + k] = (binary.charCodeAt(i + 2 + k) << 24) >> 24;
+            }
+        }
+    }
+
+    if (tick !== ticks) {
+        throw new Error(`Replay input is truncated (${tick} of ${ticks} ticks)`);
+    }
+    return inputs;
+}
+
+export class Replay {
+    constructor(header, inputs, ticks, outcome = null) {
+        this.header = header;
+        this.inputs = inputs;
+        this.ticks = ticks;
+        this.outcome = outcome;
+    }
+
+    // Write the input for `tick` into `target` (anything with x/z)
+    getInput(tick, target) {
+        target.x = (this.inputs[tick * STRIDE] || 0) / AXIS_SCALE;
+        target.z = (this.inputs[tick * STRIDE + 1] || 0) / AXIS_SCALE;
+        return target;
+    }
+
+    // BUTTONS mask pressed on `tick`
+    getButtons(tick) {
+        return (this.inputs[tick * STRIDE + 2] || 0) & 0xff;
+    }
+
+    getDuration() {
+        return this.ticks / this.header.tickRate;
+    }
+
+    // Short fingerprint of the run, sent with leaderboard scores so a server can ask for the full replay
+    getHash() {
+        return hashSeed(JSON.stringify(this)).toString(16).padStart(8, '0');
+    }
+
+    toJSON() {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            ...this.header,
+            ticks: this.ticks,
+            input: encodeInputs(this.inputs, this.ticks),
+            outcome: this.outcome
+        };
+    }
+
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Replay file is not valid JSON');
+        }
+
+        if (!data || data.format !== REPLAY_FORMAT) {
+            throw new Error('Not a Crystal Quest replay');
+        }
+        if (data.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version ${data.version}`);
+        }
+        if (typeof data.seed !== 'string' || !Number.isInteger(data.ticks) || data.ticks < 0) {
+            throw new Error('Replay is missing its seed or tick count');
+        }
+
+        const { format, version, ticks, input, outcome, ...header } = data;
+        return new Replay(header, decodeInputs(input || '', ticks), ticks, outcome || null);
+    }
+}
+
+export class ReplayRecorder {
+    constructor() {
+        this.header = null;
+        this.inputs = new Int8Array(60 * 60 * STRIDE);
+        this.ticks = 0;
+    }
+
+    start(header) {
+        this.header = { ...header };
+        this.ticks = 0;
+    }
+
+    /**
+     * Store one tick of input and write the quantized value back into
+     * `vector`, so the live simulation sees exactly what a replay will.
+     */
+    record(vector, buttons = 0) {
+        if (!this.header) return vector;
+
+        if ((this.ticks + 1) * STRIDE > this.inputs.length) {
+            const grown = new Int8Array(this.inputs.length * 2);
+            grown.set(this.inputs);
+            this.inputs = grown;
+        }
+
+        const x = quantizeAxis(vector.x);
+        const z = quantizeAxis(vector.z);
+        this.inputs[this.ticks * STRIDE] = x;
+        this.inputs[this.ticks * STRIDE + 1] = z;
+        this.inputs[this.ticks * STRIDE + 2] = buttons;
+        this.ticks++;
+
+        vector.x = x / AXIS_SCALE;
+        vector.z = z / AXIS_SCALE;
+        return vector;
+    }
+
+    finish(outcome) {
+        if (!this.header) return null;
+
+        const replay = new Replay(this.header, this.inputs.slice(0, this.ticks * STRIDE), this.ticks, outcome);
+        this.header = null;
+        return replay;
+    }
+}
@@ -0,0 +1,77 @@
+/**
+ * Crystal Quest - Resource Lifecycle
+ * Owns GPU-backed resources so levels can be torn down and rebuilt without
+ * leaking. Geometries and materials that many meshes use (crystals,
+ * power-up pickups) are created once per key and shared; everything else
+ * belongs to the mesh that made it and is disposed with it by release().
+ */
+
+export class ResourceManager {
+    constructor() {
+        this.geometries = new Map();
+        this.materials = new Map();
+        this.shared = new Set(); // Everything in the two maps, skipped by release()
+    }
+
+    // Shared geometry for `key`, built by `create()` the first time
+    getGeometry(key, create) {
+        return this.getShared(this.geometries, key, create);
+    }
+
+    // Shared material for `key`; callers must not change it per mesh
+    getMaterial(key, create) {
+        return this.getShared(this.materials, key, create);
+    }
+
+    getShared(cache, key, create) {
+        let resource = cache.get(key);
+        if (!resource) {
+            resource = create();
+            cache.set(key, resource);
+            this.shared.add(resource);
+        }
+        return resource;
+    }
+
+    /**
+     * Detach `object` from its parent and dispose every geometry, material
+     * (and its textures) and light beneath it that isn't shared.
+     */
+    release(object) {
+        if (!object) return;
+        object.removeFromParent();
+
+        const disposed = new Set();
+        const dispose = (resource) => {
+            if (!resource || this.shared.has(resource) || disposed.has(resource)) return;
+            disposed.add(resource);
+            resource.dispose();
+        };
+
+        object.traverse(child => {
+            dispose(child.geometry);
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(material => {
+                if (!material || this.shared.has(material)) return;
+                Object.values(material).forEach(value => {
+                    if (value && value.isTexture) dispose(value);
+                });
+                dispose(material);
+            });
+            if (child.isLight || child.isInstancedMesh) child.dispose(); // Frees shadow maps and instance buffers
+        });
+    }
+
+    // Counts for the debug overlay
+    getStats() {
+        return { geometries: this.geometries.size, materials: this.materials.size };
+    }
+
+    // Drop every shared resource, e.g. when the renderer goes away
+    dispose() {
+        this.shared.forEach(resource => resource.dispose());
+        this.geometries.clear();
+        this.materials.clear();
+        this.shared.clear();
+    }
+}
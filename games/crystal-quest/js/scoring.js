@@ -0,0 +1,107 @@
+/**
+ * Crystal Quest - Scoring
+ * Points for crystals (scaled by a combo multiplier), near-misses with
+ * obstacles and a time bonus on clearing a level. All times are simulated
+ * seconds, so replays score exactly like the original run.
+ */
+
+export const SCORING = {
+    crystalPoints: 100,
+    comboWindow: 3, // Seconds between pickups to keep the combo going
+    comboStep: 0.5, // Multiplier gained per chained pickup
+    maxMultiplier: 4,
+    nearMissPoints: 25,
+    nearMissMargin: 1.2, // Clearance beyond the hit radius that still counts as close
+    timeBonusPerSecond: 20,
+    parSecondsPerCrystal: 4 // Par time for levels without a time limit
+};
+
+export class ScoreKeeper {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.points = 0;
+        this.crystals = 0;
+        this.crystalPoints = 0;
+        this.comboPoints = 0;
+        this.nearMisses = 0;
+        this.timeBonus = 0;
+        this.combo = 0;
+        this.bestCombo = 0;
+        this.multiplier = 1;
+        this.lastPickup = -Infinity;
+    }
+
+    // Drop the combo once the window since the last pickup has passed
+    update(time) {
+        if (this.combo > 0 && time - this.lastPickup > SCORING.comboWindow) {
+            this.combo = 0;
+            this.multiplier = 1;
+        }
+    }
+
+    // Seconds left before the combo runs out (0 when there is no combo)
+    getComboTimeLeft(time) {
+        if (this.combo === 0) return 0;
+        return Math.max(0, SCORING.comboWindow - (time - this.lastPickup));
+    }
+
+    /** @returns {number} Points awarded for this crystal */
+    collectCrystal(time) {
+        this.update(time);
+
+        const base = SCORING.crystalPoints;
+        const awarded = Math.round(base * this.multiplier);
+        this.crystals++;
+        this.crystalPoints += base;
+        this.comboPoints += awarded - base;
+        this.points += awarded;
+
+        // The pickup after this one is worth more
+        this.combo++;
+        this.bestCombo = Math.max(this.bestCombo, this.combo);
+        this.multiplier = Math.min(1 + this.combo * SCORING.comboStep, SCORING.maxMultiplier);
+        this.lastPickup = time;
+
+        return awarded;
+    }
+
+    // Hitting an obstacle without dying ends the current chain
+    breakCombo() {
+        this.combo = 0;
+        this.multiplier = 1;
+    }
+
+    /** @returns {number} Points awarded for slipping past an obstacle */
+    nearMiss() {
+        this.nearMisses++;
+        this.points += SCORING.nearMissPoints;
+        return SCORING.nearMissPoints;
+    }
+
+    /**
+     * Time bonus for a cleared level: seconds left on the clock, or seconds
+     * under par when the level has no limit.
+     */
+    finish(elapsed, timeLimit, crystalCount) {
+        const target = timeLimit || crystalCount * SCORING.parSecondsPerCrystal;
+        this.timeBonus = Math.round(Math.max(0, target - elapsed) * SCORING.timeBonusPerSecond);
+        this.points += this.timeBonus;
+        return this.timeBonus;
+    }
+
+    getBreakdown() {
+        return {
+            crystals: this.crystals,
+            crystalPoints: this.crystalPoints,
+            comboPoints: this.comboPoints,
+            bestCombo: this.bestCombo,
+            nearMisses: this.nearMisses,
+            nearMissPoints: this.nearMisses * SCORING.nearMissPoints,
+            timeBonus: this.timeBonus,
+            total: this.points
+        };
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * Crystal Quest - Player Settings
+ * Small key/value store persisted to localStorage. Settings screen inputs
+ * bind to a key through their `data-setting` attribute.
+ */
+
+import { DEFAULT_KEY_BINDINGS, DEFAULT_GAMEPAD_BINDINGS } from './bindings.js';
+
+const STORAGE_KEY = 'crystalQuest.settings';
+// The language is stored apart from the rest, under the key the site's portal (/index.html)
+// keeps its own language in, so a pick in either place carries over to the other. No
+// entry stands for 'auto'
+const LANGUAGE_KEY = 'growtez.language';
+
+export const DEFAULT_SETTINGS = {
+    difficulty: 'normal', // Key of CONFIG.difficulty
+    haptics: true,
+    autoPause: true,
+    showControlsHint: true,
+    ghostRacing: true, // Replay the fastest clear of a layout as a ghost on later attempts
+    playerName: 'Player', // Shown on leaderboards
+    graphicsQuality: 'auto', // 'auto' or a key of QUALITY_PRESETS
+
+    // Audio, 0..1
+    masterVolume: 0.8,
+    musicVolume: 0.5,
+    sfxVolume: 0.8,
+    muted: false,
+
+    // Accessibility
+    colorPalette: 'default', // Key of PALETTES in accessibility.js
+    reducedMotion: 'auto', // 'auto' follows the system preference; 'on' or 'off' overrides it
+    highContrast: false,
+    gameSpeed: 1, // Share of normal speed for solo and versus runs; slowed runs skip the leaderboard
+
+    // Language
+    language: 'auto', // 'auto' follows the browser; otherwise a key of LOCALES in i18n.js
+
+    // Controls
+    keyBindings: DEFAULT_KEY_BINDINGS,
+    gamepadBindings: DEFAULT_GAMEPAD_BINDINGS,
+    gamepadDeadZone: 0.2
+};
+
+/**
+ * Bindings saved before the jump action existed had dash on Space and gamepad A,
+ * which are jump's defaults now; merged over the defaults they would take those
+ * inputs from jump and leave it with none. Dash gives them up instead.
+ */
+function migrateDashBindings(saved) {
+    const keys = saved.keyBindings;
+    if (keys && typeof keys === 'object' && !('jump' in keys) && Array.isArray(keys.dash) && keys.dash.includes('Space')) {
+        const codes = keys.dash.filter(code => code && code !== 'Space');
+        saved.keyBindings = { ...keys, dash: codes.length > 0 ? [codes[0], null] : DEFAULT_KEY_BINDINGS.dash };
+    }
+
+    const buttons = saved.gamepadBindings;
+    if (buttons && typeof buttons === 'object' && !('jump' in buttons) && buttons.dash === DEFAULT_GAMEPAD_BINDINGS.jump) {
+        saved.gamepadBindings = { ...buttons, dash: DEFAULT_GAMEPAD_BINDINGS.dash };
+    }
+    return saved;
+}
+
+export class Settings {
+    constructor() {
+        this.values = { ...DEFAULT_SETTINGS, ...this.load() };
+        this.listeners = [];
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    set(key, value) {
+        if (this.values[key] === value) return;
+
+        this.values[key] = value;
+        this.save();
+        this.listeners.forEach(listener => listener(key, value));
+    }
+
+    // Called with (key, value) whenever a setting changes
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    load() {
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (e) {
+            saved = null;
+        }
+        saved = saved && typeof saved === 'object' ? migrateDashBindings(saved) : {};
+
+        // Older saves kept the language with the other settings: the shared entry wins over
+        // theirs, and takes it over when there is none yet
+        try {
+            const language = localStorage.getItem(LANGUAGE_KEY);
+            if (language) {
+                saved.language = language;
+            } else if (typeof saved.language === 'string' && saved.language !== 'auto') {
+                localStorage.setItem(LANGUAGE_KEY, saved.language);
+            }
+        } catch (e) {
+            // Storage unavailable - keep whatever was loaded above
+        }
+        return saved;
+    }
+
+    save() {
+        const { language, ...values } = this.values;
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(values));
+            if (language === 'auto') {
+                localStorage.removeItem(LANGUAGE_KEY);
+            } else {
+                localStorage.setItem(LANGUAGE_KEY, language);
+            }
+        } catch (e) {
+            // Storage unavailable (private mode) - settings last for this session only
+        }
+    }
+}
@@ -0,0 +1,712 @@
+/**
+ * Crystal Quest - Online Race Server
+ * Authoritative server for the online races described in js/net.js: rooms
+ * with join codes, the race clock, every player's movement (run from their
+ * inputs), obstacle hits, crystal pickups, respawns and results.
+ * Node 20.19+ (it imports js/physics.js, a plain .js ES module), no
+ * dependencies (the WebSocket handshake and framing are done here).
+ *
+ *   node server/game-server.mjs [--port 8790]
+ *
+ * Then open the game with ?server=ws://<host>:8790, or type the address on the
+ * online screen (ws://localhost:8790 is the default).
+ *
+ * Most of the game's modules need a browser and three.js, so the host uploads
+ * its level as plain data when it opens a room. Movement and obstacle motion
+ * come from js/physics.js, the same code the clients predict with.
+ */
+
+import { createServer } from 'node:http';
+import { createHash, randomBytes } from 'node:crypto';
+import { getHeight, movePlayer, createMotion, sphereTouches, MOTION_DEFAULTS } from '../js/physics.js';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? fallback : args[index + 1];
+};
+
+const PORT = Number(option('port', process.env.PORT || 8790));
+const PROTOCOL = 2;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 256 * 1024; // Bytes; the host's level upload is the largest message
+const MAX_OBSTACLES = 64;
+const MAX_PATH = 32; // Patrol waypoints
+const MAX_OBSTACLE_SPEED = 1; // Per tick; far beyond any level, but keeps a patrol's steps bounded
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 8;
+const MAX_NAME_LENGTH = 16;
+const CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // No I or O, so codes read out clearly
+const COUNTDOWN = 3; // Seconds between the host pressing start and the race clock reaching 0
+const SNAPSHOT_EVERY = 3; // Ticks between snapshots
+const MAX_LEAD = 30; // Ticks a player's inputs may run ahead of the race clock before they wait
+const MAX_QUEUE = 240; // Inputs buffered per player; a client sending more is dropped
+const REJOIN_GRACE = 30000; // ms a dropped player keeps their seat
+const HEARTBEAT = 10000; // ms between WebSocket pings; a socket that misses one is closed
+const JUMP = 2; // BUTTONS.jump in js/replay.js
+
+const PHYSICS_KEYS = [
+    'size', 'acceleration', 'friction', 'maxSpeed', 'gravity', 'jumpSpeed', 'stepHeight',
+    'coyoteTime', 'fallLimit', 'invulnerability', 'pickupRadius', 'pickupHeight'
+];
+
+// ============================================
+// Players
+// ============================================
+// Back to the last crystal the player took, or their start if that ground is gone
+function respawn(world, player, time) {
+    const [x, z] = getHeight(world.surfaces, ...player.checkpoint) > -Infinity ? player.checkpoint : player.spawn;
+    player.position.x = x;
+    player.position.z = z;
+    player.feet = Math.max(0, getHeight(world.surfaces, x, z));
+    player.velocity.x = 0;
+    player.velocity.z = 0;
+    player.verticalSpeed = 0;
+    player.grounded = true;
+    player.lastGroundedAt = time;
+    player.invulnerableUntil = time + world.physics.invulnerability;
+    player.respawns++;
+}
+
+// Obstacles run per player, one tick of their clock per input, as on that player's
+// own client (see OnlineRace.advanceObstacles() in js/online.js)
+function advanceObstacles(player, tick, tickSeconds) {
+    const context = player.obstacleContext;
+    while (player.obstacleTicks < tick) {
+        context.time += tickSeconds;
+        player.obstacles.forEach(motion => motion.update(context));
+        player.obstacleTicks++;
+    }
+}
+
+function touchesObstacle(world, player) {
+    const { size } = world.physics;
+    const { x, z } = player.position;
+    return player.obstacles.some(motion => {
+        const shape = motion.getShape();
+        return shape !== null && sphereTouches(shape, x, player.feet + size, z, size);
+    });
+}
+
+// ============================================
+// Validation
+// ============================================
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPoint = (value, length) => Array.isArray(value) && value.length === length && value.every(isNumber);
+
+function isSurface(surface) {
+    if (!surface || typeof surface !== 'object' || !isNumber(surface.x) || !isNumber(surface.z) || !isNumber(surface.top)) {
+        return false;
+    }
+    if (surface.kind === 'disc') return surface.radius > 0;
+    if (surface.kind === 'polygon') return surface.radius > 0 && Number.isInteger(surface.sides) && surface.sides >= 3;
+    if (surface.kind === 'box') {
+        return isNumber(surface.angle) && surface.length > 0 && surface.width > 0 && isNumber(surface.topEnd);
+    }
+    return false;
+}
+
+// A spec one of the physics.js motions can run; chasers aren't raced online
+function isObstacle(spec) {
+    if (!spec || typeof spec !== 'object' || !Object.hasOwn(MOTION_DEFAULTS, spec.type)) return false;
+    const defaults = MOTION_DEFAULTS[spec.type];
+    const full = { ...defaults, ...spec };
+    const numbers = Object.keys(defaults).filter(key => typeof defaults[key] === 'number');
+    if (!numbers.every(key => isNumber(full[key])) || Math.abs(full.speed || 0) > MAX_OBSTACLE_SPEED) return false;
+    if (spec.type !== 'patrol') return true;
+
+    const { path } = full;
+    if (typeof full.loop !== 'boolean' || !Array.isArray(path) || path.length > MAX_PATH) return false;
+    if (!path.every(point => point && isNumber(point.x) && isNumber(point.z))) return false;
+    try {
+        createMotion(spec);
+    } catch (e) {
+        return false; // Fewer than 2 different waypoints
+    }
+    return true;
+}
+
+function validateWorld(world) {
+    if (!world || typeof world !== 'object') return 'World must be an object';
+    const { physics, tuning, surfaces, obstacles, crystals, spawns } = world;
+    if (!Number.isInteger(world.level) || world.level < 0) return 'Invalid level';
+    if (typeof world.levelId !== 'string' || !/^[\w-]{1,64}$/.test(world.levelId)) return 'Invalid levelId';
+    if (typeof world.seed !== 'string' || !/^[\w:-]{1,64}$/.test(world.seed)) return 'Invalid seed';
+    if (world.timeLimit !== null && !(isNumber(world.timeLimit) && world.timeLimit > 0)) return 'Invalid timeLimit';
+    if (!Number.isInteger(world.tickRate) || world.tickRate < 10 || world.tickRate > 240) return 'Invalid tickRate';
+    if (!physics || typeof physics !== 'object' || PHYSICS_KEYS.some(key => !isNumber(physics[key]))) return 'Invalid physics';
+    if (!tuning || typeof tuning !== 'object' || !Object.values(tuning).every(isNumber)) return 'Invalid tuning';
+    if (!Array.isArray(surfaces) || surfaces.length === 0 || surfaces.length > 256 || !surfaces.every(isSurface)) {
+        return 'Invalid surfaces';
+    }
+    if (!Array.isArray(obstacles) || obstacles.length > MAX_OBSTACLES || !obstacles.every(isObstacle)) {
+        return 'Invalid obstacles';
+    }
+    if (!Array.isArray(crystals) || crystals.length === 0 || crystals.length > 500 || !crystals.every(point => isPoint(point, 3))) {
+        return 'Invalid crystals';
+    }
+    if (!Array.isArray(spawns) || spawns.length < MAX_PLAYERS || !spawns.every(point => isPoint(point, 2))) {
+        return 'Invalid spawns';
+    }
+    return null;
+}
+
+function cleanName(name) {
+    const trimmed = typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+    return trimmed || 'Player';
+}
+
+// ============================================
+// WebSocket connections
+// ============================================
+class Connection {
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentBytes = 0;
+        this.alive = true;
+        this.closed = false;
+        this.room = null; // Set once the connection creates, joins or rejoins a room
+        this.player = null;
+        this.onMessage = () => {};
+        this.onClose = () => {};
+
+        socket.setNoDelay(true);
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('close', () => this.finish());
+        socket.on('error', () => socket.destroy());
+    }
+
+    receive(chunk) {
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+        while (!this.closed && this.readFrame());
+    }
+
+    // Parse one frame off the buffer; false when it isn't all here yet
+    readFrame() {
+        const data = this.buffer;
+        if (data.length < 2) return false;
+
+        const fin = (data[0] & 0x80) !== 0;
+        const opcode = data[0] & 0x0f;
+        const masked = (data[1] & 0x80) !== 0;
+        let length = data[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (data.length < 4) return false;
+            length = data.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (data.length < 10) return false;
+            length = data.readUInt32BE(2) * 2 ** 32 + data.readUInt32BE(6);
+            offset = 10;
+        }
+
+        // Clients must mask; nothing we expect comes close to the size limit
+        if (!masked) return this.close(1002, 'Frames must be masked');
+        if (length > MAX_MESSAGE) return this.close(1009, 'Message too large');
+        if (data.length < offset + 4 + length) return false;
+
+        const mask = data.subarray(offset, offset + 4);
+        const payload = Buffer.from(data.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+        this.buffer = data.subarray(offset + 4 + length);
+
+        if (opcode === 0x8) return this.close(1000);
+        if (opcode === 0x9) {
+            this.write(0xa, payload);
+            return true;
+        }
+        if (opcode === 0xa) {
+            this.alive = true;
+            return true;
+        }
+        if (opcode === 0x2) return this.close(1003, 'Text frames only');
+        if (opcode !== 0x1 && opcode !== 0x0) return this.close(1002, 'Unknown opcode');
+
+        this.fragments.push(payload);
+        this.fragmentBytes += payload.length;
+        if (this.fragmentBytes > MAX_MESSAGE) return this.close(1009, 'Message too large');
+        if (!fin) return true;
+
+        const text = Buffer.concat(this.fragments).toString('utf8');
+        this.fragments = [];
+        this.fragmentBytes = 0;
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            this.send({ type: 'error', message: 'Messages must be JSON' });
+            return true;
+        }
+        if (message && typeof message === 'object') this.onMessage(message);
+        return true;
+    }
+
+    write(opcode, payload) {
+        if (this.closed) return;
+        const length = payload.length;
+        let header;
+        if (length < 126) {
+            header = Buffer.from([0x80 | opcode, length]);
+        } else if (length < 65536) {
+            header = Buffer.alloc(4);
+            header.writeUInt16BE(length, 2);
+            header[1] = 126;
+        } else {
+            header = Buffer.alloc(10);
+            header.writeUInt32BE(Math.floor(length / 2 ** 32), 2);
+            header.writeUInt32BE(length % 2 ** 32, 6);
+            header[1] = 127;
+        }
+        header[0] = 0x80 | opcode;
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    send(message) {
+        this.write(0x1, Buffer.from(JSON.stringify(message)));
+    }
+
+    ping() {
+        if (!this.alive) {
+            this.socket.destroy();
+            return;
+        }
+        this.alive = false;
+        this.write(0x9, Buffer.alloc(0));
+    }
+
+    // Always returns false, so readFrame() can bail out through it
+    close(code, reason = '') {
+        if (!this.closed) {
+            const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+            payload.writeUInt16BE(code, 0);
+            payload.write(reason, 2);
+            this.write(0x8, payload);
+            this.socket.end();
+            this.finish();
+        }
+        return false;
+    }
+
+    finish() {
+        if (this.closed) return;
+        this.closed = true;
+        this.onClose();
+    }
+}
+
+// ============================================
+// Rooms
+// ============================================
+const rooms = new Map(); // code -> Room
+
+function createCode() {
+    let code;
+    do {
+        code = Array.from(randomBytes(4), byte => CODE_LETTERS[byte % CODE_LETTERS.length]).join('');
+    } while (rooms.has(code));
+    return code;
+}
+
+class Room {
+    constructor(world) {
+        this.code = createCode();
+        this.world = world;
+        this.tickMs = 1000 / world.tickRate;
+        this.tickSeconds = 1 / world.tickRate;
+        this.players = [];
+        this.host = null;
+        this.nextId = 1;
+        this.phase = 'lobby'; // 'lobby' | 'countdown' | 'racing' | 'ended'
+        this.tick = 0; // Race ticks; negative during the countdown
+        this.startedAt = 0; // ms at the first countdown tick
+        this.collected = []; // [crystal index, player id] in pickup order
+        this.taken = new Set();
+        rooms.set(this.code, this);
+    }
+
+    // Seat a new player in the lowest free slot; slots pick colours and spawns
+    add(connection, name) {
+        const slots = new Set(this.players.map(player => player.slot));
+        let slot = 0;
+        while (slots.has(slot)) slot++;
+
+        const player = {
+            id: this.nextId++,
+            token: randomBytes(16).toString('hex'),
+            name: cleanName(name),
+            slot,
+            connection: null,
+            connected: true,
+            droppedAt: 0
+        };
+        this.reset(player);
+        this.players.push(player);
+        if (!this.host) this.host = player.id;
+        this.attach(player, connection);
+        return player;
+    }
+
+    // Back to the player's spawn with nothing collected, for a new race
+    reset(player) {
+        const spawn = this.world.spawns[player.slot];
+        // Movement fields as physics.js expects them
+        Object.assign(player, {
+            seq: 0, // Last input applied
+            queue: [],
+            position: { x: spawn[0], y: 0, z: spawn[1] },
+            velocity: { x: 0, z: 0 },
+            input: { x: 0, z: 0 },
+            feet: Math.max(0, getHeight(this.world.surfaces, spawn[0], spawn[1])),
+            verticalSpeed: 0,
+            grounded: true,
+            lastGroundedAt: 0,
+            invulnerableUntil: 0,
+            obstacles: this.world.obstacles.map(spec => createMotion(spec)),
+            obstacleTicks: 0,
+            obstacleContext: { time: 0, timeScale: 1 }, // Obstacle clock; online races have no slow-time
+            spawn,
+            checkpoint: spawn,
+            crystals: 0,
+            lastCrystalAt: null,
+            respawns: 0
+        });
+    }
+
+    attach(player, connection) {
+        const previous = player.connection;
+        player.connection = connection;
+        player.connected = true;
+        connection.room = this;
+        connection.player = player;
+        if (previous && previous !== connection) {
+            previous.room = null;
+            previous.player = null;
+            previous.close(4000, 'Rejoined from another connection');
+        }
+        connection.send(this.getWelcome(player));
+        this.broadcastLobby();
+    }
+
+    getWelcome(player) {
+        return {
+            type: 'welcome',
+            protocol: PROTOCOL,
+            room: this.code,
+            id: player.id,
+            token: player.token,
+            world: this.world,
+            phase: this.phase,
+            clock: this.getClock(performance.now()),
+            collected: this.collected,
+            you: this.getState(player),
+            ...this.getLobby()
+        };
+    }
+
+    getLobby() {
+        return {
+            host: this.host,
+            players: this.players.map(({ id, name, slot, connected, crystals }) => ({ id, name, slot, connected, crystals }))
+        };
+    }
+
+    broadcastLobby() {
+        this.broadcast({ type: 'lobby', phase: this.phase, ...this.getLobby() });
+    }
+
+    broadcast(message) {
+        const data = Buffer.from(JSON.stringify(message));
+        this.players.forEach(player => {
+            if (player.connected) player.connection.write(0x1, data);
+        });
+    }
+
+    // Fractional race tick right now; clients sync their clocks to it
+    getClock(now) {
+        if (this.phase === 'lobby') return null;
+        if (this.phase === 'ended') return this.tick;
+        return (now - this.startedAt) / this.tickMs - COUNTDOWN * this.world.tickRate;
+    }
+
+    getState(player) {
+        return {
+            id: player.id,
+            seq: player.seq,
+            x: player.position.x,
+            z: player.position.z,
+            feet: player.feet,
+            vx: player.velocity.x,
+            vz: player.velocity.z,
+            vy: player.verticalSpeed,
+            grounded: player.grounded,
+            groundedAt: Number.isFinite(player.lastGroundedAt) ? player.lastGroundedAt : null, // JSON has no -Infinity
+            invulnerableUntil: player.invulnerableUntil,
+            checkpoint: player.checkpoint,
+            crystals: player.crystals,
+            connected: player.connected
+        };
+    }
+
+    start(player) {
+        if (player.id !== this.host) throw new Error('Only the host can start the race');
+        if (this.phase === 'countdown' || this.phase === 'racing') throw new Error('The race has already started');
+        if (this.players.filter(other => other.connected).length < MIN_PLAYERS) {
+            throw new Error(`A race needs at least ${MIN_PLAYERS} players`);
+        }
+
+        this.players.forEach(other => this.reset(other));
+        this.collected = [];
+        this.taken.clear();
+        this.phase = 'countdown';
+        this.startedAt = performance.now();
+        this.tick = -COUNTDOWN * this.world.tickRate;
+        this.broadcast({ type: 'start', tick: this.tick, ...this.getLobby() });
+    }
+
+    // Queue an input; it runs once the race clock is close enough (see MAX_LEAD)
+    input(player, message) {
+        if (this.phase !== 'racing' && this.phase !== 'countdown') return;
+
+        const last = player.queue.length ? player.queue[player.queue.length - 1].seq : player.seq;
+        if (message.seq !== last + 1) return; // Stale, e.g. sent before a rejoin
+        if (player.queue.length >= MAX_QUEUE) {
+            player.connection.close(4001, 'Too many inputs');
+            return;
+        }
+
+        // Movement like a stick: each axis within -1..1
+        const axis = (value) => isNumber(value) ? Math.max(-1, Math.min(1, value)) : 0;
+        player.queue.push({
+            seq: message.seq,
+            x: axis(message.x),
+            z: axis(message.z),
+            buttons: Number.isInteger(message.buttons) ? message.buttons : 0
+        });
+    }
+
+    update(now) {
+        if (this.phase === 'countdown' || this.phase === 'racing') {
+            const due = Math.floor(this.getClock(now));
+            while (this.tick < due && (this.phase === 'countdown' || this.phase === 'racing')) {
+                this.step();
+            }
+        }
+
+        // Seats of players who never came back free up
+        this.players.filter(player => !player.connected && now - player.droppedAt > REJOIN_GRACE)
+            .forEach(player => this.remove(player));
+    }
+
+    step() {
+        this.tick++;
+        if (this.tick === 0) this.phase = 'racing';
+
+        if (this.phase === 'racing') {
+            this.players.forEach(player => this.runInputs(player));
+
+            if (this.taken.size === this.world.crystals.length) {
+                this.end('cleared');
+                return;
+            }
+            if (this.world.timeLimit && this.tick * this.tickSeconds >= this.world.timeLimit) {
+                this.end('time');
+                return;
+            }
+        }
+
+        if (this.tick % SNAPSHOT_EVERY === 0) {
+            this.broadcast({ type: 'snapshot', tick: this.tick, players: this.players.map(player => this.getState(player)) });
+        }
+    }
+
+    // Apply every queued input the clock allows: obstacles, movement, falls and hits, then pickups
+    runInputs(player) {
+        const { world } = this;
+        while (player.queue.length && player.queue[0].seq <= this.tick + MAX_LEAD) {
+            const input = player.queue.shift();
+            player.seq = input.seq;
+            const time = player.seq * this.tickSeconds;
+
+            advanceObstacles(player, player.seq, this.tickSeconds);
+            player.input.x = input.x;
+            player.input.z = input.z;
+            movePlayer(world.surfaces, world.physics, player, world.physics.maxSpeed, (input.buttons & JUMP) !== 0, time);
+            if (player.feet < world.physics.fallLimit) {
+                respawn(world, player, time);
+            } else if (time >= player.invulnerableUntil && touchesObstacle(world, player)) {
+                respawn(world, player, time);
+            }
+            this.collect(player);
+        }
+    }
+
+    collect(player) {
+        const { pickupRadius, pickupHeight, size } = this.world.physics;
+        const y = player.feet + size;
+        this.world.crystals.forEach(([x, cy, z], index) => {
+            if (this.taken.has(index)) return;
+            if (Math.hypot(x - player.position.x, z - player.position.z) >= pickupRadius || Math.abs(cy - y) >= pickupHeight) return;
+
+            this.taken.add(index);
+            this.collected.push([index, player.id]);
+            player.crystals++;
+            player.lastCrystalAt = this.tick;
+            player.checkpoint = [x, z];
+            this.broadcast({ type: 'collect', crystal: index, player: player.id, tick: this.tick });
+        });
+    }
+
+    // Most crystals first; a tie goes to whoever got there first
+    end(reason) {
+        this.phase = 'ended';
+        const results = this.players
+            .map(({ id, name, slot, crystals, lastCrystalAt }) => ({
+                id, name, slot, crystals, time: lastCrystalAt === null ? null : lastCrystalAt * this.tickSeconds
+            }))
+            .sort((a, b) => b.crystals - a.crystals || (a.time ?? Infinity) - (b.time ?? Infinity));
+        this.broadcast({ type: 'end', reason, tick: this.tick, results });
+        this.broadcastLobby();
+    }
+
+    drop(player) {
+        player.connected = false;
+        player.connection = null;
+        player.droppedAt = performance.now();
+        this.handOver(player);
+        this.broadcastLobby();
+    }
+
+    remove(player) {
+        this.players.splice(this.players.indexOf(player), 1);
+        if (player.connection) {
+            player.connection.room = null;
+            player.connection.player = null;
+            player.connection.close(1000);
+        }
+        if (this.players.length === 0) {
+            rooms.delete(this.code);
+            return;
+        }
+        this.handOver(player);
+        this.broadcastLobby();
+    }
+
+    // A leaving or dropped host passes the role to the longest-seated player still here
+    handOver(player) {
+        if (this.host !== player.id) return;
+        const next = this.players.find(other => other.connected) || this.players.find(other => other !== player);
+        this.host = next ? next.id : null;
+    }
+}
+
+// ============================================
+// Messages
+// ============================================
+function handle(connection, message) {
+    const { room, player } = connection;
+
+    switch (message.type) {
+        case 'ping':
+            connection.send({ type: 'pong', time: message.time, clock: room ? room.getClock(performance.now()) : null });
+            return;
+
+        case 'create': {
+            if (room) throw new Error('Already in a room');
+            const problem = validateWorld(message.world);
+            if (problem) throw new Error(problem);
+            new Room(message.world).add(connection, message.name);
+            return;
+        }
+
+        case 'join': {
+            if (room) throw new Error('Already in a room');
+            const target = rooms.get(String(message.room || '').toUpperCase());
+            if (!target) throw new Error('No room with that code');
+            if (target.phase === 'countdown' || target.phase === 'racing') throw new Error('That race has already started');
+            if (target.players.length >= MAX_PLAYERS) throw new Error('That room is full');
+            target.add(connection, message.name);
+            return;
+        }
+
+        case 'rejoin': {
+            if (room) throw new Error('Already in a room');
+            const target = rooms.get(String(message.room || '').toUpperCase());
+            const seat = target && target.players.find(other => other.token === message.token);
+            if (!seat) throw new Error('That seat is gone');
+            // Inputs from before the drop never arrived in full; pick up again at the race clock
+            seat.queue = [];
+            if (target.phase === 'racing') seat.seq = Math.max(seat.seq, target.tick);
+            target.attach(seat, connection);
+            return;
+        }
+    }
+
+    if (!room) throw new Error('Join a room first');
+
+    switch (message.type) {
+        case 'start':
+            room.start(player);
+            return;
+        case 'input':
+            room.input(player, message);
+            return;
+        case 'leave':
+            room.remove(player);
+            return;
+        default:
+            throw new Error(`Unknown message type "${message.type}"`);
+    }
+}
+
+function onClose(connection) {
+    const { room, player } = connection;
+    if (room && player.connection === connection) room.drop(player);
+}
+
+const server = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('Crystal Quest race server: connect over WebSocket\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    const connection = new Connection(socket);
+    connection.onMessage = (message) => {
+        try {
+            handle(connection, message);
+        } catch (error) {
+            connection.send({ type: 'error', message: error.message, request: message.type });
+        }
+    };
+    connection.onClose = () => onClose(connection);
+    connections.add(connection);
+    socket.on('close', () => connections.delete(connection));
+});
+
+const connections = new Set();
+setInterval(() => connections.forEach(connection => connection.ping()), HEARTBEAT);
+setInterval(() => {
+    const now = performance.now();
+    rooms.forEach(room => room.update(now));
+}, 4);
+
+server.listen(PORT, () => {
+    console.log(`Crystal Quest race server on ws://localhost:${PORT}`);
+});
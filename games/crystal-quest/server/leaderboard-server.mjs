@@ -0,0 +1,127 @@
+/**
+ * Crystal Quest - Reference Leaderboard Server
+ * Minimal implementation of the REST contract documented in js/leaderboard.js,
+ * for local development and as a starting point for a hosted service.
+ * Node 20.19+ (it imports the entry rules from js/leaderboard.js, a plain .js
+ * ES module), no dependencies.
+ *
+ *   node server/leaderboard-server.mjs [--port 8787] [--data scores.json]
+ *
+ * Then open the game with ?leaderboard=http://localhost:8787
+ * Without --data, boards are kept in memory and lost on exit.
+ */
+
+import { createServer } from 'node:http';
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { BOARD_PATTERN, validateEntry, addToBoard, rankedSlice } from '../js/leaderboard.js';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? fallback : args[index + 1];
+};
+
+const PORT = Number(option('port', process.env.PORT || 8787));
+const DATA_FILE = option('data', null);
+const MAX_BODY = 4096;
+const MAX_LIMIT = 100;
+
+// board -> entries sorted best first; no prototype, so a board name can't reach Object.prototype
+const boards = Object.assign(Object.create(null), DATA_FILE && existsSync(DATA_FILE) ? JSON.parse(readFileSync(DATA_FILE, 'utf8')) : {});
+
+function persist() {
+    if (DATA_FILE) writeFileSync(DATA_FILE, JSON.stringify(boards));
+}
+
+// The same rules as the game's offline board, so the two can't disagree
+function submit(entry) {
+    const { board, playerId, name, score, time, seed, replayHash } = entry;
+    const entries = boards[board] || (boards[board] = []);
+    const result = addToBoard(entries, { playerId, name: name.trim(), score, time, seed, replayHash });
+    persist();
+    return result;
+}
+
+function checkBoard(board) {
+    if (!board) return 'Missing board';
+    return BOARD_PATTERN.test(board) ? null : 'Invalid board';
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY) {
+                reject(new Error('Body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+async function handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const board = url.searchParams.get('board');
+
+    if (req.method === 'OPTIONS') return send(res, 204);
+
+    if (req.method === 'POST' && url.pathname === '/scores') {
+        let entry;
+        try {
+            entry = JSON.parse(await readBody(req));
+        } catch (e) {
+            return send(res, 400, { error: 'Body must be JSON' });
+        }
+
+        const error = validateEntry(entry);
+        if (error) return send(res, 400, { error });
+        return send(res, 201, submit(entry));
+    }
+
+    if (req.method === 'GET' && url.pathname === '/scores/top') {
+        const error = checkBoard(board);
+        if (error) return send(res, 400, { error });
+        const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(url.searchParams.get('limit'), 10) || 10));
+        return send(res, 200, { board, entries: rankedSlice(boards[board] || [], 0, limit) });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/scores/around') {
+        const error = checkBoard(board);
+        if (error) return send(res, 400, { error });
+        const range = Math.min(MAX_LIMIT, Math.max(0, parseInt(url.searchParams.get('range'), 10) || 2));
+        const entries = boards[board] || [];
+        const index = entries.findIndex(entry => entry.playerId === url.searchParams.get('playerId'));
+        return send(res, 200, { board, entries: index === -1 ? [] : rankedSlice(entries, index - range, index + range + 1) });
+    }
+
+    send(res, 404, { error: 'Not found' });
+}
+
+// One bad request answers 500 instead of taking every board down with the process
+const server = createServer((req, res) => {
+    handle(req, res).catch(error => {
+        console.error('Request failed:', error);
+        if (res.headersSent) {
+            res.destroy();
+        } else {
+            send(res, 500, { error: 'Internal server error' });
+        }
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Crystal Quest leaderboard listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,117 @@
+/**
+ * Crystal Quest - Leak Check
+ * Rebuilds every level over and over the way restarts do and fails when the
+ * geometries, materials, textures or lights still alive keep growing, or the
+ * shared caches of the ResourceManager do - a teardown path forgot to release
+ * something. The debug overlay's "Leak check" button does the same against the
+ * real renderer.info.memory in a browser.
+ *
+ * Runs in plain Node, with three.js swapped for three-stub.mjs:
+ *
+ *   node test/leak-check.mjs
+ *
+ * The game object is built from CrystalQuestGame.prototype with only what
+ * loadLevel() and clearLevel() use, as the full constructor needs a page and WebGL.
+ */
+
+import { register } from 'node:module';
+
+register('./three-hooks.mjs', import.meta.url);
+
+const REBUILDS = 10;
+const SEED = 'leak-check'; // One layout per level, so a first-time power-up type can't read as growth
+
+// What game.js and its modules read from the browser as they load
+const storage = new Map();
+Object.defineProperty(globalThis, 'navigator', {
+    value: { userAgent: 'node', hardwareConcurrency: 8, language: 'en', languages: ['en'] },
+    configurable: true
+});
+globalThis.window = { innerWidth: 1280, innerHeight: 720, location: { search: '' }, addEventListener() {} };
+globalThis.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key)
+};
+
+const THREE = await import('three');
+const { CrystalQuestGame, GameState } = await import('../js/game.js');
+const { LEVELS } = await import('../js/levels.js');
+const { Settings } = await import('../js/settings.js');
+const { ResourceManager } = await import('../js/resources.js');
+const { PowerUpManager } = await import('../js/powerups.js');
+const { ParticleSystem } = await import('../js/particles.js');
+const { UniformGrid } = await import('../js/collision.js');
+const { GhostStore, Ghost } = await import('../js/ghost.js');
+const { QUALITY_PRESETS } = await import('../js/graphics.js');
+const { getPalette } = await import('../js/accessibility.js');
+
+function createGame() {
+    const game = Object.create(CrystalQuestGame.prototype);
+    Object.assign(game, {
+        settings: new Settings(),
+        state: new GameState(null),
+        resources: new ResourceManager(),
+        scene: new THREE.Scene(),
+        quality: QUALITY_PRESETS.high, // Crystal lights on, so there is the most to release
+        palette: getPalette('default'),
+        playerPool: [],
+        players: [],
+        crystalGrid: new UniformGrid(4),
+        shapeBounds: [0, 0, 0, 0],
+        replay: null,
+        ghosts: new GhostStore(),
+        ghost: new Ghost(0.5, 0xffffff, 0.3),
+        levelGroup: null
+    });
+    game.powerups = new PowerUpManager(game);
+    game.particleSystem = new ParticleSystem(game.scene, { capacity: 64 });
+
+    // The HUD is plain DOM text with nothing to release
+    ['updateScore', 'updateLives', 'updatePowerUpHud', 'updateLevelHud', 'updateGhostHud'].forEach(name => {
+        game[name] = () => {};
+    });
+    return game;
+}
+
+function measure(game) {
+    return { ...THREE.memory, ...Object.fromEntries(Object.entries(game.resources.getStats()).map(([key, count]) => [`shared ${key}`, count])) };
+}
+
+const game = createGame();
+const failures = [];
+
+for (const mode of ['campaign', 'versus']) {
+    LEVELS.forEach((level, index) => {
+        const rebuild = () => game.loadLevel(index, mode, SEED);
+
+        // The first builds fill the shared caches and the player pool
+        rebuild();
+        rebuild();
+        const before = measure(game);
+        for (let i = 0; i < REBUILDS; i++) rebuild();
+        const after = measure(game);
+
+        const grown = Object.keys(before).filter(key => after[key] > before[key]);
+        const counts = Object.keys(before).map(key => `${key} ${before[key]}→${after[key]}`).join(', ');
+        console.log(`${grown.length ? '✗' : '✓'} ${mode} ${level.id}: ${counts}`);
+        if (grown.length) failures.push(`${mode} ${level.id}`);
+    });
+}
+
+// Tearing a level down must leave only what outlives levels (players, particles, the ghost, shared caches)
+const loaded = { ...THREE.memory };
+game.clearLevel();
+const cleared = { ...THREE.memory };
+game.loadLevel(0, 'campaign', SEED);
+game.clearLevel();
+const kept = Object.keys(cleared).filter(key => THREE.memory[key] > cleared[key]);
+console.log(`${kept.length ? '✗' : '✓'} clearLevel: ${Object.keys(loaded).map(key => `${key} ${loaded[key]}→${cleared[key]}`).join(', ')}`);
+if (kept.length) failures.push('clearLevel');
+
+if (failures.length) {
+    console.error(`Leaks in ${failures.join(', ')}`);
+    process.exitCode = 1;
+} else {
+    console.log(`No leaks after ${REBUILDS} rebuilds of every level`);
+}
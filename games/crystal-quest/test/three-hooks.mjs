@@ -0,0 +1,12 @@
+/**
+ * Crystal Quest - Module Hooks for Node Checks
+ * Resolves 'three' and 'three/addons/...' to three-stub.mjs, standing in for
+ * the import map in game.html. Registered by the check scripts themselves.
+ */
+
+const STUB = new URL('./three-stub.mjs', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier === 'three' || specifier.startsWith('three/')) return { url: STUB, shortCircuit: true };
+    return nextResolve(specifier, context);
+}
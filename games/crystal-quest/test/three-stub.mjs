@@ -0,0 +1,468 @@
+/**
+ * Crystal Quest - three.js Stand-in for Node Checks
+ * Just enough of three.js for the game's level building to run without a
+ * browser or GPU. Math classes do real math; geometries, materials, textures
+ * and lights only record that they exist, and `memory` counts the ones not
+ * disposed yet - the Node-side equivalent of renderer.info.memory.
+ * three-hooks.mjs points 'three' and its add-ons here.
+ */
+
+export const memory = { geometries: 0, materials: 0, textures: 0, lights: 0 };
+
+// ============================================
+// Math
+// ============================================
+export class Vector2 {
+    constructor(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
+    }
+
+    set(x, y) {
+        this.x = x;
+        this.y = y;
+        return this;
+    }
+}
+
+export class Vector3 {
+    constructor(x = 0, y = 0, z = 0) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+
+    set(x, y, z) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        return this;
+    }
+
+    setScalar(value) {
+        return this.set(value, value, value);
+    }
+
+    copy(v) {
+        return this.set(v.x, v.y, v.z);
+    }
+
+    clone() {
+        return new Vector3(this.x, this.y, this.z);
+    }
+
+    add(v) {
+        return this.set(this.x + v.x, this.y + v.y, this.z + v.z);
+    }
+
+    sub(v) {
+        return this.set(this.x - v.x, this.y - v.y, this.z - v.z);
+    }
+
+    addScaledVector(v, s) {
+        return this.set(this.x + v.x * s, this.y + v.y * s, this.z + v.z * s);
+    }
+
+    multiplyScalar(s) {
+        return this.set(this.x * s, this.y * s, this.z * s);
+    }
+
+    lengthSq() {
+        return this.x * this.x + this.y * this.y + this.z * this.z;
+    }
+
+    length() {
+        return Math.sqrt(this.lengthSq());
+    }
+
+    normalize() {
+        return this.multiplyScalar(1 / (this.length() || 1));
+    }
+
+    distanceTo(v) {
+        return Math.hypot(this.x - v.x, this.y - v.y, this.z - v.z);
+    }
+
+    lerp(v, t) {
+        return this.set(this.x + (v.x - this.x) * t, this.y + (v.y - this.y) * t, this.z + (v.z - this.z) * t);
+    }
+}
+
+export class Euler {
+    constructor(x = 0, y = 0, z = 0) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+
+    set(x, y, z) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        return this;
+    }
+
+    copy(e) {
+        return this.set(e.x, e.y, e.z);
+    }
+}
+
+export class Quaternion {
+    constructor(x = 0, y = 0, z = 0, w = 1) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        this.w = w;
+    }
+
+    copy(q) {
+        this.x = q.x;
+        this.y = q.y;
+        this.z = q.z;
+        this.w = q.w;
+        return this;
+    }
+
+    setFromEuler() {
+        return this;
+    }
+
+    slerpQuaternions(a) {
+        return this.copy(a);
+    }
+}
+
+export class Matrix4 {
+    constructor() {
+        this.elements = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+    }
+
+    copy(m) {
+        this.elements = m.elements.slice();
+        return this;
+    }
+
+    makeScale(x, y, z) {
+        this.elements = [x, 0, 0, 0, 0, y, 0, 0, 0, 0, z, 0, 0, 0, 0, 1];
+        return this;
+    }
+
+    compose() {
+        return this;
+    }
+}
+
+export class Color {
+    constructor(value = 0xffffff) {
+        this.set(value);
+    }
+
+    set(value) {
+        if (value instanceof Color) return this.copy(value);
+        this.hex = typeof value === 'number' ? value : parseInt(String(value).replace('#', ''), 16) || 0;
+        return this;
+    }
+
+    setHex(hex) {
+        return this.set(hex);
+    }
+
+    setHSL() {
+        return this;
+    }
+
+    copy(color) {
+        this.hex = color.hex;
+        return this;
+    }
+
+    clone() {
+        return new Color(this.hex);
+    }
+
+    getHex() {
+        return this.hex;
+    }
+
+    getHexString() {
+        return this.hex.toString(16).padStart(6, '0');
+    }
+
+    lerp() {
+        return this;
+    }
+
+    multiplyScalar() {
+        return this;
+    }
+}
+
+export const MathUtils = {
+    clamp: (value, min, max) => Math.max(min, Math.min(max, value)),
+    lerp: (a, b, t) => a + (b - a) * t,
+    degToRad: (degrees) => degrees * Math.PI / 180,
+    radToDeg: (radians) => radians * 180 / Math.PI,
+    damp: (a, b, lambda, dt) => a + (b - a) * (1 - Math.exp(-lambda * dt))
+};
+
+export class Plane {
+    constructor(normal = new Vector3(0, 1, 0), constant = 0) {
+        this.normal = normal;
+        this.constant = constant;
+    }
+}
+
+export class Raycaster {
+    setFromCamera() {}
+
+    intersectObject() {
+        return [];
+    }
+}
+
+// ============================================
+// Resources
+// ============================================
+class Disposable {
+    constructor(kind) {
+        this.kind = kind;
+        this.disposed = false;
+        memory[kind]++;
+    }
+
+    dispose() {
+        if (this.disposed) return;
+        this.disposed = true;
+        memory[this.kind]--;
+    }
+}
+
+export class BufferAttribute {
+    constructor(array, itemSize) {
+        this.array = array;
+        this.itemSize = itemSize;
+        this.count = array.length / itemSize;
+        this.needsUpdate = false;
+    }
+
+    setUsage() {
+        return this;
+    }
+
+    setXYZ() {
+        return this;
+    }
+
+    setXYZW() {
+        return this;
+    }
+}
+
+export class BufferGeometry extends Disposable {
+    constructor(parameters = {}) {
+        super('geometries');
+        this.parameters = parameters;
+        this.attributes = {};
+    }
+
+    setAttribute(name, attribute) {
+        this.attributes[name] = attribute;
+        return this;
+    }
+
+    getAttribute(name) {
+        return this.attributes[name];
+    }
+
+    setFromPoints() {
+        return this;
+    }
+
+    setDrawRange() {}
+
+    translate() {
+        return this;
+    }
+
+    rotateX() {
+        return this;
+    }
+}
+
+// Every shape takes its parameters as constructor arguments; only the count matters here
+const shape = () => class extends BufferGeometry {
+    constructor(...parameters) {
+        super(parameters);
+    }
+};
+export const BoxGeometry = shape();
+export const CircleGeometry = shape();
+export const CylinderGeometry = shape();
+export const EdgesGeometry = shape();
+export const IcosahedronGeometry = shape();
+export const OctahedronGeometry = shape();
+export const SphereGeometry = shape();
+export const TorusGeometry = shape();
+
+export class Texture extends Disposable {
+    constructor() {
+        super('textures');
+        this.isTexture = true;
+    }
+}
+
+export class Material extends Disposable {
+    constructor(parameters = {}) {
+        super('materials');
+        this.color = new Color();
+        this.emissive = new Color(0);
+        this.opacity = 1;
+        Object.entries(parameters).forEach(([key, value]) => {
+            if (this[key] instanceof Color) {
+                this[key].set(value);
+            } else {
+                this[key] = value;
+            }
+        });
+    }
+
+    clone() {
+        return new this.constructor(this);
+    }
+}
+
+export class LineBasicMaterial extends Material {}
+export class MeshBasicMaterial extends Material {}
+export class MeshLambertMaterial extends Material {}
+export class MeshPhongMaterial extends Material {}
+export class MeshStandardMaterial extends Material {}
+export class PointsMaterial extends Material {}
+export class ShaderMaterial extends Material {}
+
+// ============================================
+// Scene graph
+// ============================================
+export class Object3D {
+    constructor() {
+        this.position = new Vector3();
+        this.rotation = new Euler();
+        this.quaternion = new Quaternion();
+        this.scale = new Vector3(1, 1, 1);
+        this.matrix = new Matrix4();
+        this.children = [];
+        this.parent = null;
+        this.userData = {};
+        this.visible = true;
+    }
+
+    add(...objects) {
+        objects.forEach(object => {
+            object.removeFromParent();
+            object.parent = this;
+            this.children.push(object);
+        });
+        return this;
+    }
+
+    remove(object) {
+        const index = this.children.indexOf(object);
+        if (index !== -1) {
+            this.children.splice(index, 1);
+            object.parent = null;
+        }
+        return this;
+    }
+
+    removeFromParent() {
+        if (this.parent) this.parent.remove(this);
+        return this;
+    }
+
+    traverse(callback) {
+        callback(this);
+        this.children.slice().forEach(child => child.traverse(callback));
+    }
+
+    lookAt() {}
+
+    updateMatrix() {}
+}
+
+export class Group extends Object3D {}
+
+export class Scene extends Object3D {}
+
+export class Mesh extends Object3D {
+    constructor(geometry = new BufferGeometry(), material = new MeshBasicMaterial()) {
+        super();
+        this.geometry = geometry;
+        this.material = material;
+    }
+}
+
+export class Points extends Mesh {}
+export class Line extends Mesh {}
+export class LineSegments extends Mesh {}
+
+export class InstancedMesh extends Mesh {
+    constructor(geometry, material, count) {
+        super(geometry, material);
+        this.count = count;
+        this.isInstancedMesh = true;
+        this.instanceMatrix = new BufferAttribute(new Float32Array(count * 16), 16);
+        this.instanceColor = null;
+    }
+
+    setMatrixAt() {}
+
+    setColorAt() {
+        if (!this.instanceColor) this.instanceColor = new BufferAttribute(new Float32Array(this.count * 3), 3);
+    }
+
+    dispose() {}
+}
+
+class Light extends Object3D {
+    constructor(color, intensity = 1) {
+        super();
+        this.isLight = true;
+        this.color = new Color(color);
+        this.intensity = intensity;
+        this.shadow = { camera: {}, mapSize: new Vector2() };
+        memory.lights++;
+        this.disposed = false;
+    }
+
+    dispose() {
+        if (this.disposed) return;
+        this.disposed = true;
+        memory.lights--;
+    }
+}
+
+export class AmbientLight extends Light {}
+export class DirectionalLight extends Light {}
+export class HemisphereLight extends Light {}
+export class PointLight extends Light {}
+
+export class PerspectiveCamera extends Object3D {}
+
+export class FogExp2 {}
+
+// ============================================
+// Constants
+// ============================================
+export const AdditiveBlending = 2;
+export const BackSide = 1;
+export const DynamicDrawUsage = 35048;
+export const PCFSoftShadowMap = 2;
+export const ACESFilmicToneMapping = 4;
+
+export class WebGLRenderer {}
+
+// ============================================
+// Add-ons (three/addons/...)
+// ============================================
+export class EffectComposer {}
+export class RenderPass {}
+export class UnrealBloomPass {}